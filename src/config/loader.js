@@ -10,6 +10,39 @@ const __dirname = path.dirname(__filename);
 const CONFIG_FILE_NAME = 'config.yml';
 const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../', CONFIG_FILE_NAME);
 
+/**
+ * Apply a transformation to every path in `paths.settings`
+ * 
+ * `paths.settings` is a single path or a list of sources, each a path or
+ * an object with a `path`.
+ * @param {string|Array} settings - Value of paths.settings
+ * @param {Function} transform - Maps a path to a new path
+ * @returns {string|Array} Value with every path transformed
+ */
+function mapSettingsPaths(settings, transform) {
+  if (!Array.isArray(settings)) {
+    return settings ? transform(settings) : settings;
+  }
+  
+  return settings.map(entry => {
+    if (typeof entry === 'string') {
+      return transform(entry);
+    }
+    return entry && entry.path ? { ...entry, path: transform(entry.path) } : entry;
+  });
+}
+
+/**
+ * Apply a transformation to every path in `paths.outputs`
+ * @param {Object} outputs - Value of paths.outputs, output paths keyed by output ID
+ * @param {Function} transform - Maps a path to a new path
+ * @returns {Object} Value with every path transformed
+ */
+function mapOutputPaths(outputs, transform) {
+  return Object.fromEntries(Object.entries(outputs)
+    .map(([id, outputPath]) => [id, outputPath ? transform(outputPath) : outputPath]));
+}
+
 /**
  * Load configuration from config.yml file
  * @param {string} configPath - Path to config file (optional)
@@ -39,11 +72,14 @@ export async function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
     // Normalize paths in the loaded config to ensure they use proper platform-specific separators
     if (config.paths) {
       if (config.paths.settings) {
-        config.paths.settings = config.paths.settings.split(/[\/\\]/).join(path.sep);
+        config.paths.settings = mapSettingsPaths(config.paths.settings, settingsPath => settingsPath.split(/[\/\\]/).join(path.sep));
       }
       if (config.paths.markdown) {
         config.paths.markdown = config.paths.markdown.split(/[\/\\]/).join(path.sep);
       }
+      if (config.paths.outputs) {
+        config.paths.outputs = mapOutputPaths(config.paths.outputs, outputPath => outputPath.split(/[\/\\]/).join(path.sep));
+      }
     }
     if (config.service && config.service.logFile) {
       config.service.logFile = config.service.logFile.split(/[\/\\]/).join(path.sep);
@@ -68,12 +104,15 @@ export async function saveConfig(config, configPath = DEFAULT_CONFIG_PATH) {
     const configToSave = JSON.parse(JSON.stringify({
       paths: {
         settings: config.paths.settings,
-        markdown: config.paths.markdown
+        markdown: config.paths.markdown,
+        outputs: config.paths.outputs
       },
       watcher: config.watcher,
       service: config.service,
       notifications: config.notifications,
       discovery: config.discovery,
+      generator: config.generator,
+      workspace: config.workspace,
       ai: config.ai
     }));
     
@@ -81,11 +120,14 @@ export async function saveConfig(config, configPath = DEFAULT_CONFIG_PATH) {
     // Ensure all paths use proper path separators for the current platform
     if (configToSave.paths) {
       if (configToSave.paths.settings) {
-        configToSave.paths.settings = configToSave.paths.settings.split(/[\/\\]/).join(path.sep);
+        configToSave.paths.settings = mapSettingsPaths(configToSave.paths.settings, settingsPath => settingsPath.split(/[\/\\]/).join(path.sep));
       }
       if (configToSave.paths.markdown) {
         configToSave.paths.markdown = configToSave.paths.markdown.split(/[\/\\]/).join(path.sep);
       }
+      if (configToSave.paths.outputs) {
+        configToSave.paths.outputs = mapOutputPaths(configToSave.paths.outputs, outputPath => outputPath.split(/[\/\\]/).join(path.sep));
+      }
     }
     if (configToSave.service && configToSave.service.logFile) {
       configToSave.service.logFile = configToSave.service.logFile.split(/[\/\\]/).join(path.sep);
@@ -95,11 +137,14 @@ export async function saveConfig(config, configPath = DEFAULT_CONFIG_PATH) {
     if (process.platform === 'win32') {
       if (configToSave.paths) {
         if (configToSave.paths.settings) {
-          configToSave.paths.settings = configToSave.paths.settings.replace(/\\/g, '\\\\');
+          configToSave.paths.settings = mapSettingsPaths(configToSave.paths.settings, settingsPath => settingsPath.replace(/\\/g, '\\\\'));
         }
         if (configToSave.paths.markdown) {
           configToSave.paths.markdown = configToSave.paths.markdown.replace(/\\/g, '\\\\');
         }
+        if (configToSave.paths.outputs) {
+          configToSave.paths.outputs = mapOutputPaths(configToSave.paths.outputs, outputPath => outputPath.replace(/\\/g, '\\\\'));
+        }
       }
       if (configToSave.service && configToSave.service.logFile) {
         configToSave.service.logFile = configToSave.service.logFile.replace(/\\/g, '\\\\');
@@ -133,7 +178,9 @@ function getDefaultConfig() {
   return {
     paths: {
       settings: settingsPath,
-      markdown: markdownPath
+      markdown: markdownPath,
+      // Catalogs written alongside the markdown, keyed by output ID: json, yaml, html, csv
+      outputs: {}
     },
     watcher: {
       pollInterval: 1000,
@@ -156,7 +203,56 @@ function getDefaultConfig() {
     discovery: {
       enabled: true,
       timeout: 10000,
-      cache: true
+      cache: {
+        enabled: true,
+        path: path.join(homeDir, '.mcp-config-watcher', 'discovery-cache.json'),
+        ttl: 86400000 // 24 hours
+      },
+      concurrency: 4,
+      deadline: 60000,
+      sandbox: {
+        enabled: true,
+        tempCwd: true,
+        discoveryHints: false
+      },
+      live: {
+        enabled: false,
+        servers: [],
+        debounce: 500
+      },
+      variables: {
+        inputs: 'env', // 'env', 'file' or 'prompt'
+        envPrefix: 'MCP_INPUT_',
+        secretsFile: path.join(homeDir, '.mcp-config-watcher', 'inputs.json'),
+        workspaceFolder: ''
+      }
+    },
+    generator: {
+      includeDisabled: false,
+      // Document template and partials (server, tool, config, disabled), bundled ones when empty
+      template: '',
+      partials: {},
+      // Parameter tables from the tools' input schemas, collapsed above collapseAfter rows
+      parameters: {
+        enabled: true,
+        collapseAfter: 8
+      },
+      // Copies of the previous version of each generated document, 0 disables them
+      backups: {
+        count: 5,
+        dir: path.join(homeDir, '.mcp-config-watcher', 'backups')
+      }
+    },
+    workspace: {
+      enabled: false,
+      roots: [],
+      files: ['.cursor/mcp.json', '.vscode/mcp.json'],
+      ignore: ['**/node_modules/**', '**/.git/**'],
+      maxDepth: 4,
+      output: 'aggregate',
+      projectMarkdown: 'MCP_SERVERS.md',
+      report: '',
+      rescanInterval: 60000 // 1 minute
     },
     ai: {
       enabled: false,
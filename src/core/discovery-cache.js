@@ -0,0 +1,329 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { isSecretKey } from './secrets.js';
+
+// Bump when the shape of cached discovery results changes
+const CACHE_VERSION = 2;
+
+/**
+ * Normalize the `discovery.cache` config value
+ * 
+ * Accepts the legacy boolean form as well as an object with
+ * `enabled`, `path` and `ttl`.
+ * @param {boolean|Object|undefined} cacheConfig - Raw config value
+ * @returns {Object} Options with enabled, path and ttl
+ */
+export function normalizeCacheOptions(cacheConfig) {
+  const defaults = {
+    enabled: false,
+    path: path.join(os.homedir(), '.mcp-config-watcher', 'discovery-cache.json'),
+    ttl: 86400000 // 24 hours
+  };
+  
+  if (typeof cacheConfig === 'boolean') {
+    return { ...defaults, enabled: cacheConfig };
+  }
+  
+  if (cacheConfig && typeof cacheConfig === 'object') {
+    return {
+      enabled: cacheConfig.enabled !== false,
+      path: cacheConfig.path || defaults.path,
+      ttl: cacheConfig.ttl ?? defaults.ttl
+    };
+  }
+  
+  return defaults;
+}
+
+/**
+ * Extract the package version pinned in a server's launch arguments
+ * 
+ * Recognizes npm specs (`@scope/pkg@1.2.3`, `pkg@1.2.3`) as used with npx,
+ * and Python specs (`pkg==1.2.3`) as used with uvx/pipx.
+ * @param {Object} serverConfig - Server configuration
+ * @returns {string|null} Pinned version, or null if the package is unpinned
+ */
+export function extractPackageVersion(serverConfig) {
+  for (const arg of serverConfig.args || []) {
+    if (typeof arg !== 'string' || arg.startsWith('-')) {
+      continue;
+    }
+    
+    const npmMatch = /^(@[^/\s]+\/)?[^@/\s]+@([^@\s]+)$/.exec(arg);
+    if (npmMatch) {
+      return npmMatch[2];
+    }
+    
+    const pythonMatch = /^[A-Za-z0-9_.-]+==([^=\s]+)$/.exec(arg);
+    if (pythonMatch) {
+      return pythonMatch[1];
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Compute the launch fingerprint of a server
+ * 
+ * Hashes everything that changes what discovery would see: command, args,
+ * URL, the pinned package version and environment/header values. Values
+ * of secret-looking keys are left out so credentials never reach the
+ * cache file, but their names are included.
+ * @param {Object} serverConfig - Server configuration
+ * @returns {string} SHA-256 hex digest
+ */
+export function computeFingerprint(serverConfig) {
+  const redact = (pairs = {}) => Object.keys(pairs).sort().map(key =>
+    isSecretKey(key) ? `${key}=<secret>` : `${key}=${pairs[key]}`
+  );
+  
+  const material = {
+    command: serverConfig.command || null,
+    args: serverConfig.args || [],
+    url: serverConfig.url || null,
+    env: redact(serverConfig.env),
+    headers: redact(serverConfig.headers),
+    packageVersion: extractPackageVersion(serverConfig)
+  };
+  
+  return crypto.createHash('sha256').update(JSON.stringify(material)).digest('hex');
+}
+
+/**
+ * Get the key of a cache entry
+ * @param {string} serverId - Server ID
+ * @param {string} fingerprint - Launch fingerprint from computeFingerprint()
+ * @returns {string} Entry key
+ * @private
+ */
+function entryKey(serverId, fingerprint) {
+  return `${serverId}:${fingerprint}`;
+}
+
+/**
+ * Persistent on-disk cache of discovery results
+ * 
+ * Entries are keyed by the server ID and its launch fingerprint, so a change
+ * to the command, args or env of a server misses the cache instead of
+ * returning stale tools, and servers with identical launch configurations
+ * keep separate entries. Entries expire after `ttl` milliseconds.
+ */
+export class DiscoveryCache extends EventEmitter {
+  /**
+   * Create a new cache instance
+   * @param {Object} config - Configuration object
+   */
+  constructor(config) {
+    super();
+    this.options = normalizeCacheOptions(config.discovery?.cache);
+    this.entries = {};
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Whether the persistent cache is enabled
+   * @returns {boolean} Enabled status
+   */
+  isEnabled() {
+    return this.options.enabled;
+  }
+
+  /**
+   * Load the cache file (once)
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          if (!await fs.pathExists(this.options.path)) {
+            return;
+          }
+          
+          const data = await fs.readJson(this.options.path);
+          if (data && data.version === CACHE_VERSION && data.entries && typeof data.entries === 'object') {
+            this.entries = data.entries;
+          } else {
+            this.emit('warning', `Ignoring discovery cache with unknown format at ${this.options.path}`);
+          }
+        } catch (error) {
+          this.emit('warning', `Failed to load discovery cache: ${error.message}`);
+        }
+      })();
+    }
+    
+    return this.loading;
+  }
+
+  /**
+   * Write the cache file, serializing concurrent writes
+   * @returns {Promise<void>}
+   */
+  save() {
+    this.writing = this.writing.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.options.path));
+        await fs.writeJson(this.options.path, { version: CACHE_VERSION, entries: this.entries }, { spaces: 2 });
+      } catch (error) {
+        this.emit('warning', `Failed to save discovery cache: ${error.message}`);
+      }
+    });
+    
+    return this.writing;
+  }
+
+  /**
+   * Check whether an entry has outlived the TTL
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} Expired status
+   * @private
+   */
+  isExpired(entry) {
+    return Date.now() - entry.cachedAt > this.options.ttl;
+  }
+
+  /**
+   * Look up a cached discovery result
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration
+   * @returns {Promise<Object|null>} Cached discovery result, or null on a miss
+   */
+  async get(serverId, serverConfig) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    
+    await this.load();
+    
+    const entry = this.entries[entryKey(serverId, computeFingerprint(serverConfig))];
+    if (!entry) {
+      return null;
+    }
+    
+    if (this.isExpired(entry)) {
+      this.emit('debug', `Cached discovery result for ${serverId} expired`);
+      return null;
+    }
+    
+    return entry.result;
+  }
+
+  /**
+   * Look up the most recent result of a server, whatever its fingerprint or age
+   * 
+   * Used for servers that are not launched, such as disabled ones.
+   * @param {string} serverId - Server ID
+   * @returns {Promise<Object|null>} Object with result and cachedAt, or null if the server was never cached
+   */
+  async getLatest(serverId) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    
+    await this.load();
+    
+    const entry = Object.values(this.entries).find(candidate => candidate.serverId === serverId);
+    return entry ? { result: entry.result, cachedAt: new Date(entry.cachedAt) } : null;
+  }
+
+  /**
+   * Store a discovery result
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration
+   * @param {Object} result - Discovery result
+   * @returns {Promise<void>}
+   */
+  async set(serverId, serverConfig, result) {
+    if (!this.isEnabled()) {
+      return;
+    }
+    
+    await this.load();
+    
+    // Only one fingerprint per server is kept
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (entry.serverId === serverId) {
+        delete this.entries[key];
+      }
+    }
+    
+    const fingerprint = computeFingerprint(serverConfig);
+    this.entries[entryKey(serverId, fingerprint)] = {
+      serverId,
+      fingerprint,
+      cachedAt: Date.now(),
+      packageVersion: extractPackageVersion(serverConfig),
+      result
+    };
+    
+    await this.save();
+  }
+
+  /**
+   * Describe all cache entries
+   * @returns {Promise<Object[]>} Entries with serverId, fingerprint, cachedAt, expiresAt, expired and toolCount
+   */
+  async list() {
+    await this.load();
+    
+    return Object.values(this.entries).map(entry => ({
+      serverId: entry.serverId,
+      fingerprint: entry.fingerprint,
+      packageVersion: entry.packageVersion || null,
+      cachedAt: new Date(entry.cachedAt),
+      expiresAt: new Date(entry.cachedAt + this.options.ttl),
+      expired: this.isExpired(entry),
+      toolCount: entry.result?.tools?.length || 0
+    }));
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    await this.load();
+    
+    let removed = 0;
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (this.isExpired(entry)) {
+        delete this.entries[key];
+        removed++;
+      }
+    }
+    
+    if (removed > 0) {
+      await this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove entries for one server, or all entries
+   * @param {string} [serverId] - Server ID to invalidate; omit to clear everything
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async invalidate(serverId = null) {
+    await this.load();
+    
+    let removed = 0;
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (serverId === null || entry.serverId === serverId) {
+        delete this.entries[key];
+        removed++;
+      }
+    }
+    
+    if (removed > 0) {
+      await this.save();
+    }
+    return removed;
+  }
+}
+
+export default DiscoveryCache;
@@ -0,0 +1,132 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+// Variables servers need to locate runtimes, caches and proxies, but no credentials
+export const DEFAULT_ENV_ALLOWLIST = [
+  'PATH', 'PATHEXT', 'HOME', 'USER', 'USERNAME', 'LOGNAME', 'SHELL',
+  'TMPDIR', 'TEMP', 'TMP', 'LANG', 'LC_*', 'TERM', 'TZ',
+  'SYSTEMROOT', 'WINDIR', 'COMSPEC', 'USERPROFILE', 'APPDATA', 'LOCALAPPDATA',
+  'PROGRAMDATA', 'PROGRAMFILES', 'PROGRAMFILES(X86)',
+  'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY',
+  'NODE_EXTRA_CA_CERTS', 'NVM_DIR', 'NPM_CONFIG_*', 'XDG_*'
+];
+
+// Environment variables that tell cooperating servers to list their tools
+const DISCOVERY_HINT_ENV = {
+  MCP_LIST_FUNCTIONS: 'true',
+  MCP_DISCOVERY_MODE: 'true',
+  MCP_REQUIRE_DESCRIPTIONS: 'true',
+  MCP_LIST_TOOLS: 'true',
+  FUNCTIONS_DISCOVERY: 'true',
+  NODE_ENV: 'discovery'
+};
+
+// Arguments passed to servers launched without any arguments of their own
+const DISCOVERY_HINT_ARGS = ['--list-functions', '--discovery'];
+
+/**
+ * Resolve the sandbox profile for a server
+ * 
+ * Starts from the defaults, applies `discovery.sandbox` and then the
+ * server's entry in `discovery.sandbox.servers`.
+ * @param {Object} config - Configuration object
+ * @param {string} serverId - Server ID
+ * @returns {Object} Profile with enabled, envAllowlist, tempCwd and discoveryHints
+ */
+export function resolveSandboxProfile(config, serverId) {
+  const { servers = {}, ...sandbox } = config.discovery?.sandbox || {};
+  
+  return {
+    enabled: true,
+    envAllowlist: DEFAULT_ENV_ALLOWLIST,
+    tempCwd: true,
+    discoveryHints: false,
+    ...sandbox,
+    ...(servers[serverId] || {})
+  };
+}
+
+/**
+ * Check whether an environment variable name matches an allowlist entry
+ * 
+ * Matching is case-insensitive, and a trailing `*` matches any suffix.
+ * @param {string} name - Variable name
+ * @param {string[]} allowlist - Allowed names and prefixes
+ * @returns {boolean} True if the variable may be inherited
+ * @private
+ */
+function isAllowed(name, allowlist) {
+  const upper = name.toUpperCase();
+  return allowlist.some(entry => {
+    const pattern = String(entry).toUpperCase();
+    return pattern.endsWith('*') ? upper.startsWith(pattern.slice(0, -1)) : upper === pattern;
+  });
+}
+
+/**
+ * Build the environment and arguments for a discovery launch
+ * 
+ * With the sandbox enabled only allowlisted variables are inherited from
+ * `baseEnv`; the server's own `env` is always passed through. Discovery
+ * hint variables and arguments are only added when `discoveryHints` is set.
+ * @param {Object} profile - Sandbox profile from resolveSandboxProfile()
+ * @param {Object} serverConfig - Server configuration
+ * @param {Object} [baseEnv] - Environment to inherit from (defaults to process.env)
+ * @returns {Object} Object with args and env for the child process
+ */
+export function buildSandboxLaunch(profile, serverConfig, baseEnv = process.env) {
+  const inherited = profile.enabled
+    ? Object.fromEntries(Object.entries(baseEnv).filter(([name]) => isAllowed(name, profile.envAllowlist || [])))
+    : { ...baseEnv };
+  
+  const env = { ...inherited, ...(serverConfig.env || {}) };
+  let args = [...(serverConfig.args || [])];
+  
+  if (profile.discoveryHints) {
+    Object.assign(env, DISCOVERY_HINT_ENV);
+    if (args.length === 0) {
+      args = [...DISCOVERY_HINT_ARGS];
+    }
+  }
+  
+  return { args, env };
+}
+
+/**
+ * Find the launch arguments that are paths relative to the working directory
+ * 
+ * Such servers (e.g. `node ./server.js` or `python src/server.py`) cannot be
+ * moved to a temporary working directory. An argument counts as relative if
+ * it starts with `./` or `../`, or contains a path separator without being
+ * absolute, a URL or a scoped npm package (`@scope/pkg`); for options of the
+ * form `--name=value` the value is checked. Bare names such as `server.js`
+ * are not treated as paths, since they cannot be told apart from package
+ * names or subcommands.
+ * @param {string[]} args - Launch arguments
+ * @returns {string[]} Arguments that are relative paths
+ */
+export function findRelativePathArgs(args = []) {
+  return args.filter(arg => {
+    if (typeof arg !== 'string') {
+      return false;
+    }
+    
+    const value = arg.startsWith('-') ? arg.split('=').slice(1).join('=') : arg;
+    if (!value || value.startsWith('@') || path.isAbsolute(value) || /^[a-z][a-z0-9+.-]*:/i.test(value)) {
+      return false;
+    }
+    
+    return /^\.\.?[\\/]/.test(value) || /[\\/]/.test(value);
+  });
+}
+
+/**
+ * Create a scratch working directory for a discovery launch
+ * @returns {Promise<string>} Path of the new directory
+ */
+export function createSandboxDirectory() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'mcp-discovery-'));
+}
+
+export default { resolveSandboxProfile, buildSandboxLaunch, findRelativePathArgs, createSandboxDirectory };
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+// Timestamps that change on every run without anything else changing: the
+// footer line of the markdown documents and the top-level generatedAt of the
+// JSON, YAML and HTML catalogs. The first group is kept as written.
+const TIMESTAMP_PATTERNS = [
+  /^(This (?:documentation|report) is automatically generated by MCP Config Watcher\.\r?\nLast updated: ).*$/m,
+  /^( {2}"generatedAt": )"[^"\n]*"/m,
+  /^(generatedAt: ).*$/m,
+  /^(<p class="meta">.*, generated )[^<\n]*(?=<\/p>$)/m
+];
+
+/**
+ * Resolve the backup options from `generator.backups`
+ * @param {Object} config - Configuration object
+ * @returns {Object} Options with count (0 disables backups) and dir
+ */
+export function resolveWriterOptions(config) {
+  const backups = config.generator?.backups || {};
+  
+  return {
+    count: Number.isInteger(backups.count) && backups.count >= 0 ? backups.count : 5,
+    dir: backups.dir || path.join(os.homedir(), '.mcp-config-watcher', 'backups')
+  };
+}
+
+/**
+ * Replace the generation timestamps of a document with a fixed value
+ * 
+ * Only the "Last updated" line of the generated footer and the catalog's
+ * top-level `generatedAt` are covered; any other timestamp is content.
+ * @param {string} content - Document content
+ * @returns {string} Content without timestamps
+ */
+export function stripTimestamps(content) {
+  return TIMESTAMP_PATTERNS.reduce((text, pattern) => text.replace(pattern, '$1<timestamp>'), content);
+}
+
+/**
+ * Get the file name prefix of a document's backups
+ * 
+ * Includes a hash of the document's absolute path, so documents with the same
+ * name in different projects are rotated separately.
+ * @param {string} filePath - Document path
+ * @returns {Object} Object with the prefix and extension of backup file names
+ * @private
+ */
+function getBackupName(filePath) {
+  const absolutePath = path.resolve(filePath);
+  const extension = path.extname(absolutePath);
+  const hash = crypto.createHash('sha1').update(absolutePath).digest('hex').slice(0, 8);
+  return { prefix: `${path.basename(absolutePath, extension)}.${hash}.`, extension };
+}
+
+/**
+ * Copy the current version of a document to the backup directory
+ * 
+ * Backups are named `<name>.<path hash>.<timestamp><extension>`; only the
+ * newest `count` backups of each document are kept.
+ * @param {string} filePath - Document path
+ * @param {Object} options - Options from resolveWriterOptions()
+ * @returns {Promise<string>} Path of the new backup
+ * @private
+ */
+async function backupDocument(filePath, options) {
+  const { prefix, extension } = getBackupName(filePath);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(options.dir, `${prefix}${timestamp}${extension}`);
+  
+  await fs.ensureDir(options.dir);
+  await fs.copy(filePath, backupPath);
+  
+  // Timestamps sort chronologically, so the oldest backups come first
+  const backups = (await fs.readdir(options.dir))
+    .filter(name => name.startsWith(prefix) && name.endsWith(extension))
+    .sort();
+  for (const name of backups.slice(0, Math.max(0, backups.length - options.count))) {
+    await fs.remove(path.join(options.dir, name));
+  }
+  
+  return backupPath;
+}
+
+/**
+ * Write a generated document
+ * 
+ * Every generated document goes through this writer. Content that only
+ * differs from the file on disk in its timestamps is not written at all.
+ * Otherwise the current file is backed up and the new content is written to
+ * a temporary file next to the document, which then replaces it with a
+ * rename, so readers never see a half-written file.
+ * @param {string} filePath - Document path
+ * @param {string} content - New content
+ * @param {Object} config - Configuration object, for the backup options
+ * @returns {Promise<Object>} Result with path, written (false when skipped) and
+ *   backupPath (null when no backup was made)
+ */
+export async function writeDocument(filePath, content, config) {
+  const options = resolveWriterOptions(config);
+  
+  let existingContent = null;
+  try {
+    existingContent = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    // The document is new
+  }
+  
+  if (existingContent !== null && stripTimestamps(existingContent) === stripTimestamps(content)) {
+    return { path: filePath, written: false, backupPath: null };
+  }
+  
+  await fs.ensureDir(path.dirname(filePath));
+  const backupPath = existingContent !== null && options.count > 0 ? await backupDocument(filePath, options) : null;
+  
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw new Error(`Failed to write ${filePath}: ${error.message}`);
+  }
+  
+  return { path: filePath, written: true, backupPath };
+}
+
+export default { resolveWriterOptions, stripTimestamps, writeDocument };
@@ -0,0 +1,19 @@
+import path from 'path';
+import { normalizeServerMap, hasMcpServers } from './mcp-servers.js';
+
+/**
+ * Claude Desktop (`claude_desktop_config.json`)
+ * 
+ * Uses `mcpServers` with command, args and env. Other top-level keys
+ * (e.g. `globalShortcut`) are application settings and are ignored.
+ */
+export default {
+  id: 'claude-desktop',
+  label: 'Claude Desktop',
+  matchesPath: filePath => path.basename(filePath) === 'claude_desktop_config.json',
+  canRead: hasMcpServers,
+  normalize: settings => ({
+    mcpServers: normalizeServerMap(settings.mcpServers, 'claude-desktop'),
+    inputs: []
+  })
+};
@@ -0,0 +1,19 @@
+import path from 'path';
+import { normalizeServerMap, hasMcpServers } from './mcp-servers.js';
+
+/**
+ * Cline (`cline_mcp_settings.json`)
+ * 
+ * Cline's layout is the internal server model, so entries are kept as they
+ * are. It is also the fallback for any unrecognized `mcpServers` file.
+ */
+export default {
+  id: 'cline',
+  label: 'Cline',
+  matchesPath: filePath => path.basename(filePath) === 'cline_mcp_settings.json',
+  canRead: hasMcpServers,
+  normalize: settings => ({
+    mcpServers: normalizeServerMap(settings.mcpServers, 'cline'),
+    inputs: []
+  })
+};
@@ -0,0 +1,20 @@
+import path from 'path';
+import { normalizeServerMap, hasMcpServers } from './mcp-servers.js';
+
+/**
+ * Cursor (`.cursor/mcp.json`, global or per project)
+ * 
+ * Uses `mcpServers` with command, args and env for local servers, and url
+ * with optional headers for remote ones.
+ */
+export default {
+  id: 'cursor',
+  label: 'Cursor',
+  matchesPath: filePath => path.basename(filePath) === 'mcp.json' &&
+    path.basename(path.dirname(filePath)) === '.cursor',
+  canRead: hasMcpServers,
+  normalize: settings => ({
+    mcpServers: normalizeServerMap(settings.mcpServers, 'cursor'),
+    inputs: []
+  })
+};
@@ -0,0 +1,119 @@
+import fs from 'fs-extra';
+import { parseJsonc, JsoncParseError } from '../jsonc.js';
+import cline from './cline.js';
+import claudeDesktop from './claude-desktop.js';
+import cursor from './cursor.js';
+import windsurf from './windsurf.js';
+import vscode from './vscode.js';
+
+// Registered formats; Cline comes first as the fallback for unrecognized mcpServers files
+const FORMATS = [cline, vscode, claudeDesktop, cursor, windsurf];
+
+/**
+ * Register an additional settings format
+ * 
+ * An adapter is an object with an `id`, a human-readable `label`,
+ * `matchesPath(filePath)`, `canRead(settings)` and `normalize(settings)`,
+ * which returns `{ mcpServers, inputs }` in the internal server model.
+ * Registered formats are checked before the built-in ones.
+ * @param {Object} adapter - Format adapter
+ */
+export function registerFormat(adapter) {
+  const index = FORMATS.findIndex(format => format.id === adapter.id);
+  if (index !== -1) {
+    FORMATS.splice(index, 1);
+  }
+  FORMATS.unshift(adapter);
+}
+
+/**
+ * Get a registered settings format
+ * @param {string} id - Format ID
+ * @returns {Object|null} Format adapter, or null if unknown
+ */
+export function getFormat(id) {
+  return FORMATS.find(format => format.id === id) || null;
+}
+
+/**
+ * List the registered settings formats
+ * @returns {Object[]} Objects with the id and label of each format
+ */
+export function listFormats() {
+  return FORMATS.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Work out which client a settings file belongs to
+ * 
+ * The file name decides first (e.g. `claude_desktop_config.json` or
+ * `.cursor/mcp.json`), provided the content has the expected layout.
+ * Otherwise the first format that can read the content is used.
+ * @param {Object} settings - Parsed settings file
+ * @param {string} [filePath] - Path of the settings file
+ * @returns {Object|null} Format adapter, or null if no format can read the settings
+ */
+export function detectFormat(settings, filePath = null) {
+  if (filePath) {
+    const byPath = FORMATS.find(format => format.matchesPath(filePath) && format.canRead(settings));
+    if (byPath) {
+      return byPath;
+    }
+  }
+  
+  return FORMATS.find(format => format.canRead(settings)) || null;
+}
+
+/**
+ * Normalize a client settings file into the internal server model
+ * @param {Object} settings - Parsed settings file
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.filePath] - Path of the settings file, used for detection
+ * @param {string} [options.format] - Format ID to use instead of detecting it
+ * @returns {Object} Object with format, mcpServers (each entry tagged with its
+ *   `client`) and inputs
+ */
+export function normalizeSettings(settings, options = {}) {
+  const format = options.format && options.format !== 'auto'
+    ? getFormat(options.format)
+    : detectFormat(settings, options.filePath);
+  
+  if (!format) {
+    throw new Error(options.format && options.format !== 'auto'
+      ? `Unknown MCP settings format: ${options.format}`
+      : 'Invalid MCP settings format: missing mcpServers or servers object');
+  }
+  if (!format.canRead(settings)) {
+    throw new Error(`Invalid ${format.label} settings: no servers found`);
+  }
+  
+  return {
+    format: format.id,
+    ...format.normalize(settings)
+  };
+}
+
+/**
+ * Read and normalize a settings file
+ * 
+ * Comments and trailing commas are accepted. Syntax errors are raised as
+ * JsoncParseError with the line and column of the error.
+ * @param {string} filePath - Path of the settings file
+ * @param {Object} [options] - Options passed to normalizeSettings()
+ * @returns {Promise<Object>} Normalized settings
+ */
+export async function readSettingsFile(filePath, options = {}) {
+  const fileContent = await fs.readFile(filePath, 'utf8');
+  
+  let settings;
+  try {
+    settings = parseJsonc(fileContent, { filePath });
+  } catch (parseError) {
+    throw new JsoncParseError(`Invalid JSON in MCP settings file: ${parseError.message}`,
+      parseError.line, parseError.column, filePath);
+  }
+  
+  return normalizeSettings(settings, { ...options, filePath });
+}
+
+export default { registerFormat, getFormat, listFormats, detectFormat, normalizeSettings, readSettingsFile };
@@ -0,0 +1,32 @@
+/**
+ * Normalize a map of server entries into the internal server model
+ * 
+ * The internal model is Cline's `mcpServers` layout. Every entry is copied,
+ * passed through the format's own mapping and tagged with the client it
+ * came from.
+ * @param {Object} servers - Server entries keyed by server ID
+ * @param {string} client - ID of the client format
+ * @param {Function} [mapEntry] - Converts a client-specific entry to the internal model
+ * @returns {Object} Normalized server configurations keyed by server ID
+ */
+export function normalizeServerMap(servers, client, mapEntry = entry => entry) {
+  const normalized = {};
+  
+  for (const [serverId, entry] of Object.entries(servers || {})) {
+    if (!entry || typeof entry !== 'object') {
+      continue;
+    }
+    normalized[serverId] = { ...mapEntry({ ...entry }), client };
+  }
+  
+  return normalized;
+}
+
+/**
+ * Check whether settings contain a top-level `mcpServers` object
+ * @param {Object} settings - Parsed settings file
+ * @returns {boolean} True if the settings use the `mcpServers` layout
+ */
+export function hasMcpServers(settings) {
+  return Boolean(settings?.mcpServers) && typeof settings.mcpServers === 'object';
+}
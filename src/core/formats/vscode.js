@@ -0,0 +1,36 @@
+import path from 'path';
+import { normalizeServerMap } from './mcp-servers.js';
+
+/**
+ * Read the MCP block of a VS Code file
+ * 
+ * `mcp.json` holds `servers` and `inputs` at the top level, while the user
+ * `settings.json` nests them under an `mcp` key.
+ * @param {Object} settings - Parsed settings file
+ * @returns {Object|null} Object with servers and inputs, or null if absent
+ */
+function getMcpBlock(settings) {
+  const block = settings?.servers ? settings : settings?.mcp;
+  return block?.servers && typeof block.servers === 'object' ? block : null;
+}
+
+/**
+ * VS Code (`.vscode/mcp.json`, the user `mcp.json` or the `mcp` key of `settings.json`)
+ * 
+ * Uses `servers` instead of `mcpServers`, declares the transport with
+ * `type`, and lists `inputs` that `${input:...}` placeholders refer to.
+ */
+export default {
+  id: 'vscode',
+  label: 'VS Code',
+  matchesPath: filePath => ['mcp.json', 'settings.json'].includes(path.basename(filePath)) &&
+    path.basename(path.dirname(filePath)) !== '.cursor',
+  canRead: settings => getMcpBlock(settings) !== null,
+  normalize: settings => {
+    const block = getMcpBlock(settings);
+    return {
+      mcpServers: normalizeServerMap(block.servers, 'vscode'),
+      inputs: Array.isArray(block.inputs) ? block.inputs : []
+    };
+  }
+};
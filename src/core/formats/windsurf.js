@@ -0,0 +1,22 @@
+import path from 'path';
+import { normalizeServerMap, hasMcpServers } from './mcp-servers.js';
+
+/**
+ * Windsurf (`~/.codeium/windsurf/mcp_config.json`)
+ * 
+ * Uses `mcpServers`, but remote servers are declared with `serverUrl`
+ * instead of `url`.
+ */
+export default {
+  id: 'windsurf',
+  label: 'Windsurf',
+  matchesPath: filePath => path.basename(filePath) === 'mcp_config.json',
+  canRead: hasMcpServers,
+  normalize: settings => ({
+    mcpServers: normalizeServerMap(settings.mcpServers, 'windsurf', ({ serverUrl, ...entry }) => ({
+      ...entry,
+      url: entry.url || serverUrl
+    })),
+    inputs: []
+  })
+};
@@ -1,6 +1,17 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { EventEmitter } from 'events';
+import { resolveTransportType } from './transports/index.js';
+import { getFormat } from './formats/index.js';
+import { readSettingsSources } from './settings-sources.js';
+import { renderTemplate, loadDefaultTemplates, loadTemplates } from './template.js';
+import { maskPairs } from './outputs/catalog.js';
+import { regionMarkers, wrapRegion, hasRegions, parseRegions, mergeRegions } from './regions.js';
+import { writeDocument } from './document-writer.js';
+import { buildParameterTable } from './schema-table.js';
+
+// Bundled templates, read once
+const DEFAULT_TEMPLATES = loadDefaultTemplates();
 
 /**
  * Markdown generator class
@@ -18,25 +29,28 @@ export class MDGenerator extends EventEmitter {
     this.parser = parser;
     this.HEADER_MARKER = '# MCP Servers and Tools';
     this.FOOTER_MARKER = 'This documentation is automatically generated by MCP Config Watcher.';
+    this.templates = DEFAULT_TEMPLATES;
   }
 
   /**
    * Generate markdown documentation
    * @param {Object} data - Parsed MCP settings data
+   * @param {Object} [options] - Generation options
+   * @param {Object} [options.settings] - Settings catalog that was already read
+   * @param {string} [options.markdownPath] - Document to write instead of paths.markdown
    * @returns {Promise<boolean>} Success status
    */
-  async generateMarkdown(data) {
+  async generateMarkdown(data, options = {}) {
     try {
-      const markdownPath = this.config.paths.markdown;
-      const settingsPath = this.config.paths.settings;
+      const markdownPath = options.markdownPath || this.config.paths.markdown;
       
       // Create directory if it doesn't exist
       const dir = path.dirname(markdownPath);
       await fs.ensureDir(dir);
       
-      // Read actual settings file to get auto-approve information
-      const rawSettings = await fs.readFile(settingsPath, 'utf8');
-      const settings = JSON.parse(rawSettings);
+      // Read actual settings files to get auto-approve information
+      const settings = options.settings || await readSettingsSources(this.config);
+      await this.loadTemplates();
       
       // Use safe writing mechanism
       await this.safeUpdateMarkdown(markdownPath, data, settings);
@@ -46,202 +60,273 @@ export class MDGenerator extends EventEmitter {
     }
   }
 
+  /**
+   * Regenerate the section of a single server
+   * 
+   * Used for live updates: only the server's managed region and the footer
+   * are replaced. Falls back to a full update when the document does not
+   * exist yet, has no region markers, or has no region for the server.
+   * @param {Object} data - Parsed MCP settings data
+   * @param {string} serverId - Server whose section changed
+   * @param {Object} [options] - Generation options, as for generateMarkdown()
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateServerSection(data, serverId, options = {}) {
+    const markdownPath = options.markdownPath || this.config.paths.markdown;
+    
+    let existingContent;
+    try {
+      existingContent = await fs.readFile(markdownPath, 'utf8');
+    } catch (error) {
+      return this.generateMarkdown(data, options);
+    }
+    
+    let chunks;
+    try {
+      chunks = hasRegions(existingContent) ? parseRegions(existingContent) : [];
+    } catch (error) {
+      throw new Error(`Failed to update section for ${serverId}: ${error.message}`);
+    }
+    if (!chunks.some(chunk => chunk.type === 'region' && chunk.kind === 'server' && chunk.id === serverId)) {
+      this.emit('debug', `No region for ${serverId} in ${markdownPath}, regenerating the whole document`);
+      return this.generateMarkdown(data, options);
+    }
+    
+    try {
+      const settings = options.settings || await readSettingsSources(this.config);
+      await this.loadTemplates();
+      
+      const sections = this.generateServerSections({ servers: { [serverId]: data.servers[serverId] } }, settings);
+      const replacements = {
+        [`server=${serverId}`]: this.wrapServerRegion(serverId, sections[serverId]),
+        'section=footer': this.generateFooterRegion()
+      };
+      
+      // The other regions are carried over unchanged
+      const regions = chunks
+        .filter(chunk => chunk.type === 'region')
+        .map(({ kind, id, text }) => ({ kind, id, text: replacements[`${kind}=${id}`] ?? text }));
+      if (!regions.some(region => region.kind === 'section' && region.id === 'footer')) {
+        regions.push({ kind: 'section', id: 'footer', text: replacements['section=footer'] });
+      }
+      
+      await this.writeDocument(markdownPath, mergeRegions(chunks, regions));
+      this.emit('debug', `Regenerated the section for ${serverId}`);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to update section for ${serverId}: ${error.message}`);
+    }
+  }
+
   /**
    * Safely update the markdown file preserving user content
    * @param {string} filePath - Path to markdown file
    * @param {Object} data - Parsed MCP settings data
-   * @param {Object} settings - Raw MCP settings from the settings file
+   * @param {Object} settings - Normalized MCP settings from the settings file
    * @returns {Promise<void>}
    * @private
    */
   async safeUpdateMarkdown(filePath, data, settings) {
     try {
       let existingContent = '';
-      let hasExistingFile = false;
       
       // Check if file exists
       try {
         existingContent = await fs.readFile(filePath, 'utf8');
-        hasExistingFile = true;
       } catch (error) {
         // File doesn't exist, will create new one
-        hasExistingFile = false;
       }
       
-      // Check if this is the mcp_servers_and_tools.md file
-      const isMainDocFile = path.basename(filePath) === 'mcp_servers_and_tools.md';
-      
-      // If file doesn't exist, just create a new one with all content
-      if (!hasExistingFile) {
-        const markdown = this.buildMarkdown(data, settings);
-        await fs.writeFile(filePath, markdown, 'utf8');
+      // If the file doesn't exist or is empty, create it from the document template
+      if (!existingContent.trim()) {
+        await this.writeDocument(filePath, this.buildMarkdown(data, settings));
         return;
       }
       
-      // For the main documentation file, check if we have a backup/direct version
-      if (isMainDocFile) {
-        const directFilePath = path.join(path.dirname(filePath), 'mcp_servers_and_tools_direct.md');
-        const debugFilePath = path.join(path.dirname(filePath), 'mcp_servers_and_tools_debug.md');
-        
-        try {
-          // Create a debug copy for troubleshooting
-          await fs.writeFile(debugFilePath, existingContent, 'utf8');
-          
-          // Create or update the direct version (without preserving user content)
-          const directMarkdown = this.buildMarkdown(data, settings);
-          await fs.writeFile(directFilePath, directMarkdown, 'utf8');
-          
-          // If the main file was accidentally overwritten, restore from direct version
-          if (!existingContent.includes(this.HEADER_MARKER)) {
-            console.log('[WARNING] Main documentation file may have been corrupted, restoring from direct version');
-            existingContent = directMarkdown;
-          }
-        } catch (error) {
-          console.error(`Failed to create backup files: ${error.message}`);
-        }
-      }
-      
-      // Parse existing content to identify server sections
-      const sections = this.parseExistingContent(existingContent);
+      // Split the document into managed regions and the user's content around them
+      const chunks = this.parseExistingContent(existingContent, Object.keys(settings?.mcpServers || data.servers || {}));
       
       // Generate new server sections
       const newServerSections = this.generateServerSections(data, settings);
       
-      // Merge content
-      const updatedContent = this.mergeContent(sections, newServerSections);
+      // Replace the managed regions, keeping everything else as it is
+      const updatedContent = this.mergeContent(chunks, newServerSections, this.generateDisabledSection(data, settings));
       
-      // Write updated content
-      await fs.writeFile(filePath, updatedContent, 'utf8');
+      await this.writeDocument(filePath, updatedContent);
     } catch (error) {
       throw new Error(`Failed to safely update markdown: ${error.message}`);
     }
   }
 
   /**
-   * Parse existing markdown content into sections
-   * @param {string} content - Existing markdown content
-   * @returns {Object} Parsed sections
+   * Write a document through the document writer
+   * @param {string} filePath - Document path
+   * @param {string} content - New content
+   * @returns {Promise<Object>} Result from writeDocument()
    * @private
    */
-  parseExistingContent(content) {
-    const sections = {
-      header: '',
-      servers: {},
-      footer: '',
-      preservedContent: ''
-    };
-    
-    // Split content by lines
-    const lines = content.split('\n');
-    
-    let currentSection = 'header';
-    let currentServer = null;
-    let headerEndIndex = -1;
-    let footerStartIndex = -1;
-    
-    // Find header end index
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].startsWith(this.HEADER_MARKER)) {
-        // Continue to include intro text in header
-        for (let j = i + 1; j < lines.length; j++) {
-          if (lines[j].startsWith('## ')) {
-            headerEndIndex = j - 1;
-            break;
-          }
-        }
-        break;
-      }
+  async writeDocument(filePath, content) {
+    const result = await writeDocument(filePath, content, this.config);
+    if (!result.written) {
+      this.emit('debug', `${filePath} is unchanged apart from its timestamp, not rewritten`);
+    } else if (result.backupPath) {
+      this.emit('debug', `Backed up the previous ${path.basename(filePath)} to ${result.backupPath}`);
     }
-    
-    // Find footer start index
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].startsWith(this.FOOTER_MARKER) || lines[i].includes(this.FOOTER_MARKER)) {
-        footerStartIndex = i;
-        break;
-      }
+    return result;
+  }
+
+  /**
+   * Split existing markdown content into managed regions and user content
+   * 
+   * Documents written before region markers were introduced are migrated
+   * first (see migrateContent()).
+   * @param {string} content - Existing markdown content
+   * @param {string[]} [serverIds] - IDs of the configured servers, used for the migration
+   * @returns {Object[]} Chunks from parseRegions()
+   * @private
+   */
+  parseExistingContent(content, serverIds = []) {
+    if (hasRegions(content)) {
+      return parseRegions(content);
     }
     
-    // Extract header content
-    if (headerEndIndex > 0) {
-      sections.header = lines.slice(0, headerEndIndex + 1).join('\n') + '\n\n';
-    } else {
-      // Default header if not found
-      sections.header = this.HEADER_MARKER + '\n\n' + 
-        'This document provides an overview of all configured MCP servers and their available tools.\n\n';
-    }
+    this.emit('info', 'Adding managed-region markers to the existing documentation');
+    return parseRegions(this.migrateContent(content, serverIds));
+  }
+
+  /**
+   * Wrap the generated parts of a document without region markers in markers
+   * 
+   * A `## ` section is taken as generated when its heading is a configured
+   * server, "Disabled Servers", or when it has a "### Server Configuration"
+   * subsection; the footer line and the "Last updated" line after it become
+   * the footer region. Blank lines at the end of a section stay outside its
+   * region, and everything else is kept as user content.
+   * @param {string} content - Existing markdown content without markers
+   * @param {string[]} serverIds - IDs of the configured servers
+   * @returns {string} Content with region markers
+   * @private
+   */
+  migrateContent(content, serverIds) {
+    const lines = content.match(/[^\n]*\n|[^\n]+$/g) || [];
+    const headerIndex = lines.findIndex(line => line.startsWith(this.HEADER_MARKER));
+    const isBoundary = line => line.startsWith('## ') || line.includes(this.FOOTER_MARKER);
+    const ensureNewline = text => text.endsWith('\n') ? text : `${text}\n`;
+    let output = lines.slice(0, headerIndex + 1).join('');
     
-    // Extract server sections
-    let i = headerEndIndex + 1;
+    let i = headerIndex + 1;
     while (i < lines.length) {
       const line = lines[i];
       
-      if (line.startsWith('## ')) {
-        // New server section
-        currentServer = line.substring(3).trim();
-        sections.servers[currentServer] = [];
-        i++;
+      if (line.includes(this.FOOTER_MARKER)) {
+        let end = i + 1;
+        if (end < lines.length && lines[end].startsWith('Last updated: ')) {
+          end++;
+        }
+        output += wrapRegion('section', 'footer', ensureNewline(lines.slice(i, end).join('')));
+        i = end;
         continue;
       }
       
-      if (line.startsWith(this.FOOTER_MARKER) || i >= footerStartIndex) {
-        // Reached footer
-        break;
+      if (!line.startsWith('## ')) {
+        output += line;
+        i++;
+        continue;
       }
       
-      if (currentServer) {
-        // Add line to current server
-        sections.servers[currentServer].push(line);
+      let end = i + 1;
+      while (end < lines.length && !isBoundary(lines[end])) {
+        end++;
       }
+      const heading = line.slice(3).trim();
+      const body = lines.slice(i + 1, end);
+      const generated = serverIds.includes(heading) || heading === 'Disabled Servers' ||
+        body.some(bodyLine => bodyLine.trim() === '### Server Configuration');
       
-      i++;
-    }
-    
-    // Convert server lines arrays to strings
-    for (const server in sections.servers) {
-      sections.servers[server] = sections.servers[server].join('\n');
+      if (!generated) {
+        output += lines.slice(i, end).join('');
+      } else {
+        let contentEnd = end;
+        while (contentEnd > i + 1 && lines[contentEnd - 1].trim() === '') {
+          contentEnd--;
+        }
+        const kind = heading === 'Disabled Servers' ? 'section' : 'server';
+        const id = heading === 'Disabled Servers' ? 'disabled' : heading;
+        output += wrapRegion(kind, id, ensureNewline(lines.slice(i, contentEnd).join('')));
+        output += lines.slice(contentEnd, end).join('');
+      }
+      i = end;
     }
     
-    // Extract footer content
-    if (footerStartIndex > 0) {
-      sections.footer = '\n' + lines.slice(footerStartIndex).join('\n');
-    } else {
-      // Default footer if not found
-      sections.footer = '\n' + this.FOOTER_MARKER + '\n' +
-        `Last updated: ${new Date().toLocaleString()}\n`;
+    return output;
+  }
+
+  /**
+   * Render a template with the configured templates
+   * @param {string} templateName - 'document' or the name of a partial
+   * @param {Object} view - Values to render
+   * @returns {string} Rendered markdown
+   * @private
+   */
+  render(templateName, view) {
+    return renderTemplate(templateName, this.templates, view);
+  }
+
+  /**
+   * Load the templates configured under `generator`
+   * 
+   * A template that cannot be read or parsed is reported and the bundled
+   * templates are used instead, so the documentation keeps being updated.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadTemplates() {
+    try {
+      this.templates = await loadTemplates(this.config, DEFAULT_TEMPLATES);
+    } catch (error) {
+      this.emit('error', `${error.message}, using the bundled template`);
+      this.templates = DEFAULT_TEMPLATES;
     }
-    
-    return sections;
   }
 
   /**
    * Generate server sections for the markdown file
    * @param {Object} data - Parsed MCP settings data
-   * @param {Object} settings - Raw MCP settings from the settings file
+   * @param {Object} settings - Normalized MCP settings from the settings file
    * @returns {Object} Server sections
    * @private
    */
   generateServerSections(data, settings) {
-    const { servers } = data;
     const serverSections = {};
     
-    // Create a map of server IDs to their auto-approved tools directly from settings
-    const autoApproveMap = {};
-    if (settings && settings.mcpServers) {
-      for (const [serverId, serverConfig] of Object.entries(settings.mcpServers)) {
-        if (serverConfig.autoApprove && Array.isArray(serverConfig.autoApprove)) {
-          autoApproveMap[serverId] = serverConfig.autoApprove;
-        }
-      }
+    for (const view of this.buildServerViews(data, settings)) {
+      serverSections[view.id] = this.render('server', view);
     }
     
-    for (const [serverId, server] of Object.entries(servers)) {
-      let content = '';
+    return serverSections;
+  }
+
+  /**
+   * Build the template model of the enabled servers
+   * 
+   * Each server keeps every field of its parsed entry. Tools, resources and
+   * prompts are replaced by lists ready for rendering, and `config` holds the
+   * formatted configuration (null when the server is not in the settings).
+   * @param {Object} data - Parsed MCP settings data
+   * @param {Object} settings - Normalized MCP settings from the settings file
+   * @returns {Object[]} Server views
+   * @private
+   */
+  buildServerViews(data, settings) {
+    const views = [];
+    
+    for (const [serverId, server] of Object.entries(data.servers)) {
+      // Get auto-approved tools directly from settings
+      const serverConfig = settings?.mcpServers?.[serverId] || null;
+      const autoApproveTools = Array.isArray(serverConfig?.autoApprove) ? serverConfig.autoApprove : [];
       
       // Get tools for this server
-      let serverTools = server.tools || [];
-      
-      // Get auto-approved tools directly from settings
-      const autoApproveTools = autoApproveMap[serverId] || [];
+      let serverTools = [...(server.tools || [])];
       
       // Emit info for logging if needed
       this.emit('debug', `Server: ${serverId}`);
@@ -255,132 +340,296 @@ export class MDGenerator extends EventEmitter {
         }
       }
       
-      // If we still don't have any tools, generate a reasonable default based on server name
-      if (serverTools.length === 0) {
-        // Extract server name from ID for a reasonable default
+      // If we still don't have any tools, use a default based on the server name
+      const predicted = serverTools.length === 0;
+      if (predicted) {
         const serverName = serverId.split('/').pop().replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
-        
-        // Generate a list of likely tools based on the server name
-        const likelyTools = [];
-        
-        // Common prefixes for tools
-        const commonPrefixes = ['get_', 'create_', 'update_', 'delete_', 'search_', 'list_'];
-        
-        // Add a generic tool based on the server name
-        likelyTools.push(`${serverName}_tool`);
-        
-        // Add some common operations with the server name
-        for (const prefix of commonPrefixes) {
-          likelyTools.push(`${prefix}${serverName}`);
-        }
-        
-        // Use just the first tool to avoid cluttering the documentation
-        serverTools = [likelyTools[0]];
-        
-        // Add a note about predicted tools
-        content += `> Note: Tools for this server are predicted based on naming conventions. Actual tools may differ.\n\n`;
+        serverTools = [`${serverName}_tool`];
       }
       
       // Sort tools alphabetically
       serverTools.sort();
       
-      // Generate tool entries
-      for (const toolName of serverTools) {
-        const description = this.parser.getToolDescription(toolName);
-        const isAutoApproved = autoApproveTools.includes(toolName);
-        
-        if (isAutoApproved) {
-          // Highlight auto-approved tools with unlock icon and label
-          content += `- **${toolName}** 🔓 (Auto-Approved): ${description}\n`;
-        } else {
-          content += `- **${toolName}**: ${description}\n`;
-        }
-      }
+      const resources = (server.resources || []).map(resource => this.buildResourceView(resource));
+      const resourceTemplates = (server.resourceTemplates || []).map(template => this.buildResourceView(template));
+      const prompts = (server.prompts || []).map(prompt => ({
+        ...prompt,
+        description: prompt.description ? prompt.description.replace(/\s+/g, ' ') : 'No description available.',
+        arguments: (prompt.arguments || []).map(argument => ({
+          ...argument,
+          required: argument.required === true,
+          description: argument.description ? argument.description.replace(/\s+/g, ' ') : null
+        }))
+      }));
       
-      // Add server configuration information if available
-      if (settings && settings.mcpServers && settings.mcpServers[serverId]) {
-        const serverConfig = settings.mcpServers[serverId];
-        
-        // Add a separator
-        content += `\n### Server Configuration\n\n`;
-        
-        // Add command and args
-        content += `- **Command**: \`${serverConfig.command}\`\n`;
-        if (serverConfig.args && serverConfig.args.length > 0) {
-          content += `- **Arguments**: \`${serverConfig.args.join(' ')}\`\n`;
-        }
-        
-        // Add environment variables (without sensitive values)
-        if (serverConfig.env && Object.keys(serverConfig.env).length > 0) {
-          content += `- **Environment Variables**: `;
-          const envVars = Object.keys(serverConfig.env).map(key => {
-            // Mask potential API keys and tokens for security
-            if (key.toLowerCase().includes('key') || 
-                key.toLowerCase().includes('token') || 
-                key.toLowerCase().includes('secret') || 
-                key.toLowerCase().includes('password')) {
-              return `${key}=********`;
-            }
-            return `${key}=${serverConfig.env[key]}`;
-          });
-          content += `\`${envVars.join(', ')}\`\n`;
-        }
-      }
-      
-      serverSections[serverId] = content;
+      views.push({
+        ...server,
+        id: serverId,
+        predicted,
+        toolNames: serverTools,
+        tools: serverTools.map((toolName, index) =>
+          this.buildToolView(toolName, server.toolDetails?.[toolName] || null, autoApproveTools, index === serverTools.length - 1)),
+        resources,
+        resourceTemplates,
+        hasResources: resources.length > 0 || resourceTemplates.length > 0,
+        prompts,
+        hasPrompts: prompts.length > 0,
+        config: serverConfig ? this.buildConfigView(serverId, serverConfig, settings, server.unresolved) : null,
+        region: regionMarkers('server', serverId)
+      });
     }
     
-    return serverSections;
+    return views;
   }
 
   /**
-   * Merge existing content with new server sections
-   * @param {Object} existingSections - Existing content sections
-   * @param {Object} newServerSections - New server sections
-   * @returns {string} Merged content
+   * Build the template model of a tool
+   * 
+   * The server's own description from discovery takes precedence over the
+   * static descriptions. Tools with an input schema get a parameter table,
+   * unless `generator.parameters.enabled` is false.
+   * @param {string} toolName - Tool name
+   * @param {Object|null} toolDetails - Tool metadata discovered from the server
+   * @param {string[]} autoApproveTools - Auto-approved tools of the server
+   * @param {boolean} [last] - Whether this is the last tool of the list
+   * @returns {Object} Tool view
    * @private
    */
-  mergeContent(existingSections, newServerSections) {
-    let content = existingSections.header;
+  buildToolView(toolName, toolDetails, autoApproveTools, last = false) {
+    const parameterOptions = this.config.generator?.parameters || {};
     
-    // Add all servers from new sections
-    for (const [serverId, section] of Object.entries(newServerSections)) {
-      content += `## ${serverId}\n\n${section}\n`;
-    }
-    
-    // Update footer date
-    const updatedFooter = this.FOOTER_MARKER + '\n' +
-      `Last updated: ${new Date().toLocaleString()}\n`;
-    
-    content += updatedFooter;
+    return {
+      ...toolDetails,
+      name: toolName,
+      description: this.parser.getToolDescription(toolName, toolDetails)
+        .replace(/\s+/g, ' ')
+        .trim(),
+      autoApproved: autoApproveTools.includes(toolName),
+      hints: this.formatToolHints(toolDetails),
+      parameters: parameterOptions.enabled !== false && toolDetails?.inputSchema
+        ? buildParameterTable(toolDetails.inputSchema, { collapseAfter: parameterOptions.collapseAfter })
+        : null,
+      last
+    };
+  }
+
+  /**
+   * Build the template model of a resource or resource template
+   * @param {Object} resource - Resource reported by the server
+   * @returns {Object} Resource view
+   * @private
+   */
+  buildResourceView(resource) {
+    return {
+      ...resource,
+      label: resource.title || resource.name,
+      mimeType: resource.mimeType || null,
+      description: resource.description ? resource.description.replace(/\s+/g, ' ') : null
+    };
+  }
+
+  /**
+   * Build the template model of a server's configuration
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration from the settings
+   * @param {Object} settings - Normalized MCP settings from the settings file
+   * @param {string[]} [unresolved] - Placeholders that had no value during discovery
+   * @returns {Object} Configuration view, with credentials masked
+   * @private
+   */
+  buildConfigView(serverId, serverConfig, settings, unresolved = []) {
+    const conflict = settings.conflicts?.[serverId];
+    const hasPairs = pairs => pairs && Object.keys(pairs).length > 0;
     
-    return content;
+    return {
+      client: serverConfig.client ? getFormat(serverConfig.client)?.label || serverConfig.client : null,
+      // Name the source when several settings files are merged
+      source: serverConfig.source && settings.sources?.length > 1 ? serverConfig.source : null,
+      alsoDefinedIn: conflict
+        ? conflict.differences.map(({ source, keys }) =>
+          keys.length > 0 ? `${source} (differs in ${keys.map(key => `\`${key}\``).join(', ')})` : `${source} (identical)`).join(', ')
+        : null,
+      // Remote servers are reached by URL, local ones by command and args
+      url: serverConfig.url || null,
+      transport: resolveTransportType(serverConfig),
+      transportName: resolveTransportType(serverConfig) === 'sse' ? 'SSE' : 'Streamable HTTP',
+      command: serverConfig.command,
+      args: serverConfig.args?.length > 0 ? serverConfig.args.join(' ') : null,
+      argList: serverConfig.args || [],
+      env: hasPairs(serverConfig.env) ? this.formatMaskedPairs(serverConfig.env) : null,
+      headers: hasPairs(serverConfig.headers) ? this.formatMaskedPairs(serverConfig.headers) : null,
+      // Placeholders are documented as written, these ones had no value during discovery
+      unresolved: unresolved?.length > 0 ? unresolved.map(placeholder => `\`${placeholder}\``).join(', ') : null,
+      placeholders: unresolved || []
+    };
   }
 
   /**
-   * Build markdown content (used for new files)
+   * Build the template model of the disabled servers
+   * 
+   * Disabled servers are never launched, so their tools are the ones known
+   * from the last discovery before they were turned off.
    * @param {Object} data - Parsed MCP settings data
-   * @param {Object} settings - Raw MCP settings from the settings file
-   * @returns {string} Markdown content
+   * @param {Object} settings - Normalized MCP settings from the settings file
+   * @returns {Object[]} Disabled server views
    * @private
    */
-  buildMarkdown(data, settings) {
-    let content = this.HEADER_MARKER + '\n\n';
-    content += 'This document provides an overview of all configured MCP servers and their available tools.\n\n';
+  buildDisabledViews(data, settings) {
+    return Object.entries(data.disabledServers || {}).map(([serverId, server]) => {
+      const tools = server.tools || [];
+      let toolsNote = 'No tools known, the server has not been discovered.';
+      if (server.lastKnown) {
+        toolsNote = server.lastKnown.discoveredAt
+          ? `Last known tools, discovered ${new Date(server.lastKnown.discoveredAt).toLocaleString()}:`
+          : 'Last known tools:';
+      } else if (tools.length > 0) {
+        toolsNote = 'Auto-approved tools (the server has not been discovered):';
+      }
+      
+      const serverConfig = settings?.mcpServers?.[serverId] || null;
+      return {
+        ...server,
+        id: serverId,
+        toolsNote,
+        toolNames: tools,
+        tools: tools.map((toolName, index) =>
+          this.buildToolView(toolName, server.toolDetails?.[toolName] || null, [], index === tools.length - 1)),
+        hasTools: tools.length > 0,
+        config: serverConfig ? this.buildConfigView(serverId, serverConfig, settings) : null
+      };
+    });
+  }
+
+  /**
+   * Generate the Disabled Servers section
+   * @param {Object} data - Parsed MCP settings data
+   * @param {Object} settings - Normalized MCP settings from the settings file
+   * @returns {string} Markdown content, empty if no disabled servers are documented
+   * @private
+   */
+  generateDisabledSection(data, settings) {
+    return this.render('disabled', this.buildDocumentView({ servers: {}, disabledServers: data.disabledServers }, settings));
+  }
+
+  /**
+   * Build the template model of the whole document
+   * @param {Object} data - Parsed MCP settings data
+   * @param {Object} settings - Normalized MCP settings from the settings file
+   * @returns {Object} Document view with servers, disabledServers, sources, the
+   *   region markers and lastUpdated
+   * @private
+   */
+  buildDocumentView(data, settings) {
+    const disabledServers = this.buildDisabledViews(data, settings);
     
-    // Generate server sections
-    const serverSections = this.generateServerSections(data, settings);
+    return {
+      title: this.HEADER_MARKER.replace(/^#\s*/, ''),
+      servers: this.buildServerViews(data, settings),
+      disabledServers,
+      hasDisabledServers: disabledServers.length > 0,
+      sources: settings?.sources || [],
+      regions: {
+        disabled: regionMarkers('section', 'disabled'),
+        footer: regionMarkers('section', 'footer')
+      },
+      footer: this.FOOTER_MARKER,
+      lastUpdated: new Date().toLocaleString(),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Format key/value pairs, masking values that look like credentials
+   * 
+   * Values that are a single placeholder such as `${input:api-key}` hold no
+   * secret and are shown as written.
+   * @param {Object} pairs - Environment variables or headers
+   * @returns {string} Comma separated KEY=value list
+   * @private
+   */
+  formatMaskedPairs(pairs) {
+    return Object.entries(maskPairs(pairs)).map(([key, value]) => `${key}=${value}`).join(', ');
+  }
+
+  /**
+   * Format behaviour hints from a tool's annotations
+   * @param {Object|null} toolDetails - Tool metadata discovered from the server
+   * @returns {string} Hint labels (e.g. " `read-only`") or an empty string
+   * @private
+   */
+  formatToolHints(toolDetails) {
+    const annotations = toolDetails?.annotations;
+    if (!annotations) {
+      return '';
+    }
     
-    // Add all server sections
-    for (const [serverId, section] of Object.entries(serverSections)) {
-      content += `## ${serverId}\n\n${section}\n`;
+    const hints = [];
+    if (annotations.readOnlyHint === true) {
+      hints.push('read-only');
+    }
+    if (annotations.destructiveHint === true && annotations.readOnlyHint !== true) {
+      hints.push('destructive');
+    }
+    if (annotations.idempotentHint === true) {
+      hints.push('idempotent');
+    }
+    if (annotations.openWorldHint === true) {
+      hints.push('open-world');
     }
     
-    // Add footer
-    content += this.FOOTER_MARKER + '\n';
-    content += `Last updated: ${new Date().toLocaleString()}\n`;
+    return hints.map(hint => ` \`${hint}\``).join('');
+  }
+
+  /**
+   * Wrap a server section in its managed region
+   * @param {string} serverId - Server ID
+   * @param {string} section - Section rendered from the server partial
+   * @returns {string} Region with the server heading and section
+   * @private
+   */
+  wrapServerRegion(serverId, section) {
+    return wrapRegion('server', serverId, `## ${serverId}\n\n${section}`);
+  }
+
+  /**
+   * Generate the footer region with the current date
+   * @returns {string} Footer region
+   * @private
+   */
+  generateFooterRegion() {
+    return wrapRegion('section', 'footer', `${this.FOOTER_MARKER}\nLast updated: ${new Date().toLocaleString()}\n`);
+  }
+
+  /**
+   * Replace the managed regions of an existing document
+   * 
+   * Server regions are replaced in place and new servers are added after the
+   * last server region; regions of removed servers are dropped. Content
+   * outside the regions is kept byte for byte.
+   * @param {Object[]} chunks - Chunks of the existing document, from parseExistingContent()
+   * @param {Object} newServerSections - New server sections keyed by server ID
+   * @param {string} [disabledSection] - Disabled Servers section, empty when not documented
+   * @returns {string} Merged content
+   * @private
+   */
+  mergeContent(chunks, newServerSections, disabledSection = '') {
+    const regions = Object.entries(newServerSections).map(([serverId, section]) =>
+      ({ kind: 'server', id: serverId, text: this.wrapServerRegion(serverId, section) }));
+    regions.push({ kind: 'section', id: 'disabled', text: wrapRegion('section', 'disabled', disabledSection) });
+    regions.push({ kind: 'section', id: 'footer', text: this.generateFooterRegion() });
     
-    return content;
+    return mergeRegions(chunks, regions);
+  }
+
+  /**
+   * Build markdown content from the document template (used for new files)
+   * @param {Object} data - Parsed MCP settings data
+   * @param {Object} settings - Normalized MCP settings from the settings file
+   * @returns {string} Markdown content
+   * @private
+   */
+  buildMarkdown(data, settings) {
+    return this.render('document', this.buildDocumentView(data, settings));
   }
 }
 
@@ -0,0 +1,174 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { JsonRpcTimeoutError } from './transports/index.js';
+import { writeDocument } from './document-writer.js';
+
+// Statuses a server can end up with after discovery
+export const REPORT_STATUSES = ['ok', 'timeout', 'crashed', 'protocol-error', 'no-tools'];
+
+/**
+ * Keep the last lines of a block of output
+ * @param {string} text - Output text
+ * @param {number} [maxLines] - Maximum number of lines (default 20)
+ * @param {number} [maxLength] - Maximum number of characters (default 2000)
+ * @returns {string} Tail of the output
+ */
+export function tailLines(text, maxLines = 20, maxLength = 2000) {
+  if (!text) {
+    return '';
+  }
+  
+  const tail = text.trimEnd().split('\n').slice(-maxLines).join('\n');
+  return tail.length > maxLength ? tail.slice(-maxLength) : tail;
+}
+
+/**
+ * Work out why a discovery session failed
+ * @param {Error} error - Error that ended the session
+ * @param {JsonRpcTransport} [transport] - Transport the session ran on
+ * @returns {string} 'timeout', 'crashed' or 'protocol-error'
+ */
+export function classifyFailure(error, transport = null) {
+  if (error instanceof JsonRpcTimeoutError) {
+    return 'timeout';
+  }
+  
+  // The server process died, or never produced a single message
+  if (transport?.exited || !transport?.firstMessageAt) {
+    return 'crashed';
+  }
+  
+  return 'protocol-error';
+}
+
+/**
+ * Create a per-server report with every field present
+ * @param {Object} fields - Known report fields
+ * @returns {Object} Server report
+ */
+export function createServerReport(fields = {}) {
+  return {
+    status: 'no-tools',
+    error: null,
+    warning: null,
+    transport: null,
+    exitCode: null,
+    timeToFirstResponseMs: null,
+    durationMs: null,
+    stderrTail: '',
+    extractionMethod: null,
+    toolCount: 0,
+    survivors: [],
+    checkedAt: new Date().toISOString(),
+    ...fields
+  };
+}
+
+/**
+ * Build the report for a finished discovery session
+ * 
+ * An error that still left tools behind (legacy scraping after a failed
+ * JSON-RPC exchange) is recorded as a warning, not as the session's error.
+ * @param {Object} options - Session details
+ * @param {Object} options.result - Discovery result
+ * @param {JsonRpcTransport} options.transport - Transport the session ran on
+ * @param {Error} [options.error] - Error that ended the JSON-RPC exchange, if any
+ * @param {number} options.startedAt - Session start time (ms since epoch)
+ * @returns {Object} Server report
+ */
+export function reportFromSession({ result, transport, error = null, startedAt }) {
+  let status;
+  if (result.tools.length > 0) {
+    status = 'ok';
+  } else if (error) {
+    status = classifyFailure(error, transport);
+  } else {
+    status = 'no-tools';
+  }
+  
+  return createServerReport({
+    status,
+    error: error && status !== 'ok' ? error.message : null,
+    warning: error && status === 'ok' ? error.message : null,
+    transport: result.transport,
+    exitCode: transport.exitCode ?? null,
+    timeToFirstResponseMs: transport.firstMessageAt ? transport.firstMessageAt - startedAt : null,
+    durationMs: Date.now() - startedAt,
+    stderrTail: tailLines(transport.stderr),
+    extractionMethod: result.extractionMethod,
+    toolCount: result.tools.length,
+    survivors: result.survivors || []
+  });
+}
+
+/**
+ * Get the path of the health report written next to the markdown file
+ * @param {string} markdownPath - Path of the generated markdown
+ * @returns {string} Path of the JSON report
+ */
+export function getHealthReportPath(markdownPath) {
+  const parsed = path.parse(markdownPath);
+  return path.join(parsed.dir, `${parsed.name}.health.json`);
+}
+
+/**
+ * Collect the per-server reports of a discovery run
+ * @param {Object} parsedData - Parsed server data ({ servers })
+ * @returns {Object} Report with generatedAt, summary counts per status and servers
+ */
+export function buildHealthReport(parsedData) {
+  const servers = {};
+  const summary = Object.fromEntries(REPORT_STATUSES.map(status => [status, 0]));
+  
+  for (const [serverId, server] of Object.entries(parsedData.servers || {})) {
+    if (!server.report) {
+      continue;
+    }
+    
+    servers[serverId] = server.report;
+    summary[server.report.status] = (summary[server.report.status] || 0) + 1;
+  }
+  
+  return {
+    generatedAt: new Date().toISOString(),
+    summary,
+    servers
+  };
+}
+
+/**
+ * Write a health report next to the markdown file
+ * 
+ * Goes through writeDocument() like every other generated document.
+ * @param {string} markdownPath - Path of the generated markdown
+ * @param {Object} report - Report from buildHealthReport()
+ * @param {Object} [config] - Configuration object, for the backup options
+ * @returns {Promise<string>} Path the report was written to
+ */
+export async function writeHealthReport(markdownPath, report, config = {}) {
+  const reportPath = getHealthReportPath(markdownPath);
+  await writeDocument(reportPath, `${JSON.stringify(report, null, 2)}\n`, config);
+  return reportPath;
+}
+
+/**
+ * Read the health report written next to the markdown file
+ * @param {string} markdownPath - Path of the generated markdown
+ * @returns {Promise<Object|null>} Report, or null if none has been written
+ */
+export async function readHealthReport(markdownPath) {
+  const reportPath = getHealthReportPath(markdownPath);
+  if (!await fs.pathExists(reportPath)) {
+    return null;
+  }
+  return fs.readJson(reportPath);
+}
+
+export default {
+  createServerReport,
+  reportFromSession,
+  buildHealthReport,
+  getHealthReportPath,
+  writeHealthReport,
+  readHealthReport
+};
@@ -0,0 +1,47 @@
+import JSON5 from 'json5';
+
+/**
+ * Error raised when a settings file cannot be parsed
+ */
+export class JsoncParseError extends Error {
+  /**
+   * Create a new parse error
+   * @param {string} message - Error message
+   * @param {number} line - Line of the error, starting at 1
+   * @param {number} column - Column of the error, starting at 1
+   * @param {string} [filePath] - File that was being parsed
+   */
+  constructor(message, line, column, filePath = null) {
+    super(message);
+    this.name = 'JsoncParseError';
+    this.line = line;
+    this.column = column;
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Parse JSON that may contain comments and trailing commas
+ * 
+ * Accepts JSONC as written by VS Code and its forks, and the rest of JSON5
+ * (single-quoted strings, unquoted keys). A leading byte order mark is
+ * ignored. Errors are raised as JsoncParseError with the line and column of
+ * the offending character.
+ * @param {string} text - Text to parse
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.filePath] - File the text was read from, for error messages
+ * @returns {any} Parsed value
+ */
+export function parseJsonc(text, options = {}) {
+  try {
+    return JSON5.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    const line = error.lineNumber ?? 1;
+    const column = error.columnNumber ?? 1;
+    // JSON5 messages look like "JSON5: invalid character '}' at 3:1"
+    const reason = error.message.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, '');
+    throw new JsoncParseError(`${reason} at line ${line}, column ${column}`, line, column, options.filePath || null);
+  }
+}
+
+export default { JsoncParseError, parseJsonc };
@@ -0,0 +1,214 @@
+import { EventEmitter } from 'events';
+import { requiresRediscovery } from './settings-diff.js';
+
+// Notifications that announce a changed feature list, by the kind they affect
+export const LIST_CHANGED_NOTIFICATIONS = {
+  'notifications/tools/list_changed': 'tools',
+  'notifications/resources/list_changed': 'resources',
+  'notifications/prompts/list_changed': 'prompts'
+};
+
+/**
+ * Resolve which servers should be kept connected in live mode
+ * 
+ * Live mode is opt-in through `discovery.live.enabled`, and only the servers
+ * listed in `discovery.live.servers` are kept connected ('*' selects every
+ * server). Disabled servers are never connected.
+ * @param {Object} config - Configuration object
+ * @param {Object} mcpServers - Server configurations from the settings file
+ * @returns {string[]} IDs of the servers to keep connected
+ */
+export function resolveLiveServers(config, mcpServers = {}) {
+  const live = config.discovery?.live;
+  if (!live?.enabled || config.discovery?.enabled === false) {
+    return [];
+  }
+  
+  const selected = live.servers || [];
+  return Object.entries(mcpServers || {})
+    .filter(([serverId, serverConfig]) => serverConfig.disabled !== true &&
+      (selected.includes('*') || selected.includes(serverId)))
+    .map(([serverId]) => serverId);
+}
+
+/**
+ * Live discovery sessions
+ * 
+ * Keeps long-running connections to selected servers and re-lists their
+ * tools, resources or prompts when they send a list_changed notification.
+ * Notifications are debounced per server, and a 'changed' event is emitted
+ * with the server ID and the kinds that were refreshed.
+ */
+export class LiveSessionManager extends EventEmitter {
+  /**
+   * Create a new live session manager
+   * @param {Object} config - Configuration object
+   * @param {MCPToolDiscovery} toolDiscovery - Discovery instance used to open sessions
+   */
+  constructor(config, toolDiscovery) {
+    super();
+    this.config = config;
+    this.toolDiscovery = toolDiscovery;
+    this.sessions = new Map();
+    this.debounce = config.discovery?.live?.debounce ?? 500;
+  }
+
+  /**
+   * Check whether live mode is enabled
+   * @returns {boolean} True if live sessions should be opened
+   */
+  isEnabled() {
+    return this.config.discovery?.live?.enabled === true && this.config.discovery?.enabled !== false;
+  }
+
+  /**
+   * Bring the open sessions in line with the settings file
+   * 
+   * Opens sessions for newly selected servers, and closes sessions of servers
+   * that were removed, disabled, deselected or whose launch configuration changed
+   * (those are reopened with the new configuration).
+   * @param {Object} mcpServers - Server configurations from the settings file
+   * @returns {Promise<void>}
+   */
+  async sync(mcpServers) {
+    const wanted = resolveLiveServers(this.config, mcpServers);
+    
+    for (const [serverId, entry] of [...this.sessions]) {
+      if (!wanted.includes(serverId) || requiresRediscovery(entry.serverConfig, mcpServers[serverId])) {
+        await this.close(serverId);
+      }
+    }
+    
+    const opening = wanted.filter(serverId => !this.sessions.has(serverId));
+    await this.toolDiscovery.variables.promptInputs(opening.map(serverId => mcpServers[serverId]));
+    await Promise.all(opening.map(serverId => this.open(serverId, mcpServers[serverId])));
+  }
+
+  /**
+   * Open a live session for a server
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration
+   * @returns {Promise<boolean>} True if the session was opened
+   */
+  async open(serverId, serverConfig) {
+    let session;
+    try {
+      session = await this.toolDiscovery.openLiveSession(serverId, serverConfig);
+    } catch (error) {
+      this.emit('warning', `Failed to open live session for ${serverId}: ${error.message}`);
+      return false;
+    }
+    
+    const entry = { serverConfig, session, pending: new Set(), timer: null, refreshing: false };
+    this.sessions.set(serverId, entry);
+    
+    session.transport.on('notification', (message) => this.handleNotification(serverId, message));
+    session.transport.on('exit', (code) => {
+      // Sessions closed by us are removed from the map first
+      if (this.sessions.get(serverId) !== entry) {
+        return;
+      }
+      
+      clearTimeout(entry.timer);
+      this.sessions.delete(serverId);
+      this.toolDiscovery.closeSession(session).catch(error =>
+        this.emit('warning', `Failed to tear down live session for ${serverId}: ${error.message}`));
+      this.emit('warning', `Live session for ${serverId} ended${code !== null ? ` (exit code ${code})` : ''}`);
+      this.emit('closed', { serverId, code });
+    });
+    
+    this.emit('info', `Live session opened for ${serverId}`);
+    return true;
+  }
+
+  /**
+   * Handle a notification sent by a live server
+   * @param {string} serverId - Server ID
+   * @param {Object} message - JSON-RPC notification
+   * @private
+   */
+  handleNotification(serverId, message) {
+    const kind = LIST_CHANGED_NOTIFICATIONS[message.method];
+    const entry = this.sessions.get(serverId);
+    if (!kind || !entry) {
+      return;
+    }
+    
+    this.emit('debug', `Received ${message.method} from ${serverId}`);
+    entry.pending.add(kind);
+    
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this.refresh(serverId);
+    }, this.debounce);
+  }
+
+  /**
+   * Re-list the feature kinds a server announced as changed
+   * @param {string} serverId - Server ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async refresh(serverId) {
+    const entry = this.sessions.get(serverId);
+    if (!entry) {
+      return;
+    }
+    
+    // A running refresh picks up kinds that were announced in the meantime
+    if (entry.refreshing) {
+      return;
+    }
+    
+    entry.refreshing = true;
+    while (entry.pending.size > 0 && this.sessions.get(serverId) === entry) {
+      const kinds = [...entry.pending];
+      entry.pending.clear();
+      
+      try {
+        const result = await this.toolDiscovery.refreshLiveSession(serverId, entry.serverConfig, entry.session, kinds);
+        this.emit('info', `Refreshed ${kinds.join(', ')} for ${serverId}`);
+        this.emit('changed', { serverId, kinds, result });
+      } catch (error) {
+        this.emit('warning', `Failed to refresh ${kinds.join(', ')} for ${serverId}: ${error.message}`);
+      }
+    }
+    entry.refreshing = false;
+  }
+
+  /**
+   * Close the live session of a server
+   * @param {string} serverId - Server ID
+   * @returns {Promise<void>}
+   */
+  async close(serverId) {
+    const entry = this.sessions.get(serverId);
+    if (!entry) {
+      return;
+    }
+    
+    clearTimeout(entry.timer);
+    this.sessions.delete(serverId);
+    await this.toolDiscovery.closeSession(entry.session);
+    this.emit('info', `Live session closed for ${serverId}`);
+  }
+
+  /**
+   * Close every live session
+   * @returns {Promise<void>}
+   */
+  async closeAll() {
+    await Promise.all([...this.sessions.keys()].map(serverId => this.close(serverId)));
+  }
+
+  /**
+   * Get the IDs of the servers with an open live session
+   * @returns {string[]} Server IDs
+   */
+  getServerIds() {
+    return [...this.sessions.keys()];
+  }
+}
+
+export default LiveSessionManager;
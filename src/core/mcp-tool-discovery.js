@@ -1,6 +1,43 @@
+import fs from 'fs-extra';
 import { EventEmitter } from 'events';
-import { spawn } from 'child_process';
-import { setTimeout as setTimeoutPromise } from 'timers/promises';
+import { createTransport, resolveTransportType, JsonRpcError, JsonRpcTimeoutError } from './transports/index.js';
+import { DiscoveryCache, computeFingerprint } from './discovery-cache.js';
+import { resolveSandboxProfile, buildSandboxLaunch, findRelativePathArgs, createSandboxDirectory } from './discovery-sandbox.js';
+import { createServerReport, reportFromSession } from './health-report.js';
+import { VariableResolver } from './variables.js';
+
+// MCP protocol revision requested during the initialize handshake
+export const MCP_PROTOCOL_VERSION = '2025-06-18';
+
+// Client identity reported to servers during the initialize handshake
+export const CLIENT_INFO = {
+  name: 'mcp-config-watcher',
+  version: '1.0.1'
+};
+
+/**
+ * Wait for a promise, or reject as soon as a signal aborts
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Signal that ends the wait early
+ * @returns {Promise} Settles like the promise unless the signal aborts first
+ */
+function untilAborted(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason instanceof Error ? signal.reason : new Error('Discovery aborted'));
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    // The first settlement wins, later ones are ignored
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
 
 /**
  * MCP Direct Tool Discovery
@@ -17,180 +54,712 @@ export class MCPToolDiscovery extends EventEmitter {
     super();
     this.config = config;
     this.cachedTools = new Map();
+    this.cachedFingerprints = new Map();
+    this.reports = new Map();
+    
+    // Persistent cache shared across runs, see config.discovery.cache
+    this.cache = new DiscoveryCache(config);
+    this.cache.on('warning', message => this.emit('warning', message));
+    this.cache.on('debug', message => this.emit('debug', message));
+    
+    // Placeholders in launch configurations, see config.discovery.variables
+    this.variables = new VariableResolver(config);
+    this.variables.on('warning', message => this.emit('warning', message));
   }
 
   /**
    * Discover tools directly from an MCP server
    * @param {string} serverId - Server ID
    * @param {Object} serverConfig - Server configuration 
-   * @returns {Promise<string[]>} Discovered tools
+   * @param {Object} [options] - Discovery options, see discoverServer()
+   * @returns {Promise<Object[]>} Discovered tools with name, title, description,
+   *   inputSchema, outputSchema and annotations
+   */
+  async discoverTools(serverId, serverConfig, options = {}) {
+    const result = await this.discoverServer(serverId, serverConfig, options);
+    return result.tools;
+  }
+
+  /**
+   * Discover tools and handshake metadata directly from an MCP server
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration
+   * @param {Object} [options] - Discovery options
+   * @param {AbortSignal} [options.signal] - Aborts the session; the server is torn
+   *   down before the returned promise settles and nothing is cached
+   * @returns {Promise<Object>} Discovery result with tools, protocolVersion, serverInfo and capabilities
    */
-  async discoverTools(serverId, serverConfig) {
-    // Check if we have cached tools for this server ID
-    if (this.cachedTools.has(serverId)) {
+  async discoverServer(serverId, serverConfig, options = {}) {
+    // Cached results only apply while the server's launch fingerprint is unchanged
+    const fingerprint = computeFingerprint(serverConfig);
+    if (this.cachedTools.has(serverId) && this.cachedFingerprints.get(serverId) === fingerprint) {
       this.emit('debug', `Using cached tools for ${serverId}`);
       return this.cachedTools.get(serverId);
     }
+    
+    const persisted = await this.cache.get(serverId, serverConfig);
+    if (persisted) {
+      this.emit('debug', `Using persisted discovery result for ${serverId}`);
+      this.cachedTools.set(serverId, persisted);
+      this.cachedFingerprints.set(serverId, fingerprint);
+      if (persisted.report) {
+        this.reports.set(serverId, { ...persisted.report, cached: true });
+      }
+      return persisted;
+    }
+    
+    // A fresh report is recorded by this attempt, and results of an earlier
+    // launch configuration must not outlive it if it fails
+    this.reports.delete(serverId);
+    this.cachedTools.delete(serverId);
+    this.cachedFingerprints.delete(serverId);
 
     try {
       this.emit('info', `Discovering tools for ${serverId}`);
       
-      // Extract command and args from server config
-      const command = serverConfig.command;
-      const args = serverConfig.args || [];
-      
-      if (!command) {
+      // Stdio servers need a command, remote servers an endpoint URL
+      const transportType = resolveTransportType(serverConfig);
+      if (transportType === 'stdio' && !serverConfig.command) {
         throw new Error(`No command defined for server ${serverId}`);
       }
+      if (transportType !== 'stdio' && !serverConfig.url) {
+        throw new Error(`No url defined for ${transportType} server ${serverId}`);
+      }
 
-      // Launch the MCP server and capture output
-      const tools = await this.queryServerForTools(command, args, serverConfig.env || {});
+      // Connect to the MCP server and run the discovery session
+      const result = await this.queryServerForTools(serverConfig, serverId, options);
+      await this.storeResult(serverId, serverConfig, result);
       
-      // Cache the discovered tools
-      this.cachedTools.set(serverId, tools);
+      if (result.protocolVersion) {
+        this.emit('debug', `Negotiated MCP protocol ${result.protocolVersion} with ${serverId}`);
+      }
+      this.emit('debug', `Discovered ${result.tools.length} tools for ${serverId}: ${result.tools.map(tool => tool.name).join(', ')}`);
+      return result;
+    } catch (error) {
+      if (options.signal?.aborted) {
+        this.emit('debug', `Discovery for ${serverId} aborted: ${error.message}`);
+      } else {
+        this.emit('error', `Failed to discover tools for ${serverId}: ${error.message}`);
+      }
       
-      this.emit('debug', `Discovered ${tools.length} tools for ${serverId}: ${tools.join(', ')}`);
-      return tools;
+      // Failures before a session was started (e.g. a missing command)
+      if (!this.reports.has(serverId)) {
+        this.reports.set(serverId, createServerReport({ status: 'crashed', error: error.message }));
+      }
+      return this.createEmptyResult();
+    }
+  }
+
+  /**
+   * Discover a server and keep its connection open for live updates
+   * 
+   * Runs the same initialize/list flow as discoverServer(), but leaves the
+   * transport running so the server can send list_changed notifications.
+   * The result is stored in the discovery caches like any other result.
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration
+   * @returns {Promise<Object>} Live session with transport, transportType, sandboxDir and result
+   */
+  async openLiveSession(serverId, serverConfig) {
+    const session = await this.openSession(serverConfig, serverId);
+    const { transport } = session;
+    const remaining = this.createDeadline();
+    const result = this.createEmptyResult();
+    result.transport = session.transportType;
+    
+    const startedAt = Date.now();
+    try {
+      await transport.start();
+      await this.initializeSession(transport, result, remaining);
+      await this.listTools(transport, result, remaining);
+      await this.listServerFeatures(transport, result, remaining);
+      
+      // Streamable HTTP servers only push notifications over a separate GET stream
+      if (session.transportType === 'http') {
+        await transport.openEventStream();
+      }
     } catch (error) {
-      this.emit('error', `Failed to discover tools for ${serverId}: ${error.message}`);
-      return [];
+      await this.closeSession(session);
+      this.reports.set(serverId, reportFromSession({ result, transport, error, startedAt }));
+      throw error;
     }
+    
+    result.report = reportFromSession({ result, transport, error: null, startedAt });
+    this.reports.set(serverId, result.report);
+    await this.storeResult(serverId, serverConfig, result);
+    
+    session.result = result;
+    return session;
+  }
+
+  /**
+   * Re-list the features of a live session after a list_changed notification
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration
+   * @param {Object} session - Session returned by openLiveSession()
+   * @param {string[]} kinds - Feature kinds to refresh: tools, resources and/or prompts
+   * @returns {Promise<Object>} Updated discovery result
+   */
+  async refreshLiveSession(serverId, serverConfig, session, kinds) {
+    const remaining = this.createDeadline();
+    const methods = {
+      tools: ['tools/list'],
+      resources: ['resources/list', 'resources/templates/list'],
+      prompts: ['prompts/list']
+    };
+    const refreshed = kinds.flatMap(kind => methods[kind] || []);
+    const result = {
+      ...session.result,
+      truncated: session.result.truncated.filter(method => !refreshed.includes(method))
+    };
+    
+    if (kinds.includes('tools')) {
+      await this.listTools(session.transport, result, remaining);
+    }
+    await this.listServerFeatures(session.transport, result, remaining, kinds.filter(kind => kind !== 'tools'));
+    
+    result.report = { ...result.report, toolCount: result.tools.length, checkedAt: new Date().toISOString() };
+    this.reports.set(serverId, result.report);
+    await this.storeResult(serverId, serverConfig, result);
+    
+    session.result = result;
+    return result;
+  }
+
+  /**
+   * Close a session and tear down everything it launched
+   * @param {Object} session - Session returned by openLiveSession()
+   * @returns {Promise<void>}
+   */
+  async closeSession(session) {
+    await session.transport.close();
+    
+    if (session.sandboxDir) {
+      await fs.remove(session.sandboxDir).catch(error =>
+        this.emit('debug', `Failed to remove sandbox directory ${session.sandboxDir}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Get the health report of the last discovery attempt for a server
+   * @param {string} serverId - Server ID
+   * @returns {Object|null} Report with status, exitCode, timeToFirstResponseMs,
+   *   stderrTail and extractionMethod, or null if the server was never discovered
+   */
+  getReport(serverId) {
+    return this.reports.get(serverId) || null;
+  }
+
+  /**
+   * Get the result recorded for a server in this process
+   * @param {string} serverId - Server ID
+   * @param {Object} [serverConfig] - Current server configuration; results of
+   *   another launch configuration are ignored when given
+   * @returns {Object|null} Discovery result, or null if unknown or stale
+   * @private
+   */
+  getCurrentResult(serverId, serverConfig = null) {
+    const result = this.cachedTools.get(serverId);
+    if (!result || (serverConfig && this.cachedFingerprints.get(serverId) !== computeFingerprint(serverConfig))) {
+      return null;
+    }
+    return result;
+  }
+
+  /**
+   * Get the handshake metadata recorded for a server during discovery
+   * @param {string} serverId - Server ID
+   * @param {Object} [serverConfig] - Current server configuration, see getCurrentResult()
+   * @returns {Object|null} protocolVersion, serverInfo and capabilities, or null if unknown
+   */
+  getServerInfo(serverId, serverConfig = null) {
+    const result = this.getCurrentResult(serverId, serverConfig);
+    if (!result || !result.protocolVersion) {
+      return null;
+    }
+    
+    return {
+      protocolVersion: result.protocolVersion,
+      serverInfo: result.serverInfo,
+      capabilities: result.capabilities
+    };
+  }
+
+  /**
+   * Get the last discovery result of a server without launching it
+   * 
+   * The persistent cache is searched first, regardless of the server's
+   * current fingerprint or the TTL; results of this process are used when
+   * the cache is disabled.
+   * @param {string} serverId - Server ID
+   * @returns {Promise<Object|null>} Object with result and cachedAt (null when unknown), or null
+   */
+  async getLastKnownResult(serverId) {
+    const latest = await this.cache.getLatest(serverId);
+    if (latest) {
+      return latest;
+    }
+    
+    return this.cachedTools.has(serverId) ? { result: this.cachedTools.get(serverId), cachedAt: null } : null;
+  }
+
+  /**
+   * Get the full tool metadata recorded for a server during discovery
+   * @param {string} serverId - Server ID
+   * @param {Object} [serverConfig] - Current server configuration, see getCurrentResult()
+   * @returns {Object} Map of tool names to tool objects
+   */
+  getToolDetails(serverId, serverConfig = null) {
+    const result = this.getCurrentResult(serverId, serverConfig);
+    const details = {};
+    
+    for (const tool of result?.tools || []) {
+      details[tool.name] = tool;
+    }
+    
+    return details;
+  }
+
+  /**
+   * Get the resources, resource templates and prompts recorded for a server
+   * @param {string} serverId - Server ID
+   * @param {Object} [serverConfig] - Current server configuration, see getCurrentResult()
+   * @returns {Object} Object with resources, resourceTemplates and prompts arrays
+   */
+  getServerFeatures(serverId, serverConfig = null) {
+    const result = this.getCurrentResult(serverId, serverConfig);
+    
+    return {
+      resources: result?.resources || [],
+      resourceTemplates: result?.resourceTemplates || [],
+      prompts: result?.prompts || []
+    };
+  }
+
+  /**
+   * Normalize a tool definition from a tools/list response
+   * @param {Object} tool - Raw tool definition
+   * @returns {Object} Tool with name, title, description, inputSchema, outputSchema and annotations
+   * @private
+   */
+  normalizeTool(tool) {
+    return {
+      name: tool.name,
+      title: tool.title || tool.annotations?.title || null,
+      description: typeof tool.description === 'string' ? tool.description.trim() : null,
+      inputSchema: tool.inputSchema || null,
+      outputSchema: tool.outputSchema || null,
+      annotations: tool.annotations || {}
+    };
+  }
+
+  /**
+   * Create an empty discovery result
+   * @returns {Object} Discovery result without tools or handshake metadata
+   * @private
+   */
+  createEmptyResult() {
+    return {
+      tools: [],
+      protocolVersion: null,
+      serverInfo: null,
+      capabilities: null,
+      resources: [],
+      resourceTemplates: [],
+      prompts: [],
+      truncated: [],
+      survivors: [],
+      report: null,
+      transport: null,
+      extractionMethod: null
+    };
+  }
+
+  /**
+   * Store a discovery result in the in-memory and persistent caches
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration
+   * @param {Object} result - Discovery result
+   * @returns {Promise<void>}
+   * @private
+   */
+  async storeResult(serverId, serverConfig, result) {
+    this.cachedTools.set(serverId, result);
+    this.cachedFingerprints.set(serverId, computeFingerprint(serverConfig));
+    await this.cache.set(serverId, serverConfig, result);
+  }
+
+  /**
+   * Start a deadline for one discovery session
+   * @returns {Function} Returns the milliseconds left before the deadline
+   * @private
+   */
+  createDeadline() {
+    const timeout = this.config.discovery?.timeout || 10000; // Default 10 seconds
+    const deadline = Date.now() + timeout;
+    return () => Math.max(0, deadline - Date.now());
+  }
+
+  /**
+   * Create the transport for a server, launching it sandboxed if it is a stdio server
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} [serverId] - Server ID, used to pick the sandbox profile
+   * @returns {Promise<Object>} Session with transport, transportType and sandboxDir
+   * @private
+   */
+  async openSession(serverConfig, serverId = null) {
+    // Placeholders are only substituted for the launch, caches and docs keep the written form
+    const launchConfig = this.variables.resolveForLaunch(serverId, serverConfig);
+    const transportType = resolveTransportType(launchConfig);
+    
+    const { sandboxDir, ...launchOptions } = transportType === 'stdio'
+      ? await this.prepareStdioLaunch(serverId, launchConfig)
+      : {};
+    const transport = createTransport(launchConfig, {
+      ...launchOptions,
+      requestTimeout: this.config.discovery?.timeout || 10000,
+      killGracePeriod: this.config.discovery?.killGracePeriod
+    });
+    transport.on('debug', (message) => this.emit('debug', message));
+    transport.on('warning', (message) => this.emit('warning', message));
+    transport.on('log', (line) => this.emit('debug', `Server log: ${line.substring(0, 200)}`));
+    
+    return { transport, transportType, sandboxDir: sandboxDir || null, result: null };
+  }
+
+  /**
+   * Prepare the sandboxed launch of a stdio server
+   * 
+   * Applies the server's sandbox profile (see `discovery.sandbox`): the
+   * inherited environment is reduced to an allowlist, the server runs in a
+   * fresh temporary directory unless it declares its own `cwd` or refers to
+   * files relative to the watcher's working directory, and discovery
+   * hint flags are only added when the profile asks for them.
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration
+   * @returns {Promise<Object>} Object with args, env, cwd and the sandboxDir to remove afterwards
+   * @private
+   */
+  async prepareStdioLaunch(serverId, serverConfig) {
+    const profile = resolveSandboxProfile(this.config, serverId);
+    const { args, env } = buildSandboxLaunch(profile, serverConfig);
+    
+    let cwd = serverConfig.cwd || null;
+    let sandboxDir = null;
+    const relativeArgs = !cwd && profile.tempCwd ? findRelativePathArgs(serverConfig.args) : [];
+    if (relativeArgs.length > 0) {
+      this.emit('debug', `Not using a temporary directory for ${serverId}, its args refer to relative paths: ${relativeArgs.join(', ')}`);
+    } else if (!cwd && profile.tempCwd) {
+      sandboxDir = await createSandboxDirectory();
+      cwd = sandboxDir;
+    }
+    
+    this.emit('debug', `Launching ${serverId} with ${Object.keys(env).length} environment variables${cwd ? ` in ${cwd}` : ''}`);
+    return { args, env, cwd, sandboxDir };
   }
 
   /**
    * Query an MCP server for its available tools
-   * @param {string} command - Command to run
-   * @param {string[]} args - Command arguments
-   * @param {Object} env - Environment variables
-   * @returns {Promise<string[]>} Array of tool names
+   * 
+   * Picks the stdio, SSE or Streamable HTTP transport from the server entry
+   * and runs the same initialize/list flow over it.
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} [serverId] - Server ID, used to pick the sandbox profile
+   * @param {Object} [options] - Discovery options
+   * @param {AbortSignal} [options.signal] - Ends the session early
+   * @returns {Promise<Object>} Discovery result with tools and handshake metadata
    * @private
    */
-  async queryServerForTools(command, args, env) {
-    return new Promise((resolve, reject) => {
-      // Merge process.env with the provided env
-      const processEnv = { ...process.env, ...env };
-      
-      // Add environment variables to signal tool discovery mode
-      // Using multiple standard environment variables to maximize compatibility
-      processEnv.MCP_LIST_FUNCTIONS = 'true';
-      processEnv.MCP_DISCOVERY_MODE = 'true';
-      processEnv.MCP_REQUIRE_DESCRIPTIONS = 'true';
-      processEnv.MCP_LIST_TOOLS = 'true';  // Alternative naming
-      processEnv.FUNCTIONS_DISCOVERY = 'true';  // Alternative naming
-      processEnv.NODE_ENV = 'discovery';  // Some servers check NODE_ENV
+  async queryServerForTools(serverConfig, serverId = null, options = {}) {
+    // Overall deadline for the whole discovery session
+    const remaining = this.createDeadline();
+    
+    const session = await this.openSession(serverConfig, serverId);
+    const { transport, transportType } = session;
+    
+    const result = this.createEmptyResult();
+    result.transport = transportType;
+    
+    const startedAt = Date.now();
+    let failure = null;
+    
+    try {
+      // An abort stops waiting right away, the session is torn down below
+      await untilAborted((async () => {
+        await transport.start();
+        
+        await this.initializeSession(transport, result, remaining);
+        await this.listTools(transport, result, remaining);
+        await this.listServerFeatures(transport, result, remaining);
+      })(), options.signal);
+      return result;
+    } catch (error) {
+      failure = error;
       
-      // Add specific CLI arguments for discovery if none are provided
-      let discoveryArgs = [...args];
-      if (args.length === 0) {
-        // Add standard discovery arguments that many MCP servers understand
-        discoveryArgs = ['--list-functions', '--discovery'];
+      if (options.signal?.aborted) {
+        throw error;
       }
       
-      // Log the command for debugging
-      this.emit('debug', `Running command: ${command} ${discoveryArgs.join(' ')}`);
+      if (transportType === 'stdio' && transport.exitCode !== null && transport.exitCode !== 0) {
+        this.emit('warning', `Server process exited with code ${transport.exitCode}`);
+        if (transport.stderr) {
+          this.emit('debug', `Error output: ${transport.stderr}`);
+        }
+      }
       
-      // Spawn the process
-      const childProcess = spawn(command, discoveryArgs, {
-        env: processEnv,
-        shell: true
-      });
-
-      let output = '';
-      let errorOutput = '';
+      // Only stdio servers produce raw output that can be scraped
+      if (!this.config.discovery?.legacyScrape || transportType !== 'stdio') {
+        throw error;
+      }
       
-      // Send JSON-RPC request for tool listing once the process is ready
-      // Standard MCP protocol requires a JSON-RPC 2.0 request
-      const jsonRpcRequest = JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'tools/list',
-        params: {}
-      }) + '\n';
+      this.emit('debug', `JSON-RPC discovery failed (${error.message}), falling back to legacy output scraping`);
+      return this.scrapeToolsFromOutput(transport, result);
+    } finally {
+      await this.closeSession(session);
+      // Processes that outlived the teardown, reported by the stdio transport
+      result.survivors = transport.survivors || [];
       
-      // Allow process to start up
-      setTimeout(() => {
-        try {
-          // Write JSON-RPC request to stdin
-          if (childProcess.stdin.writable) {
-            this.emit('debug', `Sending JSON-RPC request: ${jsonRpcRequest.trim()}`);
-            childProcess.stdin.write(jsonRpcRequest);
-          }
-        } catch (error) {
-          this.emit('debug', `Failed to write to stdin: ${error.message}`);
-        }
-      }, 500);
+      result.report = reportFromSession({ result, transport, error: failure, startedAt });
+      if (serverId) {
+        this.reports.set(serverId, result.report);
+      }
+    }
+  }
+
+  /**
+   * List the server's tools and record them on the result
+   * @param {JsonRpcTransport} transport - Initialized transport
+   * @param {Object} result - Discovery result to record the tools on
+   * @param {Function} remaining - Returns the milliseconds left before the deadline
+   * @returns {Promise<void>}
+   * @private
+   */
+  async listTools(transport, result, remaining) {
+    const tools = await this.listAll(transport, 'tools/list', 'tools', result, remaining);
+    result.tools = tools
+      .filter(tool => tool && tool.name)
+      .map(tool => this.normalizeTool(tool));
+    result.extractionMethod = 'json-rpc';
+    
+    this.emit('debug', `Received tools/list response with ${result.tools.length} tools`);
+  }
+
+  /**
+   * Run the MCP lifecycle handshake on a transport
+   * 
+   * Records the negotiated protocol version, serverInfo and capabilities on
+   * the result. Servers that reject or ignore initialize are still given a
+   * chance to answer tools/list.
+   * @param {JsonRpcTransport} transport - Started transport
+   * @param {Object} result - Discovery result to record metadata on
+   * @param {Function} remaining - Returns the milliseconds left before the deadline
+   * @returns {Promise<void>}
+   * @private
+   */
+  async initializeSession(transport, result, remaining) {
+    const initializeTimeout = Math.min(this.config.discovery?.initializeTimeout || 5000, remaining());
+    
+    try {
+      const initResult = await transport.request('initialize', {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: CLIENT_INFO
+      }, { timeout: initializeTimeout });
       
-      // Collect stdout
-      childProcess.stdout.on('data', (data) => {
-        const chunk = data.toString();
-        output += chunk;
-        
-        // Check if the chunk looks like a JSON-RPC response
-        if (chunk.includes('"jsonrpc"') && (chunk.includes('"result"') || chunk.includes('"error"'))) {
-          this.emit('debug', `Received potential JSON-RPC response: ${chunk.substring(0, 100)}...`);
-        }
-        
-        // Look for function descriptions in real-time
-        if (chunk.includes('function') && chunk.includes('name')) {
-          this.emit('debug', `Received potential tool data: ${chunk.substring(0, 100)}...`);
-        }
-      });
+      result.protocolVersion = initResult?.protocolVersion || null;
+      result.serverInfo = initResult?.serverInfo || null;
+      result.capabilities = initResult?.capabilities || {};
       
-      // Collect stderr
-      childProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
+      if (result.protocolVersion) {
+        transport.setProtocolVersion(result.protocolVersion);
+      }
       
-      // Handle process completion
-      childProcess.on('close', (code) => {
-        if (code !== 0 && code !== null) {
-          this.emit('warning', `Server process exited with code ${code}`);
-          if (errorOutput) {
-            this.emit('debug', `Error output: ${errorOutput}`);
-          }
-        } else if (code === null) {
-          // This is expected when we kill the process
-          this.emit('debug', `Server process was terminated as expected`);
-        }
-        
-        // Extract tools from output
-        const tools = this.extractToolsFromOutput(output);
-        
-        // If we still couldn't find tools, try again with any stderr output
-        // (Some servers might output function info to stderr)
-        if (tools.length === 0 && errorOutput) {
-          const errorTools = this.extractToolsFromOutput(errorOutput);
-          if (errorTools.length > 0) {
-            this.emit('debug', `Found ${errorTools.length} tools in stderr output`);
-            resolve(errorTools);
-            return;
-          }
-        }
-        
-        resolve(tools);
-      });
+      if (result.protocolVersion && result.protocolVersion !== MCP_PROTOCOL_VERSION) {
+        this.emit('debug', `Server negotiated protocol version ${result.protocolVersion}`);
+      }
+    } catch (error) {
+      if (error instanceof JsonRpcTimeoutError) {
+        this.emit('debug', `No initialize response after ${initializeTimeout}ms, requesting tools anyway`);
+        return;
+      }
+      if (!(error instanceof JsonRpcError) || error.code === null) {
+        throw error;
+      }
+      this.emit('warning', `Server rejected initialize: ${error.message}`);
+    }
+    
+    transport.notify('notifications/initialized');
+  }
+
+  /**
+   * Request every page of a paginated list method
+   * 
+   * Follows `nextCursor` until the server stops returning one or the
+   * `discovery.maxPages` cap is reached. Truncated lists are reported with a
+   * warning and recorded in `result.truncated`.
+   * @param {JsonRpcTransport} transport - Initialized transport
+   * @param {string} method - List method (e.g. tools/list)
+   * @param {string} key - Result key holding the items (e.g. tools)
+   * @param {Object} result - Discovery result to record truncation on
+   * @param {Function} remaining - Returns the milliseconds left before the deadline
+   * @returns {Promise<Object[]>} Items from all fetched pages
+   * @private
+   */
+  async listAll(transport, method, key, result, remaining) {
+    const maxPages = this.config.discovery?.maxPages || 20;
+    const items = [];
+    const seenCursors = new Set();
+    let cursor;
+    let pages = 0;
+    
+    do {
+      const params = cursor === undefined ? {} : { cursor };
+      const response = await transport.request(method, params, { timeout: remaining() });
+      items.push(...(response?.[key] || []));
+      pages++;
       
-      // Handle errors
-      childProcess.on('error', (error) => {
-        reject(new Error(`Failed to execute command: ${error.message}`));
-      });
+      cursor = response?.nextCursor;
+      if (cursor !== undefined && cursor !== null && seenCursors.has(cursor)) {
+        this.emit('warning', `Server returned a repeated cursor for ${method}, stopping pagination`);
+        break;
+      }
+      if (cursor !== undefined && cursor !== null) {
+        seenCursors.add(cursor);
+      }
       
-      // Set a timeout to kill the process if it runs too long
-      const timeout = this.config.discovery?.timeout || 10000; // Default 10 seconds
-      setTimeoutPromise(timeout).then(() => {
-        if (!childProcess.killed) {
-          childProcess.kill();
-          this.emit('info', `Completed discovery - terminated server process after ${timeout}ms`);
-          // Still try to extract tools from partial output
-          const tools = this.extractToolsFromOutput(output);
-          resolve(tools);
-        }
-      });
-    });
+      if (cursor !== undefined && cursor !== null && pages >= maxPages) {
+        this.emit('warning', `${method} truncated after ${maxPages} pages (${items.length} entries); increase discovery.maxPages to fetch the rest`);
+        result.truncated.push(method);
+        break;
+      }
+    } while (cursor !== undefined && cursor !== null);
+    
+    if (pages > 1) {
+      this.emit('debug', `Fetched ${items.length} entries for ${method} across ${pages} pages`);
+    }
+    
+    return items;
+  }
+
+  /**
+   * List resources, resource templates and prompts advertised by the server
+   * 
+   * Only capabilities the server declared during initialize are queried.
+   * Failures are reported but never fail the discovery of tools.
+   * @param {JsonRpcTransport} transport - Initialized transport
+   * @param {Object} result - Discovery result to fill in
+   * @param {Function} remaining - Returns the milliseconds left before the deadline
+   * @param {string[]} [kinds] - Feature kinds to list: resources and/or prompts
+   * @returns {Promise<void>}
+   * @private
+   */
+  async listServerFeatures(transport, result, remaining, kinds = ['resources', 'prompts']) {
+    const capabilities = result.capabilities || {};
+    const requests = [];
+    
+    if (capabilities.resources && kinds.includes('resources')) {
+      requests.push(['resources/list', 'resources', 'resources', resource => this.normalizeResource(resource)]);
+      requests.push(['resources/templates/list', 'resourceTemplates', 'resourceTemplates', template => this.normalizeResourceTemplate(template)]);
+    }
+    if (capabilities.prompts && kinds.includes('prompts')) {
+      requests.push(['prompts/list', 'prompts', 'prompts', prompt => this.normalizePrompt(prompt)]);
+    }
+    
+    for (const [method, responseKey, resultKey, normalize] of requests) {
+      try {
+        const items = await this.listAll(transport, method, responseKey, result, remaining);
+        result[resultKey] = items.map(normalize);
+        this.emit('debug', `Received ${method} response with ${result[resultKey].length} entries`);
+      } catch (error) {
+        this.emit('warning', `Failed to list ${resultKey}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Normalize a resource from a resources/list response
+   * @param {Object} resource - Raw resource
+   * @returns {Object} Resource with uri, name, title, description, mimeType and size
+   * @private
+   */
+  normalizeResource(resource) {
+    return {
+      uri: resource.uri,
+      name: resource.name || resource.uri,
+      title: resource.title || null,
+      description: typeof resource.description === 'string' ? resource.description.trim() : null,
+      mimeType: resource.mimeType || null,
+      size: resource.size ?? null
+    };
   }
 
   /**
-   * Extract tool names from server output
+   * Normalize a template from a resources/templates/list response
+   * @param {Object} template - Raw resource template
+   * @returns {Object} Template with uriTemplate, name, title, description and mimeType
+   * @private
+   */
+  normalizeResourceTemplate(template) {
+    return {
+      uriTemplate: template.uriTemplate,
+      name: template.name || template.uriTemplate,
+      title: template.title || null,
+      description: typeof template.description === 'string' ? template.description.trim() : null,
+      mimeType: template.mimeType || null
+    };
+  }
+
+  /**
+   * Normalize a prompt from a prompts/list response
+   * @param {Object} prompt - Raw prompt
+   * @returns {Object} Prompt with name, title, description and arguments
+   * @private
+   */
+  normalizePrompt(prompt) {
+    return {
+      name: prompt.name,
+      title: prompt.title || null,
+      description: typeof prompt.description === 'string' ? prompt.description.trim() : null,
+      arguments: (prompt.arguments || []).map(argument => ({
+        name: argument.name,
+        description: argument.description || null,
+        required: argument.required === true
+      }))
+    };
+  }
+
+  /**
+   * Guess tools from raw server output (legacy scrape mode)
+   * @param {StdioTransport} transport - Closed or failing stdio transport
+   * @param {Object} result - Discovery result to fill in
+   * @returns {Object} Discovery result
+   * @private
+   */
+  scrapeToolsFromOutput(transport, result) {
+    let tools = this.extractToolsFromOutput(transport.stdout);
+    
+    // Some servers might output function info to stderr
+    if (tools.length === 0 && transport.stderr) {
+      tools = this.extractToolsFromOutput(transport.stderr);
+      if (tools.length > 0) {
+        this.emit('debug', `Found ${tools.length} tools in stderr output`);
+      }
+    }
+    
+    if (tools.length > 0) {
+      this.emit('warning', `Tools were guessed by legacy output scraping and may be inaccurate: ${tools.join(', ')}`);
+      result.extractionMethod = 'legacy-scrape';
+    }
+    
+    result.tools = tools.map(name => this.normalizeTool({ name }));
+    return result;
+  }
+
+  /**
+   * Extract tool names from raw server output using heuristic patterns
+   * 
+   * Only used when `discovery.legacyScrape` is enabled; results may
+   * include names invented from log lines.
    * @param {string} output - Server output
    * @returns {string[]} Array of tool names
    * @private
@@ -398,10 +967,15 @@ export class MCPToolDiscovery extends EventEmitter {
   }
 
   /**
-   * Clear the tools cache
+   * Clear the tools cache, including the persistent cache when enabled
+   * @returns {Promise<void>}
    */
-  clearCache() {
+  async clearCache() {
     this.cachedTools.clear();
+    this.cachedFingerprints.clear();
+    if (this.cache.isEnabled()) {
+      await this.cache.invalidate();
+    }
     this.emit('info', 'Tool discovery cache cleared');
   }
 }
@@ -0,0 +1,106 @@
+import { isSecretKey } from '../secrets.js';
+
+// A value that is nothing but a placeholder such as ${input:api-key}
+const PLACEHOLDER_VALUE = /^\$\{[^}]+\}$/;
+
+// Version of the catalog layout described by mcp-catalog.schema.json
+export const CATALOG_SCHEMA_VERSION = 1;
+
+/**
+ * Mask the values of environment variables or headers that look like credentials
+ * 
+ * Values that are a single placeholder such as `${input:api-key}` hold no
+ * secret and are kept as written.
+ * @param {Object} pairs - Environment variables or headers
+ * @returns {Object} Copy with credential values replaced by `********`
+ */
+export function maskPairs(pairs = {}) {
+  return Object.fromEntries(Object.entries(pairs).map(([key, value]) =>
+    [key, isSecretKey(key) && !PLACEHOLDER_VALUE.test(value) ? '********' : value]));
+}
+
+/**
+ * Build the catalog entry of a server
+ * @param {string} serverId - Server ID
+ * @param {Object} server - Parsed server entry
+ * @param {Object|null} serverConfig - Server configuration from the settings
+ * @param {Function} describeTool - Returns the description of a tool
+ * @returns {Object} Catalog entry
+ * @private
+ */
+function buildServerEntry(serverId, server, serverConfig, describeTool) {
+  const autoApprove = server.autoApprove || serverConfig?.autoApprove || [];
+  const toolNames = [...new Set([...(server.tools || []), ...autoApprove])].sort();
+  
+  return {
+    id: serverId,
+    client: server.client || serverConfig?.client || null,
+    source: server.source || serverConfig?.source || null,
+    transport: server.transport || null,
+    command: server.command || null,
+    args: server.args || [],
+    url: server.url || null,
+    env: maskPairs(server.env),
+    headers: maskPairs(server.headers),
+    disabled: server.disabled === true,
+    autoApprove,
+    unresolved: server.unresolved || [],
+    protocolVersion: server.protocolVersion || null,
+    serverInfo: server.serverInfo || null,
+    // Only the status: durations change on every run
+    discovery: server.discovery ? { status: server.discovery.status } : null,
+    lastKnown: server.lastKnown || null,
+    tools: toolNames.map(toolName => {
+      const details = server.toolDetails?.[toolName] || null;
+      return {
+        name: toolName,
+        title: details?.title || null,
+        description: describeTool(toolName, details),
+        autoApproved: autoApprove.includes(toolName),
+        inputSchema: details?.inputSchema || null,
+        outputSchema: details?.outputSchema || null,
+        annotations: details?.annotations || null
+      };
+    }),
+    resources: server.resources || [],
+    resourceTemplates: server.resourceTemplates || [],
+    prompts: server.prompts || []
+  };
+}
+
+/**
+ * Build the machine-readable catalog of a run
+ * 
+ * The catalog is the model every output renderer works from: one entry per
+ * server, enabled servers first and then the documented disabled ones, with
+ * credentials masked the same way as in the markdown.
+ * @param {Object} data - Parsed MCP settings data
+ * @param {Object} settings - Settings catalog from readSettingsSources()
+ * @param {Object} [options] - Catalog options
+ * @param {Function} [options.describeTool] - Returns the description of a tool
+ *   from its name and discovered metadata
+ * @returns {Object} Catalog with schemaVersion, generatedAt, sources and servers
+ */
+export function buildCatalog(data, settings, options = {}) {
+  const describeTool = options.describeTool || ((toolName, details) => details?.description || null);
+  const mcpServers = settings?.mcpServers || {};
+  
+  const servers = [
+    ...Object.entries(data.servers || {}),
+    ...Object.entries(data.disabledServers || {})
+  ].map(([serverId, server]) => buildServerEntry(serverId, server, mcpServers[serverId] || null, describeTool));
+  
+  return {
+    schemaVersion: CATALOG_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    sources: (settings?.sources || []).map(({ name, path, format, servers: serverIds }) => ({
+      name,
+      path: path || null,
+      format: format || null,
+      servers: serverIds || []
+    })),
+    servers
+  };
+}
+
+export default { CATALOG_SCHEMA_VERSION, maskPairs, buildCatalog };
@@ -0,0 +1,30 @@
+// Columns of the CSV output, one row per tool
+const COLUMNS = ['server', 'tool', 'autoApproved'];
+
+/**
+ * Quote a CSV field if needed (RFC 4180)
+ * @param {any} value - Field value
+ * @returns {string} Field as written to the file
+ * @private
+ */
+function formatField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of server, tool and auto-approval rows
+ */
+export default {
+  id: 'csv',
+  label: 'CSV',
+  render: catalog => {
+    const rows = [COLUMNS];
+    for (const server of catalog.servers) {
+      for (const tool of server.tools) {
+        rows.push([server.id, tool.name, tool.autoApproved]);
+      }
+    }
+    return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * Escape text for HTML
+ * @param {any} value - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn a server ID into an element ID
+ * @param {string} serverId - Server ID
+ * @returns {string} Element ID
+ * @private
+ */
+function anchor(serverId) {
+  return `server-${serverId.replace(/[^a-zA-Z0-9_-]+/g, '-')}`;
+}
+
+/**
+ * Render the definition list of a server's configuration
+ * @param {Object} server - Catalog server entry
+ * @returns {string} HTML
+ * @private
+ */
+function renderConfig(server) {
+  const rows = [];
+  const add = (label, value) => rows.push(`<dt>${label}</dt><dd><code>${escapeHtml(value)}</code></dd>`);
+  const formatPairs = pairs => Object.entries(pairs).map(([key, value]) => `${key}=${value}`).join(', ');
+  
+  if (server.url) {
+    add('URL', server.url);
+  } else if (server.command) {
+    add('Command', [server.command, ...server.args].join(' '));
+  }
+  if (server.transport) {
+    add('Transport', server.transport);
+  }
+  if (Object.keys(server.env).length > 0) {
+    add('Environment', formatPairs(server.env));
+  }
+  if (Object.keys(server.headers).length > 0) {
+    add('Headers', formatPairs(server.headers));
+  }
+  if (server.source) {
+    add('Source', server.source);
+  }
+  if (server.unresolved.length > 0) {
+    add('Unresolved placeholders', server.unresolved.join(', '));
+  }
+  
+  return `<dl>${rows.join('')}</dl>`;
+}
+
+/**
+ * Render the section of a server
+ * @param {Object} server - Catalog server entry
+ * @returns {string} HTML
+ * @private
+ */
+function renderServer(server) {
+  let html = `<section id="${anchor(server.id)}">\n`;
+  html += `<h2>${escapeHtml(server.id)}${server.disabled ? ' <span class="badge">disabled</span>' : ''}</h2>\n`;
+  if (server.serverInfo?.name) {
+    html += `<p class="meta">${escapeHtml(server.serverInfo.name)} ${escapeHtml(server.serverInfo.version || '')}</p>\n`;
+  }
+  html += `${renderConfig(server)}\n`;
+  
+  if (server.tools.length > 0) {
+    html += '<table>\n<thead><tr><th>Tool</th><th>Description</th><th>Auto-approved</th></tr></thead>\n<tbody>\n';
+    for (const tool of server.tools) {
+      html += `<tr><td><code>${escapeHtml(tool.name)}</code></td><td>${escapeHtml(tool.description || '')}</td>` +
+        `<td>${tool.autoApproved ? 'yes' : ''}</td></tr>\n`;
+    }
+    html += '</tbody>\n</table>\n';
+  } else {
+    html += '<p class="meta">No tools known.</p>\n';
+  }
+  
+  const resources = [...server.resources, ...server.resourceTemplates];
+  if (resources.length > 0) {
+    html += '<h3>Resources</h3>\n<ul>\n';
+    for (const resource of resources) {
+      html += `<li><strong>${escapeHtml(resource.title || resource.name)}</strong> <code>${escapeHtml(resource.uri || resource.uriTemplate)}</code>` +
+        `${resource.description ? `: ${escapeHtml(resource.description)}` : ''}</li>\n`;
+    }
+    html += '</ul>\n';
+  }
+  
+  if (server.prompts.length > 0) {
+    html += '<h3>Prompts</h3>\n<ul>\n';
+    for (const prompt of server.prompts) {
+      html += `<li><strong>${escapeHtml(prompt.name)}</strong>${prompt.description ? `: ${escapeHtml(prompt.description)}` : ''}</li>\n`;
+    }
+    html += '</ul>\n';
+  }
+  
+  return `${html}</section>\n`;
+}
+
+/**
+ * Standalone HTML page, with its styles inlined
+ */
+export default {
+  id: 'html',
+  label: 'HTML',
+  render: catalog => {
+    const toc = catalog.servers
+      .map(server => `<li><a href="#${anchor(server.id)}">${escapeHtml(server.id)}</a>${server.disabled ? ' (disabled)' : ''}</li>`)
+      .join('\n');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>MCP Servers and Tools</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+section { border-top: 1px solid #ddd; padding-top: 1rem; margin-top: 1.5rem; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #eee; vertical-align: top; }
+dl { display: grid; grid-template-columns: max-content auto; gap: 0.25rem 1rem; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+code { background: #f4f4f4; padding: 0 0.2rem; border-radius: 3px; word-break: break-all; }
+.meta { color: #666; }
+.badge { font-size: 0.7em; background: #999; color: #fff; padding: 0.1rem 0.4rem; border-radius: 3px; vertical-align: middle; }
+</style>
+</head>
+<body>
+<h1>MCP Servers and Tools</h1>
+<p class="meta">${catalog.servers.length} server(s), generated ${escapeHtml(catalog.generatedAt)}</p>
+<ul>
+${toc}
+</ul>
+${catalog.servers.map(renderServer).join('')}</body>
+</html>
+`;
+  }
+};
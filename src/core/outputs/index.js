@@ -0,0 +1,106 @@
+import { buildCatalog } from './catalog.js';
+import { writeDocument } from '../document-writer.js';
+import json from './json.js';
+import yaml from './yaml.js';
+import html from './html.js';
+import csv from './csv.js';
+
+// Registered output renderers, written alongside the markdown
+const OUTPUTS = [json, yaml, html, csv];
+
+/**
+ * Register an additional output renderer
+ * 
+ * A renderer is an object with an `id`, a human-readable `label` and
+ * `render(catalog)`, which returns the file content for a catalog from
+ * buildCatalog(). It may also have `companionFiles(outputPath)`, returning
+ * `{ path, content }` entries written next to the output. A renderer is
+ * written when `paths.outputs.<id>` is set.
+ * @param {Object} renderer - Output renderer
+ */
+export function registerOutput(renderer) {
+  const index = OUTPUTS.findIndex(output => output.id === renderer.id);
+  if (index !== -1) {
+    OUTPUTS.splice(index, 1);
+  }
+  OUTPUTS.unshift(renderer);
+}
+
+/**
+ * Get a registered output renderer
+ * @param {string} id - Output ID
+ * @returns {Object|null} Output renderer, or null if unknown
+ */
+export function getOutput(id) {
+  return OUTPUTS.find(output => output.id === id) || null;
+}
+
+/**
+ * List the registered output renderers
+ * @returns {Object[]} Objects with the id and label of each renderer
+ */
+export function listOutputs() {
+  return OUTPUTS.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Resolve the outputs configured under `paths.outputs`
+ * @param {Object} config - Configuration object
+ * @returns {Object} Object with targets ({ output, path }) and the unknown output IDs
+ */
+export function resolveOutputTargets(config) {
+  const targets = [];
+  const unknown = [];
+  
+  for (const [id, outputPath] of Object.entries(config.paths?.outputs || {})) {
+    if (!outputPath) {
+      continue;
+    }
+    const output = getOutput(id);
+    if (output) {
+      targets.push({ output, path: outputPath });
+    } else {
+      unknown.push(id);
+    }
+  }
+  
+  return { targets, unknown };
+}
+
+/**
+ * Write every configured output
+ * 
+ * The catalog is built once and handed to each renderer, and every file goes
+ * through the document writer, so outputs that only differ in their
+ * timestamp are not rewritten. Unknown output IDs are skipped and returned
+ * so the caller can report them.
+ * @param {Object} data - Parsed MCP settings data
+ * @param {Object} settings - Settings catalog from readSettingsSources()
+ * @param {Object} config - Configuration object
+ * @param {Object} [options] - Options passed to buildCatalog()
+ * @returns {Promise<Object>} Object with the written and unchanged outputs ({ id, path })
+ *   and the unknown output IDs
+ */
+export async function writeOutputs(data, settings, config, options = {}) {
+  const { targets, unknown } = resolveOutputTargets(config);
+  const written = [];
+  const unchanged = [];
+  if (targets.length === 0) {
+    return { written, unchanged, unknown };
+  }
+  
+  const catalog = buildCatalog(data, settings, options);
+  for (const { output, path: outputPath } of targets) {
+    const result = await writeDocument(outputPath, output.render(catalog), config);
+    for (const companion of output.companionFiles?.(outputPath) || []) {
+      await writeDocument(companion.path, companion.content, config);
+    }
+    (result.written ? written : unchanged).push({ id: output.id, path: outputPath });
+  }
+  
+  return { written, unchanged, unknown };
+}
+
+export { buildCatalog, maskPairs } from './catalog.js';
+
+export default { registerOutput, getOutput, listOutputs, resolveOutputTargets, writeOutputs };
@@ -0,0 +1,23 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Published JSON Schema of the catalog, written next to every JSON output
+export const SCHEMA_FILE_NAME = 'mcp-catalog.schema.json';
+export const SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), SCHEMA_FILE_NAME);
+
+/**
+ * JSON catalog
+ * 
+ * Refers to its schema through `$schema`; the schema file is written next to
+ * the catalog so editors and validators can find it.
+ */
+export default {
+  id: 'json',
+  label: 'JSON',
+  render: catalog => `${JSON.stringify({ $schema: `./${SCHEMA_FILE_NAME}`, ...catalog }, null, 2)}\n`,
+  companionFiles: outputPath => [{
+    path: path.join(path.dirname(outputPath), SCHEMA_FILE_NAME),
+    content: fs.readFileSync(SCHEMA_PATH, 'utf8')
+  }]
+};
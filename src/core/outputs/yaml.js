@@ -0,0 +1,10 @@
+import YAML from 'yaml';
+
+/**
+ * YAML catalog, with the same content as the JSON catalog
+ */
+export default {
+  id: 'yaml',
+  label: 'YAML',
+  render: catalog => YAML.stringify(catalog, { lineWidth: 0 })
+};
@@ -2,6 +2,10 @@ import fs from 'fs-extra';
 import path from 'path';
 import AIHelper from './ai-helper.js';
 import MCPToolDiscovery from './mcp-tool-discovery.js';
+import { resolveTransportType } from './transports/index.js';
+import { runWorkerPool } from './worker-pool.js';
+import { createServerReport } from './health-report.js';
+import { readSettingsSources } from './settings-sources.js';
 import { EventEmitter } from 'events';
 
 /**
@@ -65,6 +69,9 @@ export class MCPSettingsParser extends EventEmitter {
 
   /**
    * Parse MCP settings file
+   * 
+   * Accepts the settings layouts of Cline, Claude Desktop, Cursor, Windsurf
+   * and VS Code (see src/core/formats).
    * @param {string} filePath - Path to MCP settings file
    * @returns {Promise<Object>} Parsed data
    */
@@ -75,28 +82,27 @@ export class MCPSettingsParser extends EventEmitter {
         throw new Error(`MCP settings file not found at ${filePath}`);
       }
 
-      const fileContent = await fs.readFile(filePath, 'utf8');
-      let mcpSettings;
-      
-      try {
-        mcpSettings = JSON.parse(fileContent);
-      } catch (parseError) {
-        throw new Error(`Invalid JSON in MCP settings file: ${parseError.message}`);
-      }
-      
-      if (!mcpSettings.mcpServers) {
-        throw new Error('Invalid MCP settings format: missing mcpServers object');
-      }
-      
+      const mcpSettings = await readSettingsSources({ paths: { settings: filePath } });
+      await this.toolDiscovery.variables.load(mcpSettings);
       return this.extractServerInfo(mcpSettings);
     } catch (error) {
       throw new Error(`Failed to parse MCP settings: ${error.message}`);
     }
   }
 
+  /**
+   * List the placeholders of a server that cannot be resolved for discovery
+   * @param {Object} serverConfig - Server configuration
+   * @returns {string[]} Unresolved placeholders as written
+   * @private
+   */
+  findUnresolved(serverConfig) {
+    return this.toolDiscovery.variables.resolve(serverConfig).unresolved;
+  }
+
   /**
    * Extract server and tool information from MCP settings
-   * @param {Object} mcpSettings - Parsed MCP settings object
+   * @param {Object} mcpSettings - Normalized MCP settings ({ mcpServers })
    * @returns {Object} Extracted server and tool information
    * @private
    */
@@ -112,10 +118,16 @@ export class MCPSettingsParser extends EventEmitter {
       
       servers[serverId] = {
         id: serverId,
+        client: serverConfig.client || null,
+        source: serverConfig.source || null,
+        transport: resolveTransportType(serverConfig),
         command: serverConfig.command,
         args: serverConfig.args || [],
+        url: serverConfig.url || null,
+        headers: serverConfig.headers || {},
         autoApprove: serverConfig.autoApprove || [],
         env: serverConfig.env || {},
+        unresolved: this.findUnresolved(serverConfig),
         disabled: serverConfig.disabled || false,
         // Use autoApprove array as initial tools list
         tools: Array.isArray(serverConfig.autoApprove) ? [...serverConfig.autoApprove] : []
@@ -125,13 +137,64 @@ export class MCPSettingsParser extends EventEmitter {
     return { servers };
   }
 
+  /**
+   * Extract the disabled servers without launching them
+   * 
+   * Their tools are the ones of the last discovery before the server was
+   * turned off, from the discovery cache, or their autoApprove list when the
+   * server was never discovered.
+   * @param {Object} mcpSettings - Normalized MCP settings ({ mcpServers })
+   * @returns {Promise<Object>} Disabled server entries keyed by server ID
+   */
+  async extractDisabledServers(mcpSettings) {
+    const servers = {};
+    
+    for (const [serverId, serverConfig] of Object.entries(mcpSettings.mcpServers)) {
+      if (serverConfig.disabled !== true) {
+        continue;
+      }
+      
+      const lastKnown = await this.toolDiscovery.getLastKnownResult(serverId);
+      const toolDetails = {};
+      for (const tool of lastKnown?.result?.tools || []) {
+        toolDetails[tool.name] = tool;
+      }
+      const tools = Object.keys(toolDetails).length > 0
+        ? Object.keys(toolDetails).sort()
+        : [...(serverConfig.autoApprove || [])].sort();
+      
+      servers[serverId] = {
+        id: serverId,
+        client: serverConfig.client || null,
+        source: serverConfig.source || null,
+        transport: resolveTransportType(serverConfig),
+        command: serverConfig.command,
+        args: serverConfig.args || [],
+        url: serverConfig.url || null,
+        headers: serverConfig.headers || {},
+        autoApprove: serverConfig.autoApprove || [],
+        env: serverConfig.env || {},
+        disabled: true,
+        tools,
+        toolDetails,
+        lastKnown: lastKnown && Object.keys(toolDetails).length > 0
+          ? { discoveredAt: lastKnown.cachedAt ? lastKnown.cachedAt.toISOString() : null }
+          : null
+      };
+    }
+    
+    return servers;
+  }
+
   /**
    * Discover tools for a server using direct server querying
    * @param {string} serverId - Server ID
    * @param {Object} serverConfig - Server configuration
+   * @param {Object} [options] - Discovery options
+   * @param {AbortSignal} [options.signal] - Aborts the discovery and tears down the server
    * @returns {Promise<Array>} Array of tool names
    */
-  async discoverToolsForServer(serverId, serverConfig) {
+  async discoverToolsForServer(serverId, serverConfig, options = {}) {
     let tools = [];
     
     // Priority 1: Use autoApprove array from server config
@@ -144,14 +207,14 @@ export class MCPSettingsParser extends EventEmitter {
     if (this.config.discovery?.enabled !== false) {
       try {
         this.emit('debug', `Attempting direct tool discovery for ${serverId}`);
-        const discoveredTools = await this.toolDiscovery.discoverTools(serverId, serverConfig);
+        const discoveredTools = await this.toolDiscovery.discoverTools(serverId, serverConfig, options);
         
         // Add discovered tools
         if (discoveredTools.length > 0) {
           this.emit('debug', `Found ${discoveredTools.length} tools via direct discovery for ${serverId}`);
           for (const tool of discoveredTools) {
-            if (!tools.includes(tool)) {
-              tools.push(tool);
+            if (!tools.includes(tool.name)) {
+              tools.push(tool.name);
             }
           }
         } else {
@@ -163,7 +226,7 @@ export class MCPSettingsParser extends EventEmitter {
     }
     
     // Priority 3: If direct discovery didn't find any new tools and AI is enabled, use AI prediction
-    if ((tools.length === 0 || tools.length === serverConfig.autoApprove?.length) && 
+    if (!options.signal?.aborted && (tools.length === 0 || tools.length === serverConfig.autoApprove?.length) && 
         this.aiHelper && this.config.ai?.fallbackToAi) {
       try {
         this.emit('debug', `Attempting AI-based tool prediction for ${serverId}`);
@@ -203,36 +266,191 @@ export class MCPSettingsParser extends EventEmitter {
   
   /**
    * Extract server and tool information from MCP settings with direct tool discovery
-   * @param {Object} mcpSettings - Parsed MCP settings object
+   * 
+   * Servers are discovered in parallel through a worker pool limited by
+   * `discovery.concurrency`, and the whole run is bounded by
+   * `discovery.deadline`. Servers that miss the deadline fall back to their
+   * autoApprove list.
+   * 
+   * Servers listed in `options.reuse` keep their entry from `options.previous`
+   * instead of being relaunched, provided the health report of that entry shows
+   * a successful discovery. The worker pool outcome is not enough: failed
+   * servers still settle with their autoApprove list.
+   * @param {Object} mcpSettings - Normalized MCP settings ({ mcpServers })
+   * @param {Object} [options] - Incremental discovery options
+   * @param {Object} [options.previous] - Result of the previous run ({ servers })
+   * @param {string[]} [options.reuse] - IDs of servers whose previous results can be reused
    * @returns {Promise<Object>} Extracted server and tool information
    */
-  async extractServerInfoWithDiscovery(mcpSettings) {
+  async extractServerInfoWithDiscovery(mcpSettings, options = {}) {
     const servers = {};
+    const reuse = new Set(options.reuse || []);
+    const previousServers = options.previous?.servers || {};
+    await this.toolDiscovery.variables.load(mcpSettings);
     
-    // Extract server information
-    for (const [serverId, serverConfig] of Object.entries(mcpSettings.mcpServers)) {
-      // Skip disabled servers
-      if (serverConfig.disabled === true) {
+    // Skip disabled servers
+    const enabledEntries = Object.entries(mcpSettings.mcpServers)
+      .filter(([, serverConfig]) => serverConfig.disabled !== true);
+    
+    const canReuse = serverId => {
+      const report = previousServers[serverId]?.report;
+      return reuse.has(serverId) && report?.status === 'ok' && !report.error;
+    };
+    const entries = enabledEntries.filter(([serverId]) => !canReuse(serverId));
+    
+    if (entries.length < enabledEntries.length) {
+      this.emit('info', `Reusing previous discovery results for ${enabledEntries.length - entries.length} server(s)`);
+    }
+    
+    // Prompted inputs are collected up front, so answering never counts against the deadline
+    await this.toolDiscovery.variables.promptInputs(entries.map(([, serverConfig]) => serverConfig));
+    
+    const concurrency = this.config.discovery?.concurrency || 4;
+    const deadline = Date.now() + (this.config.discovery?.deadline || 60000);
+    
+    // Discover tools with direct discovery
+    const outcomes = await runWorkerPool(
+      entries,
+      ([serverId, serverConfig], index, signal) => this.discoverToolsForServer(serverId, serverConfig, { signal }),
+      {
+        concurrency,
+        deadline,
+        onSettled: ({ item: [serverId], status, durationMs }) => {
+          if (status === 'fulfilled') {
+            this.emit('info', `Discovery for ${serverId} finished in ${durationMs}ms`);
+          } else {
+            this.emit('warning', `Discovery for ${serverId} ${status === 'skipped' ? 'skipped' : 'failed'} after ${durationMs}ms (${status})`);
+          }
+        }
+      }
+    );
+    
+    const outcomesById = new Map(outcomes.map(outcome => [outcome.item[0], outcome]));
+    
+    for (const [serverId, serverConfig] of enabledEntries) {
+      if (!outcomesById.has(serverId)) {
+        servers[serverId] = this.reuseServerInfo(previousServers[serverId], serverConfig);
         continue;
       }
       
-      // Discover tools with direct discovery
-      const tools = await this.discoverToolsForServer(serverId, serverConfig);
+      const { status, value, error, durationMs } = outcomesById.get(serverId);
+      const tools = status === 'fulfilled'
+        ? value
+        : [...(serverConfig.autoApprove || [])].sort();
+      
+      if (error && status === 'rejected') {
+        this.emit('error', `Error discovering tools for ${serverId}: ${error.message}`);
+      }
+      
+      // Metadata negotiated during the MCP initialize handshake
+      const handshake = this.toolDiscovery.getServerInfo(serverId, serverConfig);
+      
+      // Descriptions, schemas and annotations reported by the server itself
+      const toolDetails = this.toolDiscovery.getToolDetails(serverId, serverConfig);
+      
+      // Resources, resource templates and prompts the server advertised
+      const features = this.toolDiscovery.getServerFeatures(serverId, serverConfig);
+      
+      // Health report of the discovery attempt
+      const report = status === 'fulfilled'
+        ? this.toolDiscovery.getReport(serverId)
+        : createServerReport({
+          status: status === 'rejected' ? 'crashed' : 'timeout',
+          error: status === 'rejected'
+            ? error?.message || null
+            : `Discovery deadline reached${status === 'skipped' ? ' before the server was launched' : ''}`,
+          transport: resolveTransportType(serverConfig),
+          durationMs
+        });
       
       servers[serverId] = {
         id: serverId,
+        client: serverConfig.client || null,
+        source: serverConfig.source || null,
+        transport: resolveTransportType(serverConfig),
         command: serverConfig.command,
         args: serverConfig.args || [],
+        url: serverConfig.url || null,
+        headers: serverConfig.headers || {},
         autoApprove: serverConfig.autoApprove || [],
         env: serverConfig.env || {},
+        unresolved: this.findUnresolved(serverConfig),
         disabled: serverConfig.disabled || false,
-        tools: tools
+        tools: tools,
+        toolDetails: toolDetails,
+        protocolVersion: handshake?.protocolVersion || null,
+        serverInfo: handshake?.serverInfo || null,
+        capabilities: handshake?.capabilities || null,
+        resources: features.resources,
+        resourceTemplates: features.resourceTemplates,
+        prompts: features.prompts,
+        discovery: {
+          status: status === 'fulfilled' ? 'ok' : status,
+          durationMs
+        },
+        report
       };
     }
     
     return { servers };
   }
 
+  /**
+   * Carry a server entry over from a previous discovery run
+   * 
+   * Only documentation-only keys can differ between the two configs, so the
+   * discovered metadata is kept and the tool list is rebuilt from the current
+   * autoApprove list plus the tools the server actually reported.
+   * @param {Object} previousEntry - Server entry from the previous run
+   * @param {Object} serverConfig - Current server configuration
+   * @returns {Object} Server entry
+   * @private
+   */
+  reuseServerInfo(previousEntry, serverConfig) {
+    const discoveredTools = Object.keys(previousEntry.toolDetails || {});
+    const tools = [...new Set([...(serverConfig.autoApprove || []), ...discoveredTools])].sort();
+    
+    return {
+      ...previousEntry,
+      autoApprove: serverConfig.autoApprove || [],
+      unresolved: this.findUnresolved(serverConfig),
+      tools,
+      discovery: {
+        ...previousEntry.discovery,
+        reused: true
+      }
+    };
+  }
+
+  /**
+   * Rebuild a server entry after its live session refreshed the discovery result
+   * 
+   * Tools, resources, prompts and the health report are read back from tool
+   * discovery; everything else is kept from the previous entry.
+   * @param {Object} previousEntry - Current server entry
+   * @param {Object} serverConfig - Current server configuration
+   * @returns {Object} Server entry
+   */
+  refreshServerInfo(previousEntry, serverConfig) {
+    const serverId = previousEntry.id;
+    const toolDetails = this.toolDiscovery.getToolDetails(serverId, serverConfig);
+    const features = this.toolDiscovery.getServerFeatures(serverId, serverConfig);
+    
+    return {
+      ...previousEntry,
+      tools: [...new Set([...(serverConfig.autoApprove || []), ...Object.keys(toolDetails)])].sort(),
+      toolDetails,
+      resources: features.resources,
+      resourceTemplates: features.resourceTemplates,
+      prompts: features.prompts,
+      discovery: {
+        ...previousEntry.discovery,
+        live: true
+      },
+      report: this.toolDiscovery.getReport(serverId) || previousEntry.report
+    };
+  }
+
   /**
    * Get description for a tool
    * @param {string} toolName - Tool name
@@ -260,20 +478,29 @@ export class MCPSettingsParser extends EventEmitter {
   
   /**
    * Get description for a tool (synchronous version)
+   * 
+   * The server's own description from discovery takes precedence over the
+   * static descriptions file.
    * @param {string} toolName - Tool name
+   * @param {Object} [toolDetails] - Tool metadata discovered from the server
    * @returns {string} Tool description
    */
-  getToolDescription(toolName) {
+  getToolDescription(toolName, toolDetails = null) {
+    if (toolDetails?.description) {
+      return toolDetails.description;
+    }
+    
     return this.toolDescriptions[toolName] || 'No description available.';
   }
   
   /**
    * Extract server and tool information from MCP settings with AI assistance
-   * @param {Object} mcpSettings - Parsed MCP settings object
+   * @param {Object} mcpSettings - Normalized MCP settings ({ mcpServers })
    * @returns {Promise<Object>} Extracted server and tool information
    */
   async extractServerInfoWithAI(mcpSettings) {
     const servers = {};
+    await this.toolDiscovery.variables.load(mcpSettings);
     
     // Extract server information
     for (const [serverId, serverConfig] of Object.entries(mcpSettings.mcpServers)) {
@@ -285,14 +512,36 @@ export class MCPSettingsParser extends EventEmitter {
       // Discover tools with potential AI assistance
       const tools = await this.discoverToolsForServer(serverId, serverConfig);
       
+      // Metadata negotiated during the MCP initialize handshake
+      const handshake = this.toolDiscovery.getServerInfo(serverId, serverConfig);
+      
+      // Descriptions, schemas and annotations reported by the server itself
+      const toolDetails = this.toolDiscovery.getToolDetails(serverId, serverConfig);
+      
+      // Resources, resource templates and prompts the server advertised
+      const features = this.toolDiscovery.getServerFeatures(serverId, serverConfig);
+      
       servers[serverId] = {
         id: serverId,
+        client: serverConfig.client || null,
+        source: serverConfig.source || null,
+        transport: resolveTransportType(serverConfig),
         command: serverConfig.command,
         args: serverConfig.args || [],
+        url: serverConfig.url || null,
+        headers: serverConfig.headers || {},
         autoApprove: serverConfig.autoApprove || [],
         env: serverConfig.env || {},
+        unresolved: this.findUnresolved(serverConfig),
         disabled: serverConfig.disabled || false,
-        tools: tools
+        tools: tools,
+        toolDetails: toolDetails,
+        protocolVersion: handshake?.protocolVersion || null,
+        serverInfo: handshake?.serverInfo || null,
+        capabilities: handshake?.capabilities || null,
+        resources: features.resources,
+        resourceTemplates: features.resourceTemplates,
+        prompts: features.prompts
       };
     }
     
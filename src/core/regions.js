@@ -0,0 +1,212 @@
+// <!-- mcp-watcher:begin server=github --> ... <!-- mcp-watcher:end server=github -->
+const MARKER = /^<!-- mcp-watcher:(begin|end) (server|section)=(.*?) -->$/;
+
+/**
+ * Error raised for documents whose region markers do not pair up
+ */
+export class RegionError extends Error {
+  /**
+   * Create a new region error
+   * @param {string} message - Error message
+   * @param {number} [line] - Line of the offending marker, starting at 1
+   */
+  constructor(message, line = null) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'RegionError';
+    this.line = line;
+  }
+}
+
+/**
+ * Get the markers of a managed region
+ * @param {string} kind - 'server' or 'section'
+ * @param {string} id - Server ID, or the section name ('disabled' or 'footer')
+ * @returns {Object} Object with the begin and end marker lines
+ */
+export function regionMarkers(kind, id) {
+  return {
+    begin: `<!-- mcp-watcher:begin ${kind}=${id} -->`,
+    end: `<!-- mcp-watcher:end ${kind}=${id} -->`
+  };
+}
+
+/**
+ * Wrap generated content in the markers of its region
+ * @param {string} kind - 'server' or 'section'
+ * @param {string} id - Server ID or section name
+ * @param {string} content - Generated content
+ * @returns {string} Region, ending with a newline; empty for empty content
+ */
+export function wrapRegion(kind, id, content) {
+  if (!content) {
+    return '';
+  }
+  
+  const { begin, end } = regionMarkers(kind, id);
+  return `${begin}\n${content}${content.endsWith('\n') ? '' : '\n'}${end}\n`;
+}
+
+/**
+ * Split text into lines that keep their line terminator
+ * @param {string} content - Text
+ * @returns {string[]} Lines
+ * @private
+ */
+function splitLines(content) {
+  return content.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Match a line against the marker syntax
+ * @param {string} line - Line, with or without its terminator
+ * @returns {Object|null} Object with edge ('begin' or 'end'), kind and id, or null
+ * @private
+ */
+function matchMarker(line) {
+  const match = line.trim().match(MARKER);
+  return match ? { edge: match[1], kind: match[2], id: match[3] } : null;
+}
+
+/**
+ * Check whether a document has region markers
+ * @param {string} content - Document content
+ * @returns {boolean} True if at least one marker line is present
+ */
+export function hasRegions(content) {
+  return splitLines(content).some(line => matchMarker(line) !== null);
+}
+
+/**
+ * Split a document into managed regions and the text between them
+ * 
+ * Chunks hold the document verbatim: joining their `text` gives back the
+ * original content byte for byte.
+ * @param {string} content - Document content
+ * @returns {Object[]} Chunks, `{ type: 'text', text }` or
+ *   `{ type: 'region', kind, id, text }` with the markers included
+ * @throws {RegionError} When a region is not closed, closed twice or nested
+ */
+export function parseRegions(content) {
+  const chunks = [];
+  let text = '';
+  let region = null;
+  
+  splitLines(content).forEach((line, index) => {
+    const marker = matchMarker(line);
+    if (!marker) {
+      if (region) {
+        region.text += line;
+      } else {
+        text += line;
+      }
+      return;
+    }
+    
+    const label = `${marker.kind}=${marker.id}`;
+    if (marker.edge === 'begin') {
+      if (region) {
+        throw new RegionError(`Region ${label} starts inside region ${region.kind}=${region.id}`, index + 1);
+      }
+      if (text) {
+        chunks.push({ type: 'text', text });
+        text = '';
+      }
+      region = { type: 'region', kind: marker.kind, id: marker.id, text: line, line: index + 1 };
+      return;
+    }
+    
+    if (!region || region.kind !== marker.kind || region.id !== marker.id) {
+      throw new RegionError(`End of region ${label} without a matching begin marker`, index + 1);
+    }
+    region.text += line;
+    chunks.push(region);
+    region = null;
+  });
+  
+  if (region) {
+    throw new RegionError(`Region ${region.kind}=${region.id} is not closed`, region.line);
+  }
+  if (text) {
+    chunks.push({ type: 'text', text });
+  }
+  
+  return chunks;
+}
+
+/**
+ * Replace the managed regions of a document
+ * 
+ * Regions that are still generated are replaced in place, regions that are
+ * no longer generated are removed together with the blank line that
+ * separated them from the next chunk, and new regions are inserted after the
+ * region that precedes them in `regions`, separated by a blank line. Text
+ * outside the regions is kept as it is.
+ * @param {Object[]} chunks - Chunks from parseRegions()
+ * @param {Object[]} regions - Generated regions in document order, each
+ *   `{ kind, id, text }` with the text from wrapRegion(); empty text removes the region
+ * @returns {string} Updated document
+ */
+export function mergeRegions(chunks, regions) {
+  const key = region => `${region.kind}=${region.id}`;
+  const generated = new Map(regions.map(region => [key(region), region.text]));
+  const output = [];
+  const placed = new Map();
+  let dropBlankLine = false;
+  
+  for (const chunk of chunks) {
+    if (chunk.type === 'text') {
+      if (dropBlankLine && /^\r?\n/.test(chunk.text)) {
+        const text = chunk.text.replace(/^\r?\n/, '');
+        if (text) {
+          output.push({ text });
+        }
+      } else {
+        output.push({ text: chunk.text });
+      }
+      dropBlankLine = false;
+      continue;
+    }
+    
+    const text = generated.get(key(chunk));
+    dropBlankLine = !text || placed.has(key(chunk));
+    if (!dropBlankLine) {
+      placed.set(key(chunk), output.length);
+      output.push({ text, region: key(chunk) });
+    }
+  }
+  
+  // New regions follow the closest region before them that is already in the document
+  regions.forEach((region, index) => {
+    if (!region.text || placed.has(key(region))) {
+      return;
+    }
+    
+    const previous = regions.slice(0, index).reverse().find(candidate => placed.has(key(candidate)));
+    const next = regions.slice(index + 1).find(candidate => placed.has(key(candidate)));
+    let position;
+    let text;
+    if (previous) {
+      position = placed.get(key(previous)) + 1;
+      text = `\n${region.text}`;
+    } else if (next) {
+      position = placed.get(key(next));
+      text = `${region.text}\n`;
+    } else {
+      const last = output.length > 0 ? output[output.length - 1].text : '';
+      position = output.length;
+      text = `${last && !last.endsWith('\n') ? '\n' : ''}${last ? '\n' : ''}${region.text}`;
+    }
+    
+    output.splice(position, 0, { text, region: key(region) });
+    for (const [regionKey, regionIndex] of placed) {
+      if (regionIndex >= position) {
+        placed.set(regionKey, regionIndex + 1);
+      }
+    }
+    placed.set(key(region), position);
+  });
+  
+  return output.map(chunk => chunk.text).join('');
+}
+
+export default { RegionError, regionMarkers, wrapRegion, hasRegions, parseRegions, mergeRegions };
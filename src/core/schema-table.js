@@ -0,0 +1,197 @@
+// Nested objects deeper than this are listed without their properties
+const MAX_DEPTH = 5;
+
+/**
+ * Follow a local `$ref` (e.g. `#/$defs/Options`) to the schema it points at
+ * @param {Object} schema - Schema that may be a reference
+ * @param {Object} root - Root schema the reference is resolved against
+ * @returns {Object} Referenced schema, or the schema itself
+ * @private
+ */
+function resolveRef(schema, root) {
+  let resolved = schema;
+  const seen = new Set();
+  
+  while (resolved && typeof resolved.$ref === 'string' && resolved.$ref.startsWith('#') && !seen.has(resolved.$ref)) {
+    seen.add(resolved.$ref);
+    const target = resolved.$ref.slice(1).split('/').filter(Boolean)
+      .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((value, key) => value?.[key], root);
+    resolved = target ? { ...target, ...resolved, $ref: target.$ref } : null;
+  }
+  
+  return resolved || {};
+}
+
+/**
+ * Check whether a schema describes an object with properties
+ * @param {Object} schema - Schema
+ * @returns {boolean} True if the schema has properties to list
+ * @private
+ */
+function hasProperties(schema) {
+  return Boolean(schema.properties) && typeof schema.properties === 'object' && Object.keys(schema.properties).length > 0;
+}
+
+/**
+ * Describe the type of a schema, without its allowed values
+ * @param {Object} schema - Schema, with references resolved
+ * @param {Object} root - Root schema
+ * @returns {string} Type, e.g. `string`, `integer[]` or `string or null`
+ * @private
+ */
+function describeType(schema, root) {
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants)) {
+    return [...new Set(variants.map(variant => describeType(resolveRef(variant, root), root)))].join(' or ');
+  }
+  
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type].filter(Boolean);
+  if (types.length === 0) {
+    if (hasProperties(schema)) {
+      return 'object';
+    }
+    if (schema.items) {
+      types.push('array');
+    } else if (schema.enum || schema.const !== undefined) {
+      const values = schema.enum || [schema.const];
+      return [...new Set(values.map(value => value === null ? 'null' : typeof value))].join(' or ');
+    } else {
+      return 'any';
+    }
+  }
+  
+  return types.map(type => {
+    if (type === 'array' && schema.items && !Array.isArray(schema.items)) {
+      const itemType = describeType(resolveRef(schema.items, root), root);
+      return itemType.includes(' or ') ? `(${itemType})[]` : `${itemType}[]`;
+    }
+    return type;
+  }).join(' or ');
+}
+
+/**
+ * List the allowed values of a schema or of its array items
+ * @param {Object} schema - Schema, with references resolved
+ * @param {Object} root - Root schema
+ * @returns {any[]|null} Allowed values, or null if any value of the type is allowed
+ * @private
+ */
+function allowedValues(schema, root) {
+  if (Array.isArray(schema.enum)) {
+    return schema.enum;
+  }
+  if (schema.const !== undefined) {
+    return [schema.const];
+  }
+  if (schema.items && !Array.isArray(schema.items)) {
+    return allowedValues(resolveRef(schema.items, root), root);
+  }
+  return null;
+}
+
+/**
+ * Flatten the properties of an input schema into parameters
+ * 
+ * Properties of nested objects are listed after their parent with dotted
+ * paths (`options.timeout`), and properties of objects in arrays with `[]`
+ * (`files[].path`). Required flags are relative to the enclosing object.
+ * Local `$ref`s are followed, `anyOf` and `oneOf` are shown as alternatives.
+ * @param {Object} schema - JSON Schema of a tool's input
+ * @returns {Object[]} Parameters with name, type, values (allowed values or
+ *   null), required, default (undefined when not set) and description
+ */
+export function flattenSchema(schema) {
+  const parameters = [];
+  if (!schema || typeof schema !== 'object') {
+    return parameters;
+  }
+  
+  const visit = (objectSchema, prefix, depth) => {
+    const required = Array.isArray(objectSchema.required) ? objectSchema.required : [];
+    
+    for (const [key, property] of Object.entries(objectSchema.properties)) {
+      const resolved = resolveRef(property || {}, schema);
+      const name = prefix ? `${prefix}.${key}` : key;
+      parameters.push({
+        name,
+        type: describeType(resolved, schema),
+        values: allowedValues(resolved, schema),
+        required: required.includes(key),
+        default: resolved.default,
+        description: resolved.description || ''
+      });
+      
+      if (depth >= MAX_DEPTH) {
+        continue;
+      }
+      if (hasProperties(resolved)) {
+        visit(resolved, name, depth + 1);
+      } else if (resolved.items && !Array.isArray(resolved.items)) {
+        const items = resolveRef(resolved.items, schema);
+        if (hasProperties(items)) {
+          visit(items, `${name}[]`, depth + 1);
+        }
+      }
+    }
+  };
+  
+  const root = resolveRef(schema, schema);
+  if (hasProperties(root)) {
+    visit(root, '', 1);
+  }
+  return parameters;
+}
+
+/**
+ * Escape text for a markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Text on one line with pipes escaped
+ * @private
+ */
+function escapeCell(text) {
+  return String(text).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+}
+
+/**
+ * Format a value from a schema as inline code
+ * @param {any} value - Enum value or default
+ * @returns {string} Inline code
+ * @private
+ */
+function formatValue(value) {
+  return `\`${typeof value === 'string' ? value : JSON.stringify(value)}\``;
+}
+
+/**
+ * Build the parameter table of a tool from its input schema
+ * @param {Object} schema - JSON Schema of the tool's input
+ * @param {Object} [options] - Table options
+ * @param {number} [options.collapseAfter] - Row count above which the table is collapsed
+ * @returns {Object|null} Table view with rows (name, type, required, default and
+ *   description as markdown cells), count and collapsed, or null if the schema
+ *   has no properties
+ */
+export function buildParameterTable(schema, options = {}) {
+  const parameters = flattenSchema(schema);
+  if (parameters.length === 0) {
+    return null;
+  }
+  
+  const collapseAfter = options.collapseAfter ?? 8;
+  return {
+    rows: parameters.map(parameter => ({
+      name: escapeCell(formatValue(parameter.name)),
+      type: escapeCell(parameter.values
+        ? `${parameter.type}: ${parameter.values.map(formatValue).join(', ')}`
+        : parameter.type),
+      required: parameter.required ? 'yes' : '',
+      default: parameter.default === undefined ? '' : escapeCell(formatValue(parameter.default)),
+      description: escapeCell(parameter.description)
+    })),
+    count: parameters.length,
+    collapsed: parameters.length > collapseAfter
+  };
+}
+
+export default { flattenSchema, buildParameterTable };
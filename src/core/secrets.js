@@ -0,0 +1,12 @@
+// Names of environment variables and headers whose values are credentials,
+// e.g. API_KEY, GITHUB_TOKEN, Authorization, Cookie, X-Auth-User or DB_PASSWD
+export const SECRET_KEY_PATTERN = /key|token|secret|password|passwd|auth|credential|cookie/i;
+
+/**
+ * Check whether an environment variable or header holds a credential
+ * @param {string} key - Variable or header name
+ * @returns {boolean} True if the value must not be shown or stored
+ */
+export function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
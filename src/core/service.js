@@ -1,10 +1,17 @@
 import { EventEmitter } from 'events';
-import fs from 'fs-extra';
 import MCPConfigWatcher from './watcher.js';
 import path from 'path';
 import { saveConfig } from '../config/loader.js';
 import MCPSettingsParser from './parser.js';
 import MDGenerator from './generator.js';
+import { diffServers, requiresRediscovery } from './settings-diff.js';
+import { buildHealthReport, writeHealthReport, readHealthReport } from './health-report.js';
+import LiveSessionManager from './live-sessions.js';
+import { readSettingsSources, getPrimarySettingsPath } from './settings-sources.js';
+import { lintSettingsSources } from './settings-lint.js';
+import { writeOutputs } from './outputs/index.js';
+import { writeDocument } from './document-writer.js';
+import { WorkspaceWatcher, isWorkspaceEnabled, resolveWorkspaceOptions, buildWorkspaceReport, getProjectMarkdownPath } from './workspace.js';
 
 /**
  * MCP Config Watcher service class
@@ -20,7 +27,13 @@ export class MCPWatcherService extends EventEmitter {
     this.config = config;
     this.parser = new MCPSettingsParser(config);
     this.generator = new MDGenerator(config, this.parser);
-    this.watcher = new MCPConfigWatcher(config);
+    this.watcher = this.createWatcher();
+    this.liveSessions = this.createLiveSessions();
+    
+    // Servers and discovery results from the last run, for incremental updates
+    this.lastServers = null;
+    this.lastDiscovery = null;
+    this.lastSettings = null;
     
     // Setup event handlers
     this.setupEventHandlers();
@@ -35,6 +48,33 @@ export class MCPWatcherService extends EventEmitter {
     });
   }
 
+  /**
+   * Create the watcher, scanning the workspace roots in workspace mode
+   * @returns {MCPConfigWatcher} Watcher
+   * @private
+   */
+  createWatcher() {
+    return isWorkspaceEnabled(this.config)
+      ? new WorkspaceWatcher(this.config)
+      : new MCPConfigWatcher(this.config);
+  }
+
+  /**
+   * Create the live session manager for the current parser
+   * @returns {LiveSessionManager} Live session manager
+   * @private
+   */
+  createLiveSessions() {
+    const liveSessions = new LiveSessionManager(this.config, this.parser.toolDiscovery);
+    
+    liveSessions.on('info', (message) => this.emit('info', message));
+    liveSessions.on('warning', (message) => this.emit('warning', message));
+    liveSessions.on('debug', (message) => this.emit('debug', message));
+    liveSessions.on('changed', (change) => this.processLiveChange(change));
+    
+    return liveSessions;
+  }
+
   /**
    * Setup event handlers
    * @private
@@ -98,6 +138,7 @@ export class MCPWatcherService extends EventEmitter {
   async stop() {
     try {
       await this.watcher.stop();
+      await this.liveSessions.closeAll();
       return true;
     } catch (error) {
       this.emit('error', `Failed to stop service: ${error.message}`);
@@ -115,38 +156,66 @@ export class MCPWatcherService extends EventEmitter {
       // Parse MCP settings
       this.emit('info', 'Parsing MCP settings');
       
-      // Read the settings file
-      const fileContent = await fs.readFile(filePath, 'utf8');
-      const mcpSettings = JSON.parse(fileContent);
+      // Read and merge every settings source, whichever client it belongs to
+      const mcpSettings = await readSettingsSources(this.config, this.watcher.getSources());
+      for (const { source, path: sourcePath, error } of mcpSettings.errors) {
+        this.emit('warning', `Skipping settings source ${source} (${sourcePath}): ${error}`);
+      }
+      for (const source of mcpSettings.sources) {
+        this.emit('debug', `Read ${source.servers.length} servers from ${source.name} (${source.format} settings)`);
+      }
+      for (const [serverId, conflict] of Object.entries(mcpSettings.conflicts)) {
+        this.emit('info', `Server ${serverId} is defined in ${conflict.sources.join(', ')}, using the definition from ${conflict.source}`);
+      }
+      
+      // Work out which servers were added, removed or changed since the last run
+      const changes = diffServers(this.lastServers, mcpSettings.mcpServers);
+      this.emit('info', `Servers added: ${changes.added.length}, removed: ${changes.removed.length}, changed: ${changes.changed.length}, unchanged: ${changes.unchanged.length}`);
       
-      // Use direct tool discovery if enabled
-      let parsedData;
-      if (this.config.discovery?.enabled !== false) {
-        this.emit('info', 'Using direct tool discovery');
-        // Use direct tool discovery
-        parsedData = await this.parser.extractServerInfoWithDiscovery(mcpSettings);
-      } 
-      // Use AI-powered discovery if direct discovery is disabled but AI is enabled
-      else if (this.config.ai?.enabled) {
-        this.emit('info', 'Using AI-powered tool discovery');
-        // Use AI-powered extraction
-        parsedData = await this.parser.extractServerInfoWithAI(mcpSettings);
-      } 
-      // Fall back to regular parsing
-      else {
-        this.emit('info', 'Using basic server info extraction');
-        // Use regular parsing
-        parsedData = await this.parser.parse(filePath);
+      // Inputs and workspace folders for the placeholders of the servers launched below
+      await this.parser.toolDiscovery.variables.load(mcpSettings);
+      
+      // Live sessions discover their servers first, so the run below reuses their results
+      if (this.liveSessions.isEnabled()) {
+        await this.liveSessions.sync(mcpSettings.mcpServers);
       }
       
+      // Only relaunch servers whose launch configuration changed
+      const reuse = this.lastDiscovery ? [
+        ...changes.unchanged,
+        ...changes.changed.filter(serverId =>
+          !requiresRediscovery(this.lastServers[serverId], mcpSettings.mcpServers[serverId]))
+      ] : [];
+      const parsedData = await this.parseSettings(mcpSettings, this.lastDiscovery, reuse);
+      
+      // Where each server came from, for the catalog
+      parsedData.sources = mcpSettings.sources;
+      parsedData.conflicts = mcpSettings.conflicts;
+      
       // Generate markdown
       this.emit('info', 'Generating markdown documentation');
-      await this.generator.generateMarkdown(parsedData);
+      await this.writeDocuments(parsedData, mcpSettings);
+      
+      // Persist per-server discovery diagnostics next to the markdown
+      if (this.config.discovery?.enabled !== false) {
+        await this.saveHealthReport(parsedData);
+      }
+      
+      this.lastServers = mcpSettings.mcpServers;
+      this.lastDiscovery = this.config.discovery?.enabled !== false ? parsedData : null;
+      this.lastSettings = mcpSettings;
       
       this.emit('updated', {
         settingsPath: filePath,
         markdownPath: this.config.paths.markdown,
-        timestamp: new Date()
+        timestamp: new Date(),
+        sources: mcpSettings.sources.map(source => source.name),
+        conflicts: Object.keys(mcpSettings.conflicts),
+        changes: {
+          added: changes.added,
+          removed: changes.removed,
+          changed: changes.changed
+        }
       });
       
       return true;
@@ -158,6 +227,252 @@ export class MCPWatcherService extends EventEmitter {
     }
   }
 
+  /**
+   * Extract server information with the configured discovery method
+   * 
+   * With `generator.includeDisabled`, disabled servers are added under
+   * `disabledServers` from their earlier discovery results.
+   * @param {Object} mcpSettings - Settings catalog
+   * @param {Object|null} previous - Parsed data from an earlier discovery run
+   * @param {string[]} reuse - Servers whose earlier discovery results can be reused
+   * @returns {Promise<Object>} Parsed server data
+   * @private
+   */
+  async parseSettings(mcpSettings, previous = null, reuse = []) {
+    const parsedData = await this.extractServers(mcpSettings, previous, reuse);
+    
+    if (this.config.generator?.includeDisabled) {
+      parsedData.disabledServers = await this.parser.extractDisabledServers(mcpSettings);
+    }
+    return parsedData;
+  }
+
+  /**
+   * Run the configured discovery method on the enabled servers
+   * @param {Object} mcpSettings - Settings catalog
+   * @param {Object|null} previous - Parsed data from an earlier discovery run
+   * @param {string[]} reuse - Servers whose earlier discovery results can be reused
+   * @returns {Promise<Object>} Parsed server data
+   * @private
+   */
+  async extractServers(mcpSettings, previous, reuse) {
+    // Use direct tool discovery if enabled
+    if (this.config.discovery?.enabled !== false) {
+      this.emit('info', 'Using direct tool discovery');
+      return this.parser.extractServerInfoWithDiscovery(mcpSettings, { previous, reuse });
+    }
+    
+    // Use AI-powered discovery if direct discovery is disabled but AI is enabled
+    if (this.config.ai?.enabled) {
+      this.emit('info', 'Using AI-powered tool discovery');
+      return this.parser.extractServerInfoWithAI(mcpSettings);
+    }
+    
+    // Fall back to regular parsing
+    this.emit('info', 'Using basic server info extraction');
+    return this.parser.extractServerInfo(mcpSettings);
+  }
+
+  /**
+   * Get the workspace output mode
+   * @returns {string|null} 'aggregate' or 'per-project', or null outside workspace mode
+   * @private
+   */
+  getWorkspaceOutput() {
+    return isWorkspaceEnabled(this.config) ? resolveWorkspaceOptions(this.config).output : null;
+  }
+
+  /**
+   * Write the documentation for a run
+   * 
+   * Outside workspace mode this is the markdown file. In workspace mode it is
+   * either the merged catalog plus the report of which projects use which
+   * servers, or a document inside every project. The outputs configured
+   * under `paths.outputs` are written from the merged catalog in every mode.
+   * @param {Object} parsedData - Parsed data of the merged catalog
+   * @param {Object} mcpSettings - Settings catalog
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeDocuments(parsedData, mcpSettings) {
+    const output = this.getWorkspaceOutput();
+    if (output === 'per-project') {
+      await this.writeProjectDocs(parsedData, mcpSettings);
+    } else {
+      await this.generator.generateMarkdown(parsedData, { settings: mcpSettings });
+    }
+    
+    if (output === 'aggregate') {
+      const reportPath = resolveWorkspaceOptions(this.config).report;
+      const { written } = await writeDocument(reportPath, buildWorkspaceReport(mcpSettings, this.watcher.projects), this.config);
+      if (written) {
+        this.emit('info', `Wrote workspace report to ${reportPath}`);
+      }
+    }
+    
+    await this.writeOutputs(parsedData, mcpSettings);
+  }
+
+  /**
+   * Write the JSON, YAML, HTML and CSV outputs configured under `paths.outputs`
+   * @param {Object} parsedData - Parsed data of the merged catalog
+   * @param {Object} mcpSettings - Settings catalog
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeOutputs(parsedData, mcpSettings) {
+    const { written, unchanged, unknown } = await writeOutputs(parsedData, mcpSettings, this.config, {
+      describeTool: (toolName, toolDetails) => this.parser.getToolDescription(toolName, toolDetails)
+    });
+    
+    for (const id of unknown) {
+      this.emit('warning', `Unknown output format ${id} in paths.outputs`);
+    }
+    for (const output of written) {
+      this.emit('info', `Wrote ${output.id} output to ${output.path}`);
+    }
+    for (const output of unchanged) {
+      this.emit('debug', `${output.id} output at ${output.path} is unchanged`);
+    }
+  }
+
+  /**
+   * Write a document into every project of the workspace
+   * 
+   * Each project is documented from its own config file. Servers defined the
+   * same way as in the merged catalog reuse its discovery results, so shared
+   * servers are only launched once.
+   * @param {Object} parsedData - Parsed data of the merged catalog
+   * @param {Object} mcpSettings - Settings catalog
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeProjectDocs(parsedData, mcpSettings) {
+    const options = resolveWorkspaceOptions(this.config);
+    const readable = new Set(mcpSettings.sources.map(source => source.name));
+    
+    for (const project of this.watcher.projects.filter(candidate => readable.has(candidate.name))) {
+      const projectSettings = await readSettingsSources(this.config, [{ name: project.name, path: project.path, format: 'auto' }]);
+      const reuse = Object.keys(projectSettings.mcpServers).filter(serverId =>
+        serverId in mcpSettings.mcpServers &&
+        !requiresRediscovery(mcpSettings.mcpServers[serverId], projectSettings.mcpServers[serverId]));
+      
+      const projectData = await this.parseSettings(projectSettings, parsedData, reuse);
+      projectData.sources = projectSettings.sources;
+      projectData.conflicts = projectSettings.conflicts;
+      
+      const markdownPath = getProjectMarkdownPath(project, options);
+      await this.generator.generateMarkdown(projectData, { settings: projectSettings, markdownPath });
+      this.emit('info', `Wrote documentation for ${project.name} to ${markdownPath}`);
+    }
+  }
+
+  /**
+   * Regenerate the documentation of a server whose live session reported a change
+   * @param {Object} change - Change emitted by the live session manager
+   * @param {string} change.serverId - Server ID
+   * @param {string[]} change.kinds - Refreshed feature kinds
+   * @returns {Promise<boolean>} Success status
+   * @private
+   */
+  async processLiveChange({ serverId, kinds }) {
+    const previousEntry = this.lastDiscovery?.servers[serverId];
+    if (!previousEntry) {
+      return false;
+    }
+    
+    try {
+      this.lastDiscovery.servers[serverId] = this.parser.refreshServerInfo(previousEntry, this.lastServers[serverId]);
+      
+      this.emit('info', `Regenerating documentation for ${serverId} (${kinds.join(', ')} changed)`);
+      if (this.getWorkspaceOutput() === 'per-project') {
+        await this.writeProjectDocs(this.lastDiscovery, this.lastSettings);
+      } else {
+        await this.generator.updateServerSection(this.lastDiscovery, serverId, { settings: this.lastSettings });
+      }
+      await this.writeOutputs(this.lastDiscovery, this.lastSettings);
+      await this.saveHealthReport(this.lastDiscovery);
+      
+      this.emit('updated', {
+        settingsPath: this.watcher.getSources()[0]?.path || null,
+        markdownPath: this.config.paths.markdown,
+        timestamp: new Date(),
+        changes: {
+          added: [],
+          removed: [],
+          changed: [serverId]
+        },
+        live: { serverId, kinds }
+      });
+      
+      return true;
+    } catch (error) {
+      this.emit('error', `Failed to process live update for ${serverId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Build and persist the discovery health report
+   * @param {Object} parsedData - Parsed server data from discovery
+   * @returns {Promise<void>}
+   * @private
+   */
+  async saveHealthReport(parsedData) {
+    try {
+      const report = buildHealthReport(parsedData);
+      const reportPath = await writeHealthReport(this.config.paths.markdown, report, this.config);
+      
+      const failing = Object.entries(report.servers).filter(([, server]) => server.status !== 'ok');
+      for (const [serverId, server] of failing) {
+        this.emit('warning', `Discovery for ${serverId}: ${server.status}${server.error ? ` (${server.error})` : ''}`);
+      }
+      
+      this.emit('debug', `Wrote discovery health report to ${reportPath}`);
+      this.emit('report', report);
+    } catch (error) {
+      this.emit('warning', `Failed to write discovery health report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the last persisted discovery health report
+   * @returns {Promise<Object|null>} Report, or null if none has been written
+   */
+  async getHealthReport() {
+    try {
+      return await readHealthReport(this.config.paths.markdown);
+    } catch (error) {
+      this.emit('warning', `Failed to read discovery health report: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Lint the settings sources
+   * 
+   * Tool-related checks use the results of the last update, or of a fresh
+   * discovery run when `discover` is set.
+   * @param {Object} [options] - Lint options
+   * @param {boolean} [options.discover] - Discover tools before linting
+   * @returns {Promise<Object>} Result with diagnostics and summary
+   */
+  async lint(options = {}) {
+    // A workspace that was not started yet has not been scanned
+    if (this.watcher instanceof WorkspaceWatcher && this.watcher.projects.length === 0) {
+      await this.watcher.scan();
+    }
+    const sources = this.watcher.getSources();
+    
+    let discovery = this.lastDiscovery;
+    if (options.discover && this.config.discovery?.enabled !== false) {
+      this.emit('info', 'Discovering tools for linting');
+      discovery = await this.parser.extractServerInfoWithDiscovery(await readSettingsSources(this.config, sources));
+    }
+    
+    return lintSettingsSources(sources, { discovery });
+  }
+
   /**
    * Force an update
    * @returns {Promise<boolean>} Success status
@@ -173,9 +488,12 @@ export class MCPWatcherService extends EventEmitter {
   getStatus() {
     const watcherStatus = this.watcher.getStatus();
     
+    const settingsSources = this.watcher.getSources();
+    
     return {
       ...watcherStatus,
-      settingsPath: this.config.paths.settings,
+      settingsPath: settingsSources[0]?.path || null,
+      settingsSources,
       markdownPath: this.config.paths.markdown
     };
   }
@@ -199,8 +517,19 @@ export class MCPWatcherService extends EventEmitter {
       // Update configuration paths
       if (configUpdate.settingsPath) {
         // Ensure the path is absolute
-        this.config.paths.settings = path.isAbsolute(configUpdate.settingsPath) 
+        const settingsPath = path.isAbsolute(configUpdate.settingsPath) 
           ? configUpdate.settingsPath : path.resolve(configUpdate.settingsPath);
+        
+        // With several sources, only the first one is replaced
+        if (Array.isArray(this.config.paths.settings) && this.config.paths.settings.length > 1) {
+          const [first, ...rest] = this.config.paths.settings;
+          this.config.paths.settings = [
+            typeof first === 'string' ? settingsPath : { ...first, path: settingsPath },
+            ...rest
+          ];
+        } else {
+          this.config.paths.settings = settingsPath;
+        }
       }
       if (configUpdate.markdownPath) {
         // Ensure the path is absolute
@@ -209,8 +538,15 @@ export class MCPWatcherService extends EventEmitter {
       }
       
       // Update components with new configuration
+      await this.liveSessions.closeAll();
       this.parser = new MCPSettingsParser(this.config);
       this.generator = new MDGenerator(this.config, this.parser);
+      this.liveSessions = this.createLiveSessions();
+      
+      // A different settings file starts a fresh discovery run
+      this.lastServers = null;
+      this.lastDiscovery = null;
+      this.lastSettings = null;
       
       // Save updated configuration to config file
       await saveConfig(this.config);
@@ -219,7 +555,7 @@ export class MCPWatcherService extends EventEmitter {
       const wasRunning = this.watcher.running;
       if (wasRunning) {
         await this.watcher.stop();
-        this.watcher = new MCPConfigWatcher(this.config);
+        this.watcher = this.createWatcher();
         
         // Re-setup event handlers for the new watcher
         this.setupEventHandlers();
@@ -228,7 +564,7 @@ export class MCPWatcherService extends EventEmitter {
       
       // Emit config updated event
       this.emit('config-updated', {
-        settingsPath: this.config.paths.settings,
+        settingsPath: getPrimarySettingsPath(this.config),
         markdownPath: this.config.paths.markdown,
         timestamp: new Date()
       });
@@ -0,0 +1,113 @@
+// Server config keys that only affect documentation, not what a launched server reports
+const DOCUMENTATION_ONLY_KEYS = ['autoApprove', 'alwaysAllow'];
+
+// Keys added while reading settings files: the client format and the named source
+const METADATA_KEYS = ['client', 'source'];
+
+/**
+ * Serialize a value with object keys sorted, so key order never counts as a change
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON representation
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Strip documentation-only keys from a server config
+ * @param {Object} serverConfig - Server configuration
+ * @returns {Object} Launch-relevant part of the configuration
+ * @private
+ */
+function launchConfig(serverConfig) {
+  const config = { ...serverConfig };
+  for (const key of [...DOCUMENTATION_ONLY_KEYS, ...METADATA_KEYS]) {
+    delete config[key];
+  }
+  return config;
+}
+
+/**
+ * Diff two `mcpServers` maps
+ * 
+ * Disabled servers are treated as absent, so disabling a server reports it
+ * as removed and enabling it reports it as added.
+ * @param {Object} previousServers - Previous mcpServers map (may be null)
+ * @param {Object} currentServers - Current mcpServers map
+ * @returns {Object} Server IDs grouped into added, removed, changed and unchanged
+ */
+export function diffServers(previousServers, currentServers) {
+  const enabled = (servers = {}) => Object.fromEntries(
+    Object.entries(servers || {}).filter(([, serverConfig]) => serverConfig.disabled !== true)
+  );
+  
+  const previous = enabled(previousServers);
+  const current = enabled(currentServers);
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+  
+  for (const [serverId, serverConfig] of Object.entries(current)) {
+    if (!(serverId in previous)) {
+      diff.added.push(serverId);
+    } else if (stableStringify(previous[serverId]) !== stableStringify(serverConfig)) {
+      diff.changed.push(serverId);
+    } else {
+      diff.unchanged.push(serverId);
+    }
+  }
+  
+  for (const serverId of Object.keys(previous)) {
+    if (!(serverId in current)) {
+      diff.removed.push(serverId);
+    }
+  }
+  
+  return diff;
+}
+
+/**
+ * List the keys whose values differ between two definitions of a server
+ * 
+ * Metadata added while reading settings files (client and source) is ignored.
+ * @param {Object} firstConfig - First server configuration
+ * @param {Object} secondConfig - Second server configuration
+ * @returns {string[]} Sorted keys that are missing from one side or hold different values
+ */
+export function diffServerConfigs(firstConfig, secondConfig) {
+  const keys = new Set([...Object.keys(firstConfig || {}), ...Object.keys(secondConfig || {})]);
+  
+  return [...keys]
+    .filter(key => !METADATA_KEYS.includes(key))
+    .filter(key => stableStringify(firstConfig?.[key]) !== stableStringify(secondConfig?.[key]))
+    .sort();
+}
+
+/**
+ * Check whether a config change requires relaunching the server
+ * 
+ * Changes confined to documentation-only keys such as `autoApprove` keep the
+ * previous discovery results.
+ * @param {Object} previousConfig - Previous server configuration
+ * @param {Object} currentConfig - Current server configuration
+ * @returns {boolean} True if the server has to be rediscovered
+ */
+export function requiresRediscovery(previousConfig, currentConfig) {
+  if (!previousConfig) {
+    return true;
+  }
+  
+  return stableStringify(launchConfig(previousConfig)) !== stableStringify(launchConfig(currentConfig));
+}
+
+export default { diffServers, diffServerConfigs, requiresRediscovery };
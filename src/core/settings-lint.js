@@ -0,0 +1,361 @@
+import fs from 'fs-extra';
+import { parseJsonc } from './jsonc.js';
+import { detectFormat } from './formats/index.js';
+
+// Keys of a server entry and the type of their value
+export const SERVER_SCHEMA = {
+  command: 'string',
+  args: 'string[]',
+  env: 'object<string>',
+  envFile: 'string',
+  cwd: 'string',
+  url: 'string',
+  headers: 'object<string>',
+  type: 'string',
+  transportType: 'string',
+  disabled: 'boolean',
+  autoApprove: 'string[]',
+  alwaysAllow: 'string[]',
+  timeout: 'number'
+};
+
+// Keys that are only valid in some client formats
+const FORMAT_KEYS = {
+  windsurf: { serverUrl: 'string' },
+  vscode: { dev: 'object' }
+};
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Escape a key for use in a JSON pointer (RFC 6901)
+ * @param {string} key - Object key or array index
+ * @returns {string} Escaped reference token
+ * @private
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Build a JSON pointer from reference tokens
+ * @param {...string} keys - Keys from the document root
+ * @returns {string} JSON pointer
+ */
+export function toPointer(...keys) {
+  return keys.map(key => `/${escapePointer(key)}`).join('');
+}
+
+/**
+ * Find the server map in a raw settings file
+ * @param {Object} settings - Parsed settings file
+ * @param {Object} options - Options with format and filePath
+ * @returns {Object|null} Format ID, keys of the server map from the document
+ *   root and the map itself, or null if the format is not recognized
+ * @private
+ */
+function locateServers(settings, options) {
+  const formatId = options.format && options.format !== 'auto'
+    ? options.format
+    : detectFormat(settings, options.filePath)?.id;
+  if (!formatId) {
+    return null;
+  }
+  
+  // VS Code nests the servers under `mcp` in the user settings.json
+  let serversPath = ['mcpServers'];
+  if (formatId === 'vscode') {
+    serversPath = settings.servers ? ['servers'] : ['mcp', 'servers'];
+  }
+  return {
+    formatId,
+    serversPath,
+    servers: serversPath.reduce((value, key) => value?.[key], settings)
+  };
+}
+
+/**
+ * Check a value against a schema type
+ * @param {any} value - Value to check
+ * @param {string} type - Type from SERVER_SCHEMA
+ * @returns {boolean} True if the value matches
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'object<string>':
+      return isPlainObject(value) && Object.values(value).every(item => typeof item === 'string');
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {any} value - Value to check
+ * @returns {boolean} True for objects that are not arrays or null
+ * @private
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Describe a schema type for diagnostics
+ * @param {string} type - Type from SERVER_SCHEMA
+ * @returns {string} Human readable type
+ * @private
+ */
+function describeType(type) {
+  return {
+    'string[]': 'an array of strings',
+    'object<string>': 'an object of strings',
+    object: 'an object',
+    number: 'a number',
+    boolean: 'a boolean'
+  }[type] || `a ${type}`;
+}
+
+/**
+ * Compute the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the known key an unknown key was probably meant to be
+ * @param {string} key - Unknown key
+ * @param {string[]} knownKeys - Keys allowed in the entry
+ * @returns {string|null} Suggested key, or null if none is close
+ * @private
+ */
+function suggestKey(key, knownKeys) {
+  const lower = key.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  
+  for (const known of knownKeys) {
+    const distance = editDistance(lower, known.toLowerCase());
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  
+  return bestDistance <= Math.min(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * Create a diagnostic
+ * @param {string} severity - 'error', 'warning' or 'info'
+ * @param {string} code - Stable diagnostic code
+ * @param {string} message - Human readable message
+ * @param {string} pointer - JSON pointer of the offending value
+ * @param {string} [serverId] - Server the diagnostic belongs to
+ * @returns {Object} Diagnostic
+ * @private
+ */
+function diagnostic(severity, code, message, pointer, serverId = null) {
+  return { severity, code, message, pointer, serverId };
+}
+
+/**
+ * Lint the server entries of a parsed settings file
+ * 
+ * Checks every server entry against SERVER_SCHEMA: a server needs a
+ * `command` or a `url`, values must have the right type, and unknown keys
+ * are reported with the known key they were probably meant to be. When
+ * discovery results are given, auto-approved tools the server did not report
+ * are flagged as well.
+ * @param {Object} settings - Parsed settings file, before normalization
+ * @param {Object} [options] - Lint options
+ * @param {string} [options.format] - Settings format ID, detected when omitted
+ * @param {string} [options.filePath] - Path of the settings file, for format detection
+ * @param {Object} [options.discovery] - Parsed data from a discovery run
+ * @param {string} [options.sourceName] - Source name, to skip servers another source defines
+ * @returns {Object[]} Diagnostics with severity, code, message, pointer and serverId
+ */
+export function lintSettings(settings, options = {}) {
+  const located = locateServers(settings, options);
+  if (!located) {
+    return [diagnostic('error', 'unknown-format', 'No MCP servers found: expected an mcpServers or servers object', '')];
+  }
+  
+  const { formatId, serversPath, servers } = located;
+  if (!isPlainObject(servers)) {
+    return [diagnostic('error', 'invalid-servers', `${serversPath.join('.')} must be an object`, toPointer(...serversPath))];
+  }
+  
+  const schema = { ...SERVER_SCHEMA, ...FORMAT_KEYS[formatId] };
+  const knownKeys = Object.keys(schema);
+  const diagnostics = [];
+  
+  for (const [serverId, entry] of Object.entries(servers)) {
+    const serverPointer = toPointer(...serversPath, serverId);
+    
+    if (!isPlainObject(entry)) {
+      diagnostics.push(diagnostic('error', 'invalid-server', `Server ${serverId} must be an object`, serverPointer, serverId));
+      continue;
+    }
+    
+    if (!entry.command && !entry.url && !entry.serverUrl) {
+      diagnostics.push(diagnostic('error', 'missing-command', `Server ${serverId} needs a command or a url`, serverPointer, serverId));
+    }
+    
+    for (const [key, value] of Object.entries(entry)) {
+      const pointer = toPointer(...serversPath, serverId, key);
+      
+      if (!(key in schema)) {
+        const suggestion = suggestKey(key, knownKeys);
+        diagnostics.push(diagnostic('warning', 'unknown-key', suggestion
+          ? `Unknown key ${key} in server ${serverId}, did you mean ${suggestion}?`
+          : `Unknown key ${key} in server ${serverId}`, pointer, serverId));
+        continue;
+      }
+      
+      if (!matchesType(value, schema[key])) {
+        diagnostics.push(diagnostic('error', 'invalid-type', `${key} of server ${serverId} must be ${describeType(schema[key])}`, pointer, serverId));
+      }
+    }
+    
+    // Auto-approved tools can only be checked against a successful discovery of this definition
+    const discovered = options.discovery?.servers?.[serverId];
+    const sameDefinition = !options.sourceName || !discovered?.source || discovered.source === options.sourceName;
+    const toolNames = Object.keys(discovered?.toolDetails || {});
+    if (entry.disabled !== true && sameDefinition && discovered?.discovery?.status === 'ok' && toolNames.length > 0) {
+      // Cline calls the list alwaysAllow
+      for (const listKey of ['autoApprove', 'alwaysAllow']) {
+        if (!matchesType(entry[listKey], 'string[]')) {
+          continue;
+        }
+        entry[listKey].forEach((toolName, index) => {
+          if (!toolNames.includes(toolName)) {
+            diagnostics.push(diagnostic('warning', 'unknown-auto-approve',
+              `Auto-approved tool ${toolName} was not reported by server ${serverId}`,
+              toPointer(...serversPath, serverId, listKey, index), serverId));
+          }
+        });
+      }
+    }
+  }
+  
+  return diagnostics;
+}
+
+/**
+ * Find tool names provided by more than one server
+ * @param {Object} discovery - Parsed data from a discovery run
+ * @returns {Object} Server IDs keyed by duplicated tool name
+ */
+export function findDuplicateTools(discovery) {
+  const providers = {};
+  
+  for (const [serverId, server] of Object.entries(discovery?.servers || {})) {
+    if (server.disabled || server.discovery?.status !== 'ok') {
+      continue;
+    }
+    for (const toolName of Object.keys(server.toolDetails || {})) {
+      (providers[toolName] = providers[toolName] || []).push(serverId);
+    }
+  }
+  
+  return Object.fromEntries(Object.entries(providers).filter(([, serverIds]) => serverIds.length > 1));
+}
+
+/**
+ * Count diagnostics by severity
+ * @param {Object[]} diagnostics - Diagnostics
+ * @returns {Object} Counts keyed by severity
+ */
+export function summarizeDiagnostics(diagnostics) {
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  for (const { severity } of diagnostics) {
+    summary[severity]++;
+  }
+  return summary;
+}
+
+/**
+ * Lint every settings source
+ * 
+ * Each file is read and linted on its own, so pointers refer to the file as
+ * written. Syntax errors are reported with their line and column, and tools
+ * provided by several servers are reported on each of those servers.
+ * @param {Object[]} sources - Sources with name, path and format
+ * @param {Object} [options] - Lint options
+ * @param {Object} [options.discovery] - Parsed data from a discovery run
+ * @returns {Promise<Object>} Result with diagnostics (tagged with source and path) and summary
+ */
+export async function lintSettingsSources(sources, options = {}) {
+  const diagnostics = [];
+  const serverSources = {};
+  
+  for (const source of sources) {
+    const tag = { source: source.name, path: source.path };
+    
+    let settings;
+    try {
+      settings = parseJsonc(await fs.readFile(source.path, 'utf8'), { filePath: source.path });
+    } catch (error) {
+      diagnostics.push({
+        ...diagnostic('error', error.line ? 'syntax' : 'unreadable', error.message, ''),
+        ...tag,
+        ...(error.line ? { line: error.line, column: error.column } : {})
+      });
+      continue;
+    }
+    
+    const fileDiagnostics = lintSettings(settings, {
+      format: source.format,
+      filePath: source.path,
+      discovery: options.discovery,
+      sourceName: sources.length > 1 ? source.name : null
+    });
+    diagnostics.push(...fileDiagnostics.map(entry => ({ ...entry, ...tag })));
+    
+    // Duplicate tools are reported where the server is first defined
+    const located = locateServers(settings, { format: source.format, filePath: source.path });
+    if (located && isPlainObject(located.servers)) {
+      for (const serverId of Object.keys(located.servers)) {
+        serverSources[serverId] = serverSources[serverId] || { ...tag, pointer: toPointer(...located.serversPath, serverId) };
+      }
+    }
+  }
+  
+  for (const [toolName, serverIds] of Object.entries(findDuplicateTools(options.discovery))) {
+    for (const serverId of serverIds) {
+      const others = serverIds.filter(other => other !== serverId).join(', ');
+      const location = serverSources[serverId] || { source: null, path: null, pointer: '' };
+      diagnostics.push({
+        ...diagnostic('warning', 'duplicate-tool', `Tool ${toolName} of server ${serverId} is also provided by ${others}`, location.pointer, serverId),
+        source: location.source,
+        path: location.path
+      });
+    }
+  }
+  
+  return { diagnostics, summary: summarizeDiagnostics(diagnostics) };
+}
+
+export default { SERVER_SCHEMA, toPointer, lintSettings, findDuplicateTools, summarizeDiagnostics, lintSettingsSources };
@@ -0,0 +1,144 @@
+import path from 'path';
+import { readSettingsFile } from './formats/index.js';
+import { diffServerConfigs } from './settings-diff.js';
+
+/**
+ * Resolve the settings sources from `config.paths.settings`
+ * 
+ * `paths.settings` is either a single path or a list of sources. Each source
+ * is a path or an object with `path` and optional `name` and `format`.
+ * Unnamed sources are named after their file, and duplicate names get a
+ * numeric suffix.
+ * @param {Object} config - Configuration object
+ * @returns {Object[]} Sources with name, path and format, in priority order
+ */
+export function resolveSettingsSources(config) {
+  const entries = [].concat(config.paths?.settings || []);
+  const names = new Set();
+  
+  return entries
+    .map(entry => typeof entry === 'string' ? { path: entry } : entry)
+    .filter(entry => entry && entry.path)
+    .map(entry => {
+      const baseName = entry.name || path.basename(entry.path, path.extname(entry.path));
+      let name = baseName;
+      for (let i = 2; names.has(name); i++) {
+        name = `${baseName}-${i}`;
+      }
+      names.add(name);
+      
+      return {
+        name,
+        path: path.normalize(entry.path),
+        format: entry.format || 'auto'
+      };
+    });
+}
+
+/**
+ * Get the path of the first settings source
+ * @param {Object} config - Configuration object
+ * @returns {string|null} Path, or null if no source is configured
+ */
+export function getPrimarySettingsPath(config) {
+  return resolveSettingsSources(config)[0]?.path || null;
+}
+
+/**
+ * Merge normalized settings from several sources into one catalog
+ * 
+ * Sources are merged in priority order: when a server ID appears in more than
+ * one source, the first source's definition is used. Every server is tagged
+ * with the `source` that defines it, and servers defined more than once are
+ * listed in `conflicts` with the keys their definitions differ in.
+ * @param {Object[]} loaded - Objects with the source and its normalized settings
+ * @returns {Object} Catalog with mcpServers, inputs, sources and conflicts
+ */
+export function mergeSettingsSources(loaded) {
+  const mcpServers = {};
+  const definitions = {};
+  const inputs = [];
+  
+  for (const { source, settings } of loaded) {
+    for (const [serverId, serverConfig] of Object.entries(settings.mcpServers)) {
+      const tagged = { ...serverConfig, source: source.name };
+      (definitions[serverId] = definitions[serverId] || []).push(tagged);
+      if (!(serverId in mcpServers)) {
+        mcpServers[serverId] = tagged;
+      }
+    }
+    
+    // Inputs are looked up by id, the first source to declare one wins
+    for (const input of settings.inputs || []) {
+      if (!inputs.some(existing => existing.id === input.id)) {
+        inputs.push({ ...input, source: source.name });
+      }
+    }
+  }
+  
+  const conflicts = {};
+  for (const [serverId, [winner, ...others]] of Object.entries(definitions)) {
+    if (others.length === 0) {
+      continue;
+    }
+    
+    conflicts[serverId] = {
+      source: winner.source,
+      sources: [winner, ...others].map(definition => definition.source),
+      differences: others.map(definition => ({
+        source: definition.source,
+        keys: diffServerConfigs(winner, definition)
+      }))
+    };
+  }
+  
+  return {
+    mcpServers,
+    inputs,
+    sources: loaded.map(({ source, settings }) => ({
+      ...source,
+      format: settings.format,
+      servers: Object.keys(settings.mcpServers)
+    })),
+    conflicts
+  };
+}
+
+/**
+ * Read every configured settings source and merge them into one catalog
+ * 
+ * Sources that are missing or cannot be parsed are skipped and reported in
+ * `errors`, with the line and column of syntax errors; reading only fails
+ * when no source could be read.
+ * @param {Object} config - Configuration object
+ * @param {Object[]} [sources] - Sources to read instead of the configured ones
+ * @returns {Promise<Object>} Catalog with mcpServers, inputs, sources, conflicts and errors
+ */
+export async function readSettingsSources(config, sources = resolveSettingsSources(config)) {
+  if (sources.length === 0) {
+    throw new Error('No MCP settings file configured in paths.settings');
+  }
+  
+  const loaded = [];
+  const errors = [];
+  
+  for (const source of sources) {
+    try {
+      const settings = await readSettingsFile(source.path, { format: source.format });
+      loaded.push({ source, settings });
+    } catch (error) {
+      const position = error.line ? { line: error.line, column: error.column } : {};
+      errors.push({ source: source.name, path: source.path, error: error.message, ...position });
+    }
+  }
+  
+  if (loaded.length === 0) {
+    throw new Error(sources.length === 1
+      ? errors[0].error
+      : errors.map(({ source, error }) => `${source}: ${error}`).join('; '));
+  }
+  
+  return { ...mergeSettingsSources(loaded), errors };
+}
+
+export default { resolveSettingsSources, getPrimarySettingsPath, mergeSettingsSources, readSettingsSources };
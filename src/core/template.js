@@ -0,0 +1,265 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Bundled templates, one file per template name
+export const DEFAULT_TEMPLATE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../templates/default');
+
+// The document template and the partials it renders servers with
+export const TEMPLATE_NAMES = ['document', 'server', 'tool', 'config', 'disabled'];
+
+// {{name}}, {{#section}}, {{^inverted}}, {{/close}}, {{> partial}}, {{! comment}}
+const TAG = /\{\{\s*([#^/>!]?)\s*([^}]*?)\s*\}\}/g;
+
+// A line holding nothing but one of these tags is dropped from the output
+const STANDALONE = /^[ \t]*\{\{\s*([#^/>!])\s*([^}]*?)\s*\}\}[ \t]*(\r?\n|$)/;
+
+// Last parsed source and token tree of each template name, so repeated
+// renders skip parsing; an edited template replaces its entry
+const parsedTemplates = new Map();
+
+/**
+ * Error raised for templates that cannot be parsed or rendered
+ */
+export class TemplateError extends Error {
+  /**
+   * Create a new template error
+   * @param {string} message - Error message
+   * @param {string} [templateName] - Template the error was found in
+   * @param {number} [line] - Line of the error, starting at 1
+   */
+  constructor(message, templateName = null, line = null) {
+    super(line ? `${message} (${templateName || 'template'}, line ${line})` : message);
+    this.name = 'TemplateError';
+    this.templateName = templateName;
+    this.line = line;
+  }
+}
+
+/**
+ * Split a template into a token tree
+ * 
+ * Tags must fit on one line. A section, inverted section, closing tag,
+ * partial or comment that stands alone on its line removes the whole line,
+ * so block tags can be written on lines of their own without leaving blank
+ * lines in the output.
+ * @param {string} source - Template source
+ * @param {string} [templateName] - Template name, for error messages
+ * @returns {Object[]} Tokens: text, name, section (with children) and partial
+ */
+export function parseTemplate(source, templateName = null) {
+  const root = { children: [] };
+  const stack = [root];
+  
+  const open = (type, name, line) => {
+    switch (type) {
+      case '!':
+        return;
+      case '>':
+        stack[stack.length - 1].children.push({ type: 'partial', name, line });
+        return;
+      case '#':
+      case '^': {
+        const section = { type: 'section', inverted: type === '^', name, line, children: [] };
+        stack[stack.length - 1].children.push(section);
+        stack.push(section);
+        return;
+      }
+      case '/': {
+        const section = stack.pop();
+        if (section === root || section.name !== name) {
+          throw new TemplateError(`Unexpected closing tag {{/${name}}}`, templateName, line);
+        }
+        return;
+      }
+      default:
+        stack[stack.length - 1].children.push({ type: 'name', name, line });
+    }
+  };
+  
+  const lines = source.match(/[^\n]*\n|[^\n]+$/g) || [];
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    const standalone = text.match(STANDALONE);
+    if (standalone) {
+      open(standalone[1], standalone[2], line);
+      return;
+    }
+    
+    let last = 0;
+    for (const match of text.matchAll(TAG)) {
+      if (match.index > last) {
+        stack[stack.length - 1].children.push({ type: 'text', value: text.slice(last, match.index) });
+      }
+      open(match[1], match[2], line);
+      last = match.index + match[0].length;
+    }
+    if (last < text.length) {
+      stack[stack.length - 1].children.push({ type: 'text', value: text.slice(last) });
+    }
+  });
+  
+  if (stack.length > 1) {
+    const section = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed section {{#${section.name}}}`, templateName, section.line);
+  }
+  return root.children;
+}
+
+/**
+ * Look up a name in a context stack
+ * 
+ * `.` is the current value. Dotted names are resolved from the innermost
+ * object that has their first key.
+ * @param {string} name - Variable name
+ * @param {any[]} contexts - Context stack, innermost last
+ * @returns {any} Value, or undefined if the name is not found
+ * @private
+ */
+function lookup(name, contexts) {
+  if (name === '.') {
+    return contexts[contexts.length - 1];
+  }
+  
+  const [first, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => value?.[key], context[first]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Check whether a section value renders its contents
+ * @param {any} value - Section value
+ * @returns {boolean} False for missing, false, empty string and empty array values
+ * @private
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render a token tree
+ * @param {Object[]} tokens - Tokens from parseTemplate()
+ * @param {any[]} contexts - Context stack
+ * @param {Object} partials - Parsed partials keyed by name
+ * @param {number} depth - Partial nesting depth
+ * @returns {string} Rendered text
+ * @private
+ */
+function renderTokens(tokens, contexts, partials, depth) {
+  let output = '';
+  
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'text':
+        output += token.value;
+        break;
+      case 'name': {
+        const value = lookup(token.name, contexts);
+        output += value === undefined || value === null ? '' : String(value);
+        break;
+      }
+      case 'section': {
+        const value = lookup(token.name, contexts);
+        if (token.inverted) {
+          output += isTruthy(value) ? '' : renderTokens(token.children, contexts, partials, depth);
+        } else if (Array.isArray(value)) {
+          for (const item of value) {
+            output += renderTokens(token.children, [...contexts, item], partials, depth);
+          }
+        } else if (isTruthy(value)) {
+          output += renderTokens(token.children, [...contexts, value], partials, depth);
+        }
+        break;
+      }
+      case 'partial':
+        if (!partials[token.name]) {
+          throw new TemplateError(`Unknown partial {{> ${token.name}}}`, null, token.line);
+        }
+        if (depth >= 20) {
+          throw new TemplateError(`Partials nested too deeply at {{> ${token.name}}}`, null, token.line);
+        }
+        output += renderTokens(partials[token.name], contexts, partials, depth + 1);
+        break;
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Render a template with a Mustache-style subset
+ * 
+ * Supports `{{name}}` (dotted names and `.`), sections `{{#name}}` that
+ * repeat for arrays and render once for other truthy values, inverted
+ * sections `{{^name}}`, partials `{{> name}}` and comments `{{! ...}}`.
+ * Values are inserted as they are, without escaping.
+ * @param {string} templateName - Name of the template to render
+ * @param {Object} templates - Template sources keyed by name; the others are available as partials
+ * @param {Object} view - Values to render
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(templateName, templates, view) {
+  const parsed = {};
+  for (const [name, source] of Object.entries(templates)) {
+    let cached = parsedTemplates.get(name);
+    if (!cached || cached.source !== source) {
+      cached = { source, tokens: parseTemplate(source, name) };
+      parsedTemplates.set(name, cached);
+    }
+    parsed[name] = cached.tokens;
+  }
+  if (!parsed[templateName]) {
+    throw new TemplateError(`Unknown template ${templateName}`);
+  }
+  
+  return renderTokens(parsed[templateName], [view], parsed, 0);
+}
+
+/**
+ * Read the bundled default templates
+ * @returns {Object} Template sources keyed by name
+ */
+export function loadDefaultTemplates() {
+  return Object.fromEntries(TEMPLATE_NAMES.map(name =>
+    [name, fs.readFileSync(path.join(DEFAULT_TEMPLATE_DIR, `${name}.md`), 'utf8')]));
+}
+
+/**
+ * Read the templates configured under `generator`
+ * 
+ * `generator.template` replaces the document template and
+ * `generator.partials` replaces single partials; the rest come from the
+ * bundled defaults. Every template is parsed, so syntax errors are raised
+ * here rather than on the next render.
+ * @param {Object} config - Configuration object
+ * @param {Object} [defaults] - Default template sources
+ * @returns {Promise<Object>} Template sources keyed by name
+ */
+export async function loadTemplates(config, defaults = loadDefaultTemplates()) {
+  const files = { ...config.generator?.partials };
+  if (config.generator?.template) {
+    files.document = config.generator.template;
+  }
+  
+  const templates = { ...defaults };
+  for (const [name, filePath] of Object.entries(files)) {
+    if (!filePath) {
+      continue;
+    }
+    try {
+      templates[name] = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new TemplateError(`Failed to read template ${name} from ${filePath}: ${error.message}`, name);
+    }
+    parseTemplate(templates[name], name);
+  }
+  
+  return templates;
+}
+
+export default { TemplateError, parseTemplate, renderTemplate, loadDefaultTemplates, loadTemplates };
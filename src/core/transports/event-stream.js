@@ -0,0 +1,59 @@
+/**
+ * Read a text/event-stream body and invoke a callback for each event
+ * @param {ReadableStream} body - Response body stream
+ * @param {Function} onEvent - Called with { event, data, id } for each event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = { event: 'message', data: [], id: null };
+  
+  const dispatch = () => {
+    if (event.data.length > 0) {
+      onEvent({ event: event.event, data: event.data.join('\n'), id: event.id });
+    }
+    event = { event: 'message', data: [], id: null };
+  };
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    
+    for (const line of lines) {
+      if (line === '') {
+        dispatch();
+        continue;
+      }
+      if (line.startsWith(':')) {
+        continue;
+      }
+      
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.substring(0, separator);
+      let value = separator === -1 ? '' : line.substring(separator + 1);
+      if (value.startsWith(' ')) {
+        value = value.substring(1);
+      }
+      
+      if (field === 'event') {
+        event.event = value;
+      } else if (field === 'data') {
+        event.data.push(value);
+      } else if (field === 'id') {
+        event.id = value;
+      }
+    }
+  }
+  
+  dispatch();
+}
+
+export default readEventStream;
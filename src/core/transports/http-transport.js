@@ -0,0 +1,216 @@
+import { JsonRpcTransport, JsonRpcError } from './json-rpc-transport.js';
+import { readEventStream } from './event-stream.js';
+
+/**
+ * Streamable HTTP JSON-RPC transport
+ * 
+ * Posts each message to a single MCP endpoint. Responses arrive either as a
+ * JSON body or as a text/event-stream, and the session id issued by the
+ * server is echoed on every subsequent request. Server-initiated messages
+ * (e.g. list_changed notifications) are only received once the GET event
+ * stream has been opened with openEventStream().
+ */
+export class HttpTransport extends JsonRpcTransport {
+  /**
+   * Create a new Streamable HTTP transport
+   * @param {Object} options - Transport options
+   * @param {string} options.url - MCP endpoint URL
+   * @param {Object} [options.headers] - Extra headers sent with every request
+   * @param {number} [options.requestTimeout] - Default request timeout in milliseconds
+   */
+  constructor(options) {
+    super(options);
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Start the transport (HTTP is connectionless, nothing to open)
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.emit('debug', `Using Streamable HTTP endpoint ${this.url}`);
+  }
+
+  /**
+   * Open the GET event stream for messages the server sends on its own
+   * 
+   * Must be called after initialize, so the stream belongs to the session.
+   * The stream stays open until the transport is closed; if the server ends
+   * it, an 'exit' event is emitted.
+   * @returns {Promise<void>} Resolves once the stream is open
+   * @throws {JsonRpcError} If the server does not offer an event stream
+   */
+  async openEventStream() {
+    const headers = this.buildHeaders();
+    delete headers['Content-Type'];
+    headers['Accept'] = 'text/event-stream';
+    
+    const response = await fetch(this.url, {
+      method: 'GET',
+      headers,
+      signal: this.abortController.signal
+    });
+    
+    if (!response.ok || !(response.headers.get('content-type') || '').includes('text/event-stream')) {
+      await response.body?.cancel().catch(() => {});
+      throw new JsonRpcError(`Server does not offer an event stream (${response.status} ${response.statusText})`);
+    }
+    
+    this.emit('debug', `Opened event stream for session ${this.sessionId || '(none)'}`);
+    readEventStream(response.body, (event) => {
+      if (event.event === 'message') {
+        this.dispatchPayload(event.data);
+      }
+    }).then(() => {
+      if (!this.closed) {
+        this.emit('warning', 'Event stream ended by the server');
+        this.emit('exit', null);
+      }
+    }).catch((error) => {
+      if (!this.closed) {
+        this.emit('warning', `Event stream failed: ${error.message}`);
+        this.emit('exit', null);
+      }
+    });
+  }
+
+  /**
+   * Record the negotiated protocol version for the MCP-Protocol-Version header
+   * @param {string} protocolVersion - Negotiated protocol version
+   */
+  setProtocolVersion(protocolVersion) {
+    this.protocolVersion = protocolVersion;
+  }
+
+  /**
+   * Post a message to the endpoint
+   * @param {Object} message - JSON-RPC message
+   */
+  send(message) {
+    this.emit('debug', `Sending JSON-RPC message: ${JSON.stringify(message)}`);
+    this.post(message).catch((error) => {
+      if (!this.closed) {
+        this.failRequest(message.id, new JsonRpcError(`HTTP request failed: ${error.message}`));
+      }
+    });
+  }
+
+  /**
+   * Build the headers for a request
+   * @returns {Object} Request headers
+   * @private
+   */
+  buildHeaders() {
+    const headers = {
+      ...this.headers,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream'
+    };
+    
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+    if (this.protocolVersion) {
+      headers['MCP-Protocol-Version'] = this.protocolVersion;
+    }
+    
+    return headers;
+  }
+
+  /**
+   * Post a message and dispatch whatever the server responds with
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   * @private
+   */
+  async post(message) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    });
+    
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+    
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`${response.status} ${response.statusText}${body ? `: ${body.substring(0, 200)}` : ''}`);
+    }
+    
+    // Notifications and responses are acknowledged without a body
+    if (response.status === 202 || message.id === undefined) {
+      await response.body?.cancel().catch(() => {});
+      return;
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    
+    if (contentType.includes('text/event-stream')) {
+      await readEventStream(response.body, (event) => {
+        if (event.event === 'message') {
+          this.dispatchPayload(event.data);
+        }
+      });
+      return;
+    }
+    
+    this.dispatchPayload(await response.text());
+  }
+
+  /**
+   * Parse a JSON payload (single message or batch) and dispatch it
+   * @param {string} payload - Raw JSON text
+   * @private
+   */
+  dispatchPayload(payload) {
+    let parsed;
+    try {
+      parsed = JSON.parse(payload);
+    } catch (error) {
+      this.emit('log', payload);
+      return;
+    }
+    
+    for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+      this.handleMessage(message);
+    }
+  }
+
+  /**
+   * End the session and abort any open streams
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    
+    this.closed = true;
+    this.rejectAll(new JsonRpcError('Transport closed'));
+    this.abortController.abort();
+    
+    // Explicitly terminate the session; servers may not support this
+    if (this.sessionId) {
+      try {
+        const response = await fetch(this.url, {
+          method: 'DELETE',
+          headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId },
+          signal: AbortSignal.timeout(this.requestTimeout)
+        });
+        await response.body?.cancel().catch(() => {});
+      } catch (error) {
+        this.emit('debug', `Failed to terminate session: ${error.message}`);
+      }
+    }
+  }
+}
+
+export default HttpTransport;
@@ -0,0 +1,79 @@
+import StdioTransport from './stdio-transport.js';
+import HttpTransport from './http-transport.js';
+import SseTransport from './sse-transport.js';
+
+export { StdioTransport, HttpTransport, SseTransport };
+export { JsonRpcTransport, JsonRpcError, JsonRpcTimeoutError } from './json-rpc-transport.js';
+export { resolveSpawn, terminateProcessTree } from './process-tree.js';
+
+/**
+ * Determine which transport a server entry uses
+ * 
+ * An explicit `type` (or Cline's `transportType`) wins. Otherwise entries
+ * with a `url` use Streamable HTTP, unless the URL ends in `/sse`, and
+ * everything else is launched over stdio.
+ * @param {Object} serverConfig - Server configuration
+ * @returns {string} 'stdio', 'sse' or 'http'
+ */
+export function resolveTransportType(serverConfig) {
+  const declared = String(serverConfig.type || serverConfig.transportType || '').toLowerCase();
+  
+  if (declared === 'stdio') {
+    return 'stdio';
+  }
+  if (declared === 'sse') {
+    return 'sse';
+  }
+  if (['http', 'streamable-http', 'streamablehttp', 'streamable_http'].includes(declared)) {
+    return 'http';
+  }
+  
+  if (serverConfig.url) {
+    return /\/sse\/?(\?.*)?$/.test(serverConfig.url) ? 'sse' : 'http';
+  }
+  
+  return 'stdio';
+}
+
+/**
+ * Create a transport for a server entry
+ * @param {Object} serverConfig - Server configuration
+ * @param {Object} [options] - Transport options
+ * @param {string[]} [options.args] - Override stdio arguments
+ * @param {Object} [options.env] - Override stdio environment
+ * @param {string} [options.cwd] - Working directory for a stdio server
+ * @param {number} [options.requestTimeout] - Default request timeout in milliseconds
+ * @param {number} [options.killGracePeriod] - Time between SIGTERM and SIGKILL when closing a stdio server
+ * @returns {JsonRpcTransport} Transport instance (not yet started)
+ */
+export function createTransport(serverConfig, options = {}) {
+  const type = resolveTransportType(serverConfig);
+  
+  if (type === 'stdio') {
+    if (!serverConfig.command) {
+      throw new Error('No command defined for stdio server');
+    }
+    
+    return new StdioTransport({
+      command: serverConfig.command,
+      args: options.args || serverConfig.args || [],
+      env: options.env,
+      cwd: options.cwd || serverConfig.cwd,
+      requestTimeout: options.requestTimeout,
+      killGracePeriod: options.killGracePeriod
+    });
+  }
+  
+  if (!serverConfig.url) {
+    throw new Error(`No url defined for ${type} server`);
+  }
+  
+  const TransportClass = type === 'sse' ? SseTransport : HttpTransport;
+  return new TransportClass({
+    url: serverConfig.url,
+    headers: serverConfig.headers || {},
+    requestTimeout: options.requestTimeout
+  });
+}
+
+export default { createTransport, resolveTransportType };
@@ -0,0 +1,213 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Error returned by a JSON-RPC peer, or raised when a request cannot complete
+ */
+export class JsonRpcError extends Error {
+  /**
+   * Create a new JSON-RPC error
+   * @param {string} message - Error message
+   * @param {number} [code] - JSON-RPC error code
+   * @param {any} [data] - Additional error data from the peer
+   */
+  constructor(message, code = null, data = undefined) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Error raised when a JSON-RPC request does not receive a response in time
+ */
+export class JsonRpcTimeoutError extends JsonRpcError {
+  /**
+   * Create a new timeout error
+   * @param {string} method - Method of the request that timed out
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(method, timeout) {
+    super(`Request ${method} timed out after ${timeout}ms`);
+    this.name = 'JsonRpcTimeoutError';
+    this.method = method;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Base JSON-RPC 2.0 transport
+ * 
+ * Correlates responses with pending requests by id and dispatches
+ * notifications. Subclasses implement send() to deliver messages.
+ */
+export class JsonRpcTransport extends EventEmitter {
+  /**
+   * Create a new transport instance
+   * @param {Object} options - Transport options
+   * @param {number} [options.requestTimeout] - Default request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    super();
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.closed = false;
+    // Time the first JSON-RPC message arrived (ms since epoch), for diagnostics
+    this.firstMessageAt = null;
+  }
+
+  /**
+   * Send a request and wait for the matching response
+   * @param {string} method - JSON-RPC method
+   * @param {Object} [params] - Request parameters
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @returns {Promise<any>} Response result
+   */
+  request(method, params = {}, options = {}) {
+    if (this.closed) {
+      return Promise.reject(new JsonRpcError(`Transport closed before ${method} could be sent`));
+    }
+    
+    const id = this.nextId++;
+    const timeout = options.timeout ?? this.requestTimeout;
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new JsonRpcTimeoutError(method, timeout));
+      }, timeout);
+      
+      this.pending.set(id, { method, resolve, reject, timer });
+      
+      try {
+        this.send({ jsonrpc: '2.0', id, method, params });
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(new JsonRpcError(`Failed to send ${method}: ${error.message}`));
+      }
+    });
+  }
+
+  /**
+   * Send a notification (no response expected)
+   * @param {string} method - JSON-RPC method
+   * @param {Object} [params] - Notification parameters
+   */
+  notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params !== undefined) {
+      message.params = params;
+    }
+    this.send(message);
+  }
+
+  /**
+   * Record the negotiated protocol version
+   * 
+   * Transports that need to advertise it (e.g. Streamable HTTP) override this.
+   * @param {string} protocolVersion - Negotiated protocol version
+   */
+  setProtocolVersion(protocolVersion) {}
+
+  /**
+   * Deliver a message to the peer
+   * @param {Object} message - JSON-RPC message
+   * @abstract
+   */
+  send(message) {
+    throw new Error('send() must be implemented by the transport');
+  }
+
+  /**
+   * Handle a message received from the peer
+   * @param {Object} message - Parsed JSON-RPC message
+   * @protected
+   */
+  handleMessage(message) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      this.emit('debug', `Ignoring non JSON-RPC message: ${JSON.stringify(message).substring(0, 100)}`);
+      return;
+    }
+    
+    if (this.firstMessageAt === null) {
+      this.firstMessageAt = Date.now();
+    }
+    
+    // Response to one of our requests
+    if (message.id !== undefined && message.id !== null && !message.method) {
+      const pending = this.pending.get(message.id);
+      if (!pending) {
+        this.emit('debug', `Ignoring response with unknown id ${message.id}`);
+        return;
+      }
+      
+      clearTimeout(pending.timer);
+      this.pending.delete(message.id);
+      
+      if (message.error) {
+        pending.reject(new JsonRpcError(
+          message.error.message || `Request ${pending.method} failed`,
+          message.error.code,
+          message.error.data
+        ));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+    
+    // Request from the peer: answer ping, refuse everything else
+    if (message.id !== undefined && message.method) {
+      if (message.method === 'ping') {
+        this.send({ jsonrpc: '2.0', id: message.id, result: {} });
+      } else {
+        this.send({
+          jsonrpc: '2.0',
+          id: message.id,
+          error: { code: -32601, message: `Method not found: ${message.method}` }
+        });
+      }
+      return;
+    }
+    
+    // Notification from the peer
+    if (message.method) {
+      this.emit('notification', message);
+    }
+  }
+
+  /**
+   * Reject a single pending request
+   * @param {number} id - Request id
+   * @param {Error} error - Error to reject with
+   * @protected
+   */
+  failRequest(id, error) {
+    const pending = this.pending.get(id);
+    if (!pending) {
+      return;
+    }
+    
+    clearTimeout(pending.timer);
+    this.pending.delete(id);
+    pending.reject(error);
+  }
+
+  /**
+   * Reject all pending requests
+   * @param {Error} error - Error to reject with
+   * @protected
+   */
+  rejectAll(error) {
+    for (const [id, pending] of this.pending) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+      this.pending.delete(id);
+    }
+  }
+}
+
+export default JsonRpcTransport;
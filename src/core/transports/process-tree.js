@@ -0,0 +1,275 @@
+import { execFile } from 'child_process';
+
+// Windows command shims that cannot be executed without a shell
+const WINDOWS_SHIMS = ['npx', 'npm', 'pnpm', 'pnpx', 'yarn'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Quote an argument for cmd.exe
+ * @param {string} arg - Argument
+ * @returns {string} Quoted argument
+ * @private
+ */
+function quoteWindowsArg(arg) {
+  if (arg !== '' && !/[\s"&|<>^()]/.test(arg)) {
+    return arg;
+  }
+  return `"${arg.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Work out how to spawn a server command
+ * 
+ * Commands are spawned directly, without a shell, so arguments containing
+ * spaces reach the server unchanged. The only exception is Windows `.cmd` /
+ * `.bat` shims such as `npx`, which Node can only run through cmd.exe; their
+ * arguments are quoted explicitly. On POSIX systems the server is detached
+ * into its own process group so the whole tree can be signalled at once.
+ * @param {string} command - Command to run
+ * @param {string[]} args - Command arguments
+ * @param {string} [platform] - Platform to resolve for (defaults to process.platform)
+ * @returns {Object} { command, args, options } for child_process.spawn
+ */
+export function resolveSpawn(command, args = [], platform = process.platform) {
+  if (platform !== 'win32') {
+    return { command, args, options: { shell: false, detached: true } };
+  }
+  
+  const name = command.toLowerCase().replace(/^.*[\\/]/, '');
+  const needsShell = /\.(cmd|bat)$/.test(name) || WINDOWS_SHIMS.includes(name);
+  
+  if (!needsShell) {
+    return { command, args, options: { shell: false, windowsHide: true } };
+  }
+  
+  return {
+    command: quoteWindowsArg(command),
+    args: args.map(quoteWindowsArg),
+    options: { shell: true, windowsHide: true }
+  };
+}
+
+/**
+ * Snapshot the process table
+ * @returns {Promise<Object[]|null>} Processes with pid, ppid, pgid, state and command,
+ *   or null if `ps` is unavailable
+ * @private
+ */
+function readProcessTable() {
+  return new Promise((resolve) => {
+    execFile('ps', ['-A', '-o', 'pid=,ppid=,pgid=,stat=,comm='], (error, stdout) => {
+      if (error) {
+        resolve(null);
+        return;
+      }
+      
+      resolve(stdout.split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(fields => fields.length >= 5)
+        .map(([pid, ppid, pgid, state, ...command]) => ({
+          pid: Number(pid),
+          ppid: Number(ppid),
+          pgid: Number(pgid),
+          state,
+          command: command.join(' ')
+        })));
+    });
+  });
+}
+
+/**
+ * Find the live processes belonging to a server's tree
+ * 
+ * Includes the server's process group and every descendant of the root
+ * process, so children that moved to a new group are still found. Zombies
+ * are already dead and are left out.
+ * @param {number} rootPid - PID of the server process (and its group)
+ * @returns {Promise<Object[]>} Live processes in the tree
+ * @private
+ */
+async function findProcessTree(rootPid) {
+  const table = await readProcessTable();
+  
+  // Without ps, fall back to probing the process group as a whole
+  if (!table) {
+    try {
+      process.kill(-rootPid, 0);
+      return [{ pid: rootPid, ppid: null, pgid: rootPid, state: '?', command: '(process group)' }];
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  const members = new Set([rootPid]);
+  
+  // Walk parent links until no new descendants are found
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const proc of table) {
+      if (!members.has(proc.pid) && (members.has(proc.ppid) || proc.pgid === rootPid)) {
+        members.add(proc.pid);
+        grew = true;
+      }
+    }
+  }
+  
+  return table.filter(proc => members.has(proc.pid) && !proc.state.startsWith('Z'));
+}
+
+/**
+ * Send a signal to a process group and to individual processes
+ * @param {number} rootPid - Process group ID
+ * @param {Object[]} processes - Processes to signal individually
+ * @param {string} signal - Signal name
+ * @private
+ */
+function signalTree(rootPid, processes, signal) {
+  const targets = [-rootPid, ...processes.map(proc => proc.pid)];
+  
+  for (const target of targets) {
+    try {
+      process.kill(target, signal);
+    } catch (error) {
+      // ESRCH: already gone, EPERM: not ours to signal
+    }
+  }
+}
+
+/**
+ * Wait until every process in the tree has exited
+ * @param {number} rootPid - PID of the server process
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ * @returns {Promise<Object[]>} Processes still alive when the wait ended
+ * @private
+ */
+async function waitForTree(rootPid, timeout) {
+  const waitUntil = Date.now() + timeout;
+  let alive = await findProcessTree(rootPid);
+  
+  while (alive.length > 0 && Date.now() < waitUntil) {
+    await delay(50);
+    alive = await findProcessTree(rootPid);
+  }
+  
+  return alive;
+}
+
+/**
+ * Run a Windows system command and collect its output
+ * @param {string} command - Command to run
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<string>} Combined stdout and stderr (empty if the command failed to start)
+ * @private
+ */
+function runWindowsCommand(command, args) {
+  return new Promise((resolve) => {
+    execFile(command, args, { windowsHide: true }, (error, stdout = '', stderr = '') => {
+      resolve(`${stdout}\n${stderr}`);
+    });
+  });
+}
+
+/**
+ * Look up a process with tasklist
+ * @param {number} pid - Process ID
+ * @returns {Promise<Object|null>} The process (pid and command), or null if it is gone
+ * @private
+ */
+async function findWindowsProcess(pid) {
+  const output = await runWindowsCommand('tasklist', ['/FI', `PID eq ${pid}`, '/FO', 'CSV', '/NH']);
+  
+  // Rows look like "node.exe","1234","Console","1","12,345 K"
+  for (const line of output.split(/\r?\n/)) {
+    const fields = line.match(/"[^"]*"/g)?.map(field => field.slice(1, -1));
+    if (fields && Number(fields[1]) === pid) {
+      return { pid, command: fields[0] };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Terminate a process tree on Windows
+ * 
+ * Asks the tree to close with `taskkill /T`, forces it after `gracePeriod`
+ * milliseconds, then checks the root process and every process taskkill
+ * failed to end with tasklist until they are gone or `killTimeout` expires.
+ * @param {ChildProcess} childProcess - Spawned server process
+ * @param {number} gracePeriod - Time allowed before forcing termination
+ * @param {number} killTimeout - Time allowed for forced termination to take effect
+ * @returns {Promise<Object[]>} Processes that survived (pid and command)
+ * @private
+ */
+async function terminateWindowsTree(childProcess, gracePeriod, killTimeout) {
+  const rootPid = childProcess.pid;
+  const exited = () => childProcess.exitCode !== null || childProcess.signalCode !== null;
+  
+  await runWindowsCommand('taskkill', ['/pid', String(rootPid), '/T']);
+  const graceUntil = Date.now() + gracePeriod;
+  while (!exited() && Date.now() < graceUntil) {
+    await delay(50);
+  }
+  
+  const output = await runWindowsCommand('taskkill', ['/pid', String(rootPid), '/T', '/F']);
+  
+  // taskkill names each process of the tree it could not terminate
+  const failed = [...output.matchAll(/\bPID (\d+)/g)].map(match => Number(match[1]));
+  const candidates = [...new Set([rootPid, ...failed])];
+  
+  const waitUntil = Date.now() + killTimeout;
+  let survivors;
+  do {
+    if (survivors) {
+      await delay(50);
+    }
+    
+    // The root's exit code is authoritative and avoids matching a reused PID
+    const pending = candidates.filter(pid => pid !== rootPid || !exited());
+    survivors = (await Promise.all(pending.map(findWindowsProcess))).filter(Boolean);
+  } while (survivors.length > 0 && Date.now() < waitUntil);
+  
+  return survivors;
+}
+
+/**
+ * Terminate a server process and everything it spawned
+ * 
+ * Sends SIGTERM to the process group and all descendants, waits up to
+ * `gracePeriod` milliseconds, then escalates to SIGKILL. On Windows the tree
+ * is ended with `taskkill /T`, forced with `/F`, and checked with tasklist.
+ * @param {ChildProcess} childProcess - Spawned server process
+ * @param {Object} [options] - Teardown options
+ * @param {number} [options.gracePeriod] - Time allowed between SIGTERM and SIGKILL (default 2000)
+ * @param {number} [options.killTimeout] - Time allowed for SIGKILL to take effect (default 1000)
+ * @returns {Promise<Object[]>} Processes that survived SIGKILL or `taskkill /F` (pid and command)
+ */
+export async function terminateProcessTree(childProcess, options = {}) {
+  const { gracePeriod = 2000, killTimeout = 1000 } = options;
+  const rootPid = childProcess.pid;
+  
+  if (!rootPid) {
+    return [];
+  }
+  
+  if (process.platform === 'win32') {
+    return terminateWindowsTree(childProcess, gracePeriod, killTimeout);
+  }
+  
+  const initial = await findProcessTree(rootPid);
+  signalTree(rootPid, initial, 'SIGTERM');
+  
+  const remaining = await waitForTree(rootPid, gracePeriod);
+  if (remaining.length === 0) {
+    return [];
+  }
+  
+  signalTree(rootPid, remaining, 'SIGKILL');
+  
+  const survivors = await waitForTree(rootPid, killTimeout);
+  return survivors.map(({ pid, command }) => ({ pid, command }));
+}
+
+export default { resolveSpawn, terminateProcessTree };
@@ -0,0 +1,133 @@
+import { JsonRpcTransport, JsonRpcError } from './json-rpc-transport.js';
+import { readEventStream } from './event-stream.js';
+
+/**
+ * Legacy HTTP+SSE JSON-RPC transport
+ * 
+ * Opens a long-lived event stream, waits for the server to announce the
+ * message endpoint, then posts requests to that endpoint while responses
+ * arrive as `message` events on the stream.
+ */
+export class SseTransport extends JsonRpcTransport {
+  /**
+   * Create a new SSE transport
+   * @param {Object} options - Transport options
+   * @param {string} options.url - SSE stream URL
+   * @param {Object} [options.headers] - Extra headers sent with every request
+   * @param {number} [options.requestTimeout] - Default request timeout in milliseconds
+   */
+  constructor(options) {
+    super(options);
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.endpoint = null;
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Open the event stream and wait for the endpoint event
+   * 
+   * The stream stays open until the transport is closed; if it ends or fails
+   * before that, an 'exit' event is emitted.
+   * @returns {Promise<void>} Resolves once the message endpoint is known
+   */
+  async start() {
+    this.emit('debug', `Opening SSE stream ${this.url}`);
+    
+    const response = await fetch(this.url, {
+      headers: { ...this.headers, 'Accept': 'text/event-stream' },
+      signal: this.abortController.signal
+    });
+    
+    if (!response.ok) {
+      throw new JsonRpcError(`Failed to open SSE stream: ${response.status} ${response.statusText}`);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new JsonRpcError(`No endpoint event received within ${this.requestTimeout}ms`));
+        // Stop reading the stream, the transport is unusable without an endpoint
+        this.closed = true;
+        this.abortController.abort();
+      }, this.requestTimeout);
+      
+      readEventStream(response.body, (event) => {
+        if (event.event === 'endpoint') {
+          this.endpoint = new URL(event.data, this.url).href;
+          this.emit('debug', `SSE message endpoint: ${this.endpoint}`);
+          clearTimeout(timer);
+          resolve();
+        } else if (event.event === 'message') {
+          this.dispatchPayload(event.data);
+        }
+      }).then(() => {
+        clearTimeout(timer);
+        reject(new JsonRpcError('SSE stream ended before an endpoint was announced'));
+        if (!this.closed) {
+          this.closed = true;
+          this.rejectAll(new JsonRpcError('SSE stream ended'));
+          this.emit('exit', null);
+        }
+      }).catch((error) => {
+        clearTimeout(timer);
+        reject(error);
+        if (!this.closed) {
+          this.closed = true;
+          this.rejectAll(new JsonRpcError(`SSE stream failed: ${error.message}`));
+          this.emit('exit', null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Post a message to the announced endpoint
+   * @param {Object} message - JSON-RPC message
+   */
+  send(message) {
+    if (!this.endpoint) {
+      throw new Error('SSE endpoint not yet known');
+    }
+    
+    this.emit('debug', `Sending JSON-RPC message: ${JSON.stringify(message)}`);
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    }).then((response) => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+    }).catch((error) => {
+      if (!this.closed) {
+        this.failRequest(message.id, new JsonRpcError(`HTTP request failed: ${error.message}`));
+      }
+    });
+  }
+
+  /**
+   * Parse a JSON payload from a message event and dispatch it
+   * @param {string} payload - Raw JSON text
+   * @private
+   */
+  dispatchPayload(payload) {
+    try {
+      this.handleMessage(JSON.parse(payload));
+    } catch (error) {
+      this.emit('log', payload);
+    }
+  }
+
+  /**
+   * Close the event stream
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    this.rejectAll(new JsonRpcError('Transport closed'));
+    this.abortController.abort();
+  }
+}
+
+export default SseTransport;
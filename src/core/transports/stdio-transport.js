@@ -0,0 +1,214 @@
+import { spawn } from 'child_process';
+import { JsonRpcTransport, JsonRpcError } from './json-rpc-transport.js';
+import { resolveSpawn, terminateProcessTree } from './process-tree.js';
+
+// Characters of stdout noise and stderr kept for health reports and legacy scraping
+const OUTPUT_TAIL_LIMIT = 64 * 1024;
+
+/**
+ * Append text to a buffer, keeping only its last characters
+ * @param {string} buffer - Current buffer
+ * @param {string} text - Text to append
+ * @returns {string} Buffer of at most OUTPUT_TAIL_LIMIT characters
+ */
+function appendTail(buffer, text) {
+  const combined = buffer + text;
+  return combined.length > OUTPUT_TAIL_LIMIT ? combined.slice(-OUTPUT_TAIL_LIMIT) : combined;
+}
+
+/**
+ * Stdio JSON-RPC transport
+ * 
+ * Launches an MCP server as a child process and exchanges newline-delimited
+ * JSON-RPC messages over its stdin/stdout. Lines that are not JSON are
+ * treated as log noise and never interpreted as protocol messages.
+ * 
+ * The server runs without a shell and in its own process group, and closing
+ * the transport tears down every process it spawned.
+ * 
+ * Protocol messages are dropped from the output once parsed: `stdout` only
+ * keeps the tail of the non-protocol lines and `stderr` the tail of the
+ * error output.
+ */
+export class StdioTransport extends JsonRpcTransport {
+  /**
+   * Create a new stdio transport
+   * @param {Object} options - Transport options
+   * @param {string} options.command - Command to run
+   * @param {string[]} [options.args] - Command arguments
+   * @param {Object} [options.env] - Environment for the child process
+   * @param {string} [options.cwd] - Working directory for the child process
+   * @param {number} [options.requestTimeout] - Default request timeout in milliseconds
+   * @param {number} [options.killGracePeriod] - Time between SIGTERM and SIGKILL on close
+   */
+  constructor(options) {
+    super(options);
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env || process.env;
+    this.cwd = options.cwd || undefined;
+    this.childProcess = null;
+    this.stdout = '';
+    this.stderr = '';
+    this.lineBuffer = '';
+    this.exitCode = null;
+    this.exited = false;
+    this.killGracePeriod = options.killGracePeriod ?? 2000;
+    this.survivors = [];
+  }
+
+  /**
+   * Launch the server process
+   * @returns {Promise<void>} Resolves once the process has been spawned
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.emit('debug', `Running command: ${this.command} ${this.args.join(' ')}`);
+      
+      const { command, args, options } = resolveSpawn(this.command, this.args);
+      this.childProcess = spawn(command, args, {
+        ...options,
+        env: this.env,
+        cwd: this.cwd
+      });
+      
+      this.childProcess.stdout.on('data', (data) => this.handleStdout(data.toString()));
+      this.childProcess.stderr.on('data', (data) => {
+        this.stderr = appendTail(this.stderr, data.toString());
+      });
+      
+      // Writes to a process that already exited surface here
+      this.childProcess.stdin.on('error', (error) => {
+        this.emit('debug', `Failed to write to stdin: ${error.message}`);
+      });
+      
+      this.childProcess.on('spawn', () => resolve());
+      
+      this.childProcess.on('error', (error) => {
+        const spawnError = new JsonRpcError(`Failed to execute command: ${error.message}`);
+        this.rejectAll(spawnError);
+        reject(spawnError);
+      });
+      
+      this.childProcess.on('close', (code) => {
+        this.exitCode = code;
+        this.exited = true;
+        this.closed = true;
+        
+        // Flush a final line that was not newline-terminated
+        if (this.lineBuffer.trim()) {
+          this.handleLine(this.lineBuffer);
+          this.lineBuffer = '';
+        }
+        
+        this.rejectAll(new JsonRpcError(`Server process exited with code ${code}`));
+        this.emit('exit', code);
+      });
+    });
+  }
+
+  /**
+   * Write a message to the server's stdin
+   * @param {Object} message - JSON-RPC message
+   */
+  send(message) {
+    if (!this.childProcess || !this.childProcess.stdin.writable) {
+      throw new Error('Server stdin is not writable');
+    }
+    
+    const payload = JSON.stringify(message);
+    this.emit('debug', `Sending JSON-RPC message: ${payload}`);
+    this.childProcess.stdin.write(payload + '\n');
+  }
+
+  /**
+   * Split stdout into lines and dispatch complete ones
+   * @param {string} chunk - Raw stdout chunk
+   * @private
+   */
+  handleStdout(chunk) {
+    this.lineBuffer += chunk;
+    
+    const lines = this.lineBuffer.split('\n');
+    this.lineBuffer = lines.pop();
+    
+    for (const line of lines) {
+      this.handleLine(line);
+    }
+  }
+
+  /**
+   * Parse a single stdout line as a JSON-RPC message
+   * @param {string} line - Line of output
+   * @private
+   */
+  handleLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+    
+    if (!trimmed.startsWith('{')) {
+      this.recordOutput(line);
+      this.emit('log', trimmed);
+      return;
+    }
+    
+    let message;
+    try {
+      message = JSON.parse(trimmed);
+    } catch (error) {
+      this.recordOutput(line);
+      this.emit('log', trimmed);
+      return;
+    }
+    
+    // Plain JSON objects are kept for legacy scraping, protocol messages are dropped
+    if (message?.jsonrpc !== '2.0') {
+      this.recordOutput(line);
+    }
+    this.handleMessage(message);
+  }
+
+  /**
+   * Keep a line that is not a protocol message in the stdout tail
+   * @param {string} line - Line of output
+   * @private
+   */
+  recordOutput(line) {
+    this.stdout = appendTail(this.stdout, line + '\n');
+  }
+
+  /**
+   * Terminate the server process and every process it spawned
+   * 
+   * Processes that survive SIGKILL are recorded in `survivors` and reported
+   * with a 'warning' event.
+   * @returns {Promise<void>} Resolves once the process tree has exited
+   */
+  async close() {
+    this.closed = true;
+    this.rejectAll(new JsonRpcError('Transport closed'));
+    
+    if (!this.childProcess || !this.childProcess.pid) {
+      return;
+    }
+    
+    // Even if the server itself exited, its children may still be running
+    const exited = this.exited
+      ? Promise.resolve()
+      : new Promise(resolve => this.childProcess.once('close', () => resolve()));
+    
+    this.survivors = await terminateProcessTree(this.childProcess, { gracePeriod: this.killGracePeriod });
+    
+    if (this.survivors.length > 0) {
+      const list = this.survivors.map(({ pid, command }) => `${pid} (${command})`).join(', ');
+      this.emit('warning', `Processes still running after SIGKILL: ${list}`);
+      return;
+    }
+    
+    await exited;
+  }
+}
+
+export default StdioTransport;
@@ -0,0 +1,287 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { parseJsonc } from './jsonc.js';
+
+// ${name} or ${scope:name}
+const PLACEHOLDER = /\$\{([^}]+)\}/g;
+
+// Directories whose config files belong to the project they sit in
+const PROJECT_CONFIG_DIRS = ['.vscode', '.cursor'];
+
+/**
+ * Resolve the placeholder options from `discovery.variables`
+ * @param {Object} config - Configuration object
+ * @returns {Object} Options with inputs ('env', 'file' or 'prompt'), envPrefix,
+ *   secretsFile and workspaceFolder
+ */
+export function resolveVariableOptions(config) {
+  const variables = config.discovery?.variables || {};
+  const inputs = ['env', 'file', 'prompt'].includes(variables.inputs) ? variables.inputs : 'env';
+  
+  return {
+    inputs,
+    envPrefix: variables.envPrefix ?? 'MCP_INPUT_',
+    secretsFile: variables.secretsFile || path.join(os.homedir(), '.mcp-config-watcher', 'inputs.json'),
+    workspaceFolder: variables.workspaceFolder || null
+  };
+}
+
+/**
+ * Visit every string of a server's launch configuration
+ * 
+ * Placeholders are substituted in the command, arguments, working directory,
+ * URL, and the values of the environment and headers.
+ * @param {Object} serverConfig - Server configuration
+ * @param {Function} transform - Maps a string to its replacement
+ * @returns {Object} Copy of the configuration with every launch string transformed
+ */
+export function mapLaunchStrings(serverConfig, transform) {
+  const mapped = { ...serverConfig };
+  const mapValues = object => Object.fromEntries(Object.entries(object)
+    .map(([key, value]) => [key, typeof value === 'string' ? transform(value) : value]));
+  
+  for (const key of ['command', 'cwd', 'url']) {
+    if (typeof mapped[key] === 'string') {
+      mapped[key] = transform(mapped[key]);
+    }
+  }
+  if (Array.isArray(mapped.args)) {
+    mapped.args = mapped.args.map(arg => typeof arg === 'string' ? transform(arg) : arg);
+  }
+  for (const key of ['env', 'headers']) {
+    if (mapped[key] && typeof mapped[key] === 'object') {
+      mapped[key] = mapValues(mapped[key]);
+    }
+  }
+  
+  return mapped;
+}
+
+/**
+ * List the placeholders used in a server's launch configuration
+ * @param {Object} serverConfig - Server configuration
+ * @returns {string[]} Placeholders as written, e.g. `${input:api-key}`
+ */
+export function findPlaceholders(serverConfig) {
+  const found = new Set();
+  mapLaunchStrings(serverConfig, value => {
+    for (const match of value.matchAll(PLACEHOLDER)) {
+      found.add(match[0]);
+    }
+    return value;
+  });
+  return [...found];
+}
+
+/**
+ * Get the workspace folder a settings file belongs to
+ * @param {string} settingsPath - Path of the settings file
+ * @returns {string|null} Project directory for `.vscode` and `.cursor` files, or null
+ */
+export function getWorkspaceFolder(settingsPath) {
+  if (!settingsPath) {
+    return null;
+  }
+  
+  const configDir = path.dirname(settingsPath);
+  return PROJECT_CONFIG_DIRS.includes(path.basename(configDir)) ? path.dirname(configDir) : null;
+}
+
+/**
+ * Derive the environment variable an input is read from
+ * @param {string} inputId - Input ID, e.g. `api-key`
+ * @param {string} prefix - Variable prefix
+ * @returns {string} Variable name, e.g. `MCP_INPUT_API_KEY`
+ */
+export function inputEnvName(inputId, prefix = 'MCP_INPUT_') {
+  return `${prefix}${inputId.replace(/[^a-zA-Z0-9]+/g, '_').toUpperCase()}`;
+}
+
+/**
+ * Placeholder resolver for server launch configurations
+ * 
+ * Substitutes `${env:VAR}`, `${workspaceFolder}`, `${workspaceFolderBasename}`,
+ * `${userHome}`, `${pathSeparator}` and `${input:id}` before a server is
+ * launched. Inputs come from the environment (`MCP_INPUT_<ID>`), a local
+ * secrets file or an interactive prompt, as set in `discovery.variables.inputs`,
+ * and fall back to the `default` of the input declaration. Placeholders that
+ * cannot be resolved are left as written and reported.
+ */
+export class VariableResolver extends EventEmitter {
+  /**
+   * Create a new resolver
+   * @param {Object} config - Configuration object
+   */
+  constructor(config) {
+    super();
+    this.options = resolveVariableOptions(config);
+    this.inputs = [];
+    this.sources = [];
+    this.secrets = {};
+    this.answers = new Map();
+  }
+
+  /**
+   * Load the inputs and sources of a settings catalog
+   * @param {Object} catalog - Catalog from readSettingsSources()
+   * @returns {Promise<void>}
+   */
+  async load(catalog) {
+    this.inputs = catalog.inputs || [];
+    this.sources = catalog.sources || [];
+    this.secrets = {};
+    
+    if (this.options.inputs !== 'file' || !await fs.pathExists(this.options.secretsFile)) {
+      return;
+    }
+    
+    try {
+      const secrets = parseJsonc(await fs.readFile(this.options.secretsFile, 'utf8'), { filePath: this.options.secretsFile });
+      this.secrets = secrets && typeof secrets === 'object' ? secrets : {};
+    } catch (error) {
+      this.emit('warning', `Failed to read input secrets from ${this.options.secretsFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the workspace folder of a server
+   * @param {Object} serverConfig - Server configuration
+   * @returns {string|null} Workspace folder, or null if unknown
+   * @private
+   */
+  getWorkspaceFolder(serverConfig) {
+    const source = this.sources.find(candidate => candidate.name === serverConfig.source) ||
+      (this.sources.length === 1 ? this.sources[0] : null);
+    return getWorkspaceFolder(source?.path) || this.options.workspaceFolder;
+  }
+
+  /**
+   * Look up the value of an input
+   * @param {string} inputId - Input ID
+   * @returns {string|undefined} Value, or undefined if it is not available
+   * @private
+   */
+  lookupInput(inputId) {
+    if (this.answers.has(inputId)) {
+      return this.answers.get(inputId);
+    }
+    
+    let value;
+    if (this.options.inputs === 'env') {
+      value = process.env[inputEnvName(inputId, this.options.envPrefix)];
+    } else if (this.options.inputs === 'file') {
+      value = this.secrets[inputId];
+    }
+    
+    if (value === undefined) {
+      value = this.inputs.find(input => input.id === inputId)?.default;
+    }
+    return value === undefined || value === null ? undefined : String(value);
+  }
+
+  /**
+   * Look up the value of a placeholder
+   * @param {string} name - Placeholder without `${` and `}`
+   * @param {Object} serverConfig - Server configuration
+   * @returns {string|undefined} Value, or undefined if it cannot be resolved
+   * @private
+   */
+  lookup(name, serverConfig) {
+    const [scope, ...rest] = name.split(':');
+    const argument = rest.join(':');
+    
+    switch (rest.length > 0 ? scope : name) {
+      case 'env':
+        return process.env[argument];
+      case 'input':
+        return this.lookupInput(argument);
+      case 'workspaceFolder':
+        return this.getWorkspaceFolder(serverConfig) || undefined;
+      case 'workspaceFolderBasename': {
+        const folder = this.getWorkspaceFolder(serverConfig);
+        return folder ? path.basename(folder) : undefined;
+      }
+      case 'userHome':
+        return os.homedir();
+      case 'pathSeparator':
+      case '/':
+        return path.sep;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Substitute the placeholders of a server's launch configuration
+   * @param {Object} serverConfig - Server configuration
+   * @returns {Object} Object with the resolved config and the unresolved placeholders
+   */
+  resolve(serverConfig) {
+    const unresolved = new Set();
+    const config = mapLaunchStrings(serverConfig, value => value.replace(PLACEHOLDER, (placeholder, name) => {
+      const resolved = this.lookup(name, serverConfig);
+      if (resolved === undefined) {
+        unresolved.add(placeholder);
+        return placeholder;
+      }
+      return resolved;
+    }));
+    
+    return { config, unresolved: [...unresolved] };
+  }
+
+  /**
+   * Ask for the inputs of the given servers that have no value yet
+   * 
+   * Only used when inputs come from a prompt and the process runs in a
+   * terminal. Call it once before servers are launched: inputs are asked for
+   * one after another, so the time spent answering never counts against the
+   * discovery timeouts. Answers are kept for the lifetime of the resolver.
+   * @param {Object[]} serverConfigs - Configurations of the servers about to be launched
+   * @returns {Promise<void>}
+   */
+  async promptInputs(serverConfigs) {
+    if (this.options.inputs !== 'prompt' || !process.stdin.isTTY || !process.stdout.isTTY) {
+      return;
+    }
+    
+    const missing = serverConfigs.flatMap(serverConfig => findPlaceholders(serverConfig))
+      .map(placeholder => placeholder.match(/^\$\{input:(.+)\}$/)?.[1])
+      .filter(inputId => inputId && this.lookupInput(inputId) === undefined);
+    
+    if (missing.length === 0) {
+      return;
+    }
+    
+    const { default: inquirer } = await import('inquirer');
+    for (const inputId of [...new Set(missing)]) {
+      const declaration = this.inputs.find(input => input.id === inputId) || {};
+      const { value } = await inquirer.prompt([{
+        type: declaration.password ? 'password' : 'input',
+        name: 'value',
+        message: declaration.description || `Value for \${input:${inputId}}`
+      }]);
+      this.answers.set(inputId, value);
+    }
+  }
+
+  /**
+   * Resolve a server's launch configuration, warning about unresolved placeholders
+   * 
+   * Prompted inputs must have been asked for with promptInputs() beforehand.
+   * @param {string} serverId - Server ID
+   * @param {Object} serverConfig - Server configuration
+   * @returns {Object} Launch configuration with placeholders substituted
+   */
+  resolveForLaunch(serverId, serverConfig) {
+    const { config, unresolved } = this.resolve(serverConfig);
+    if (unresolved.length > 0) {
+      this.emit('warning', `Unresolved placeholders for ${serverId}: ${unresolved.join(', ')}`);
+    }
+    return config;
+  }
+}
+
+export default VariableResolver;
@@ -3,9 +3,13 @@ import fs from 'fs-extra';
 import path from 'path';
 import { EventEmitter } from 'events';
 import crypto from 'crypto';
+import { resolveSettingsSources } from './settings-sources.js';
 
 /**
- * File watcher class that monitors MCP settings file for changes
+ * File watcher class that monitors MCP settings files for changes
+ * 
+ * Every source listed in `paths.settings` is watched. A change to any of
+ * them emits 'fileChanged' with the path of the file that changed.
  */
 export class MCPConfigWatcher extends EventEmitter {
   /**
@@ -17,11 +21,22 @@ export class MCPConfigWatcher extends EventEmitter {
     this.config = config;
     this.watcher = null;
     this.running = false;
-    this.lastHash = null;
+    this.lastHashes = new Map();
   }
 
   /**
-   * Start watching the MCP settings file
+   * Get the settings sources to watch
+   * @returns {Object[]} Sources with name, path and format
+   */
+  getSources() {
+    return resolveSettingsSources(this.config);
+  }
+
+  /**
+   * Start watching the MCP settings files
+   * 
+   * Missing sources are reported with a warning and picked up once they are
+   * created; at least one source has to exist.
    * @returns {Promise<boolean>} Success status
    */
   async start() {
@@ -31,19 +46,30 @@ export class MCPConfigWatcher extends EventEmitter {
     }
 
     try {
-      const settingsPath = path.normalize(this.config.paths.settings);
+      const settingsPaths = this.getSources().map(source => source.path);
       
-      // Ensure the settings file exists
-      if (!await fs.pathExists(settingsPath)) {
-        this.emit('error', `MCP settings file not found at ${settingsPath}`);
+      // Ensure at least one settings file exists
+      const existing = [];
+      for (const settingsPath of settingsPaths) {
+        if (await fs.pathExists(settingsPath)) {
+          existing.push(settingsPath);
+        } else if (settingsPaths.length > 1) {
+          this.emit('warning', `MCP settings file not found at ${settingsPath}, watching for it to be created`);
+        }
+      }
+      if (existing.length === 0) {
+        this.emit('error', `MCP settings file not found at ${settingsPaths.join(', ') || '(none configured)'}`);
         return false;
       }
 
-      // Calculate initial file hash
-      this.lastHash = await this.getFileHash(settingsPath);
+      // Calculate initial file hashes
+      this.lastHashes.clear();
+      for (const settingsPath of existing) {
+        this.lastHashes.set(settingsPath, await this.getFileHash(settingsPath));
+      }
       
       // Configure and start the watcher
-      this.watcher = chokidar.watch(settingsPath, {
+      this.watcher = chokidar.watch(settingsPaths.length === 1 ? settingsPaths[0] : settingsPaths, {
         persistent: true,
         awaitWriteFinish: this.config.watcher.awaitWriteFinish,
         ignoreInitial: true
@@ -55,12 +81,22 @@ export class MCPConfigWatcher extends EventEmitter {
           this.emit('info', `Change detected in ${filePath}`);
           await this.handleFileChange(filePath);
         })
+        .on('add', async (filePath) => {
+          this.emit('info', `Settings file created: ${filePath}`);
+          await this.handleFileChange(filePath);
+        })
+        .on('unlink', (filePath) => {
+          this.emit('warning', `Settings file removed: ${filePath}`);
+          this.lastHashes.delete(path.normalize(filePath));
+          this.lastUpdated = new Date();
+          this.emit('fileChanged', path.normalize(filePath));
+        })
         .on('error', (error) => {
           this.emit('error', `Watcher error: ${error}`);
         });
 
       this.running = true;
-      this.emit('started', `Started watching ${settingsPath}`);
+      this.emit('started', `Started watching ${settingsPaths.join(', ')}`);
       return true;
     } catch (error) {
       this.emit('error', `Failed to start watcher: ${error.message}`);
@@ -69,7 +105,7 @@ export class MCPConfigWatcher extends EventEmitter {
   }
 
   /**
-   * Stop watching the MCP settings file
+   * Stop watching the MCP settings files
    * @returns {Promise<boolean>} Success status
    */
   async stop() {
@@ -82,7 +118,7 @@ export class MCPConfigWatcher extends EventEmitter {
       await this.watcher.close();
       this.watcher = null;
       this.running = false;
-      this.emit('stopped', 'Stopped watching MCP settings file');
+      this.emit('stopped', 'Stopped watching MCP settings files');
       return true;
     } catch (error) {
       this.emit('error', `Failed to stop watcher: ${error.message}`);
@@ -95,9 +131,12 @@ export class MCPConfigWatcher extends EventEmitter {
    * @returns {Object} Status object
    */
   getStatus() {
+    const settingsPaths = this.getSources().map(source => source.path);
+    
     return {
       running: this.running,
-      watchingFile: this.running ? this.config.paths.settings : null,
+      watchingFile: this.running ? settingsPaths[0] || null : null,
+      watchingFiles: this.running ? settingsPaths : [],
       lastUpdate: this.lastUpdated || null
     };
   }
@@ -114,12 +153,12 @@ export class MCPConfigWatcher extends EventEmitter {
       
       // Compare file hash to avoid duplicate processing
       const currentHash = await this.getFileHash(normalizedPath);
-      if (this.lastHash === currentHash) {
+      if (this.lastHashes.get(normalizedPath) === currentHash) {
         this.emit('info', 'File content unchanged, skipping update');
         return;
       }
       
-      this.lastHash = currentHash;
+      this.lastHashes.set(normalizedPath, currentHash);
       this.lastUpdated = new Date();
       
       // Emit change event for processors to handle
@@ -190,11 +229,18 @@ export class MCPConfigWatcher extends EventEmitter {
     }
     
     try {
-      const filePath = path.normalize(this.config.paths.settings);
+      // Every source is read on update, so the first existing one stands for all of them
+      let filePath = null;
+      for (const source of this.getSources()) {
+        if (await fs.pathExists(source.path)) {
+          filePath = source.path;
+          break;
+        }
+      }
       
-      // Check if file exists before trying to process it
-      if (!await fs.pathExists(filePath)) {
-        this.emit('error', `Settings file not found at ${filePath}`);
+      // Check if a file exists before trying to process it
+      if (!filePath) {
+        this.emit('error', `Settings file not found at ${this.getSources().map(source => source.path).join(', ')}`);
         return false;
       }
       
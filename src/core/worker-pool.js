@@ -0,0 +1,87 @@
+// Sentinel used to tell a deadline apart from worker errors
+const DEADLINE = Symbol('deadline');
+
+/**
+ * Run an async worker over a list of items with bounded concurrency
+ * 
+ * At most `concurrency` workers run at once. When the optional global
+ * `deadline` passes, in-flight items are reported as timed out and items
+ * that have not started yet are skipped. Every item gets its own outcome
+ * and timing, so one slow item never hides the results of the others.
+ * 
+ * Timed-out workers are told to stop through the AbortSignal they are
+ * given. Their slot is only freed, and the pool only resolves, once they
+ * have settled, so workers must honor the signal and clean up promptly.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with (item, index, signal)
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency] - Maximum number of concurrent workers
+ * @param {number} [options.deadline] - Epoch milliseconds after which no more work is accepted
+ * @param {Function} [options.onSettled] - Called with each outcome as soon as it is known
+ * @returns {Promise<Object[]>} Outcomes in input order: { item, status, value, error, durationMs }
+ *   where status is 'fulfilled', 'rejected', 'timeout' or 'skipped'
+ */
+export async function runWorkerPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 4);
+  const deadline = options.deadline || Infinity;
+  const outcomes = new Array(items.length);
+  let nextIndex = 0;
+  
+  const settle = (index, outcome) => {
+    outcomes[index] = { item: items[index], value: undefined, error: null, ...outcome };
+    if (options.onSettled) {
+      options.onSettled(outcomes[index]);
+    }
+  };
+  
+  const runItem = async (index) => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      settle(index, { status: 'skipped', durationMs: 0 });
+      return;
+    }
+    
+    const startTime = Date.now();
+    const controller = new AbortController();
+    let timer = null;
+    const deadlinePassed = Number.isFinite(remaining)
+      ? new Promise(resolve => { timer = setTimeout(() => resolve('timeout'), remaining); })
+      : new Promise(() => {});
+    
+    const work = Promise.resolve().then(() => worker(items[index], index, controller.signal));
+    // Late rejections after a timeout must not go unhandled
+    work.catch(() => {});
+    
+    try {
+      const value = await Promise.race([work, deadlinePassed.then(() => { throw DEADLINE; })]);
+      settle(index, { status: 'fulfilled', value, durationMs: Date.now() - startTime });
+    } catch (error) {
+      if (error === DEADLINE) {
+        settle(index, { status: 'timeout', error: new Error('Global deadline exceeded'), durationMs: Date.now() - startTime });
+        
+        // Wait for the worker to tear down what it started before taking the next item
+        controller.abort(new Error('Global deadline exceeded'));
+        await work.catch(() => {});
+      } else {
+        settle(index, { status: 'rejected', error, durationMs: Date.now() - startTime });
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+  
+  const lanes = [];
+  for (let lane = 0; lane < Math.min(concurrency, items.length); lane++) {
+    lanes.push((async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        await runItem(index);
+      }
+    })());
+  }
+  
+  await Promise.all(lanes);
+  return outcomes;
+}
+
+export default runWorkerPool;
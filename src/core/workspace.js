@@ -0,0 +1,312 @@
+import fs from 'fs-extra';
+import path from 'path';
+import picomatch from 'picomatch';
+import MCPConfigWatcher from './watcher.js';
+import { getFormat } from './formats/index.js';
+
+// Project-level MCP config files, relative to a project directory
+export const DEFAULT_PROJECT_FILES = ['.cursor/mcp.json', '.vscode/mcp.json'];
+
+// Directories that are never scanned, matched against paths relative to a root
+export const DEFAULT_IGNORE = ['**/node_modules/**', '**/.git/**'];
+
+/**
+ * Resolve the workspace scan options from `config.workspace`
+ * @param {Object} config - Configuration object
+ * @returns {Object} Options with roots, files, ignore, maxDepth, output and paths
+ */
+export function resolveWorkspaceOptions(config) {
+  const workspace = config.workspace || {};
+  const markdownDir = path.dirname(config.paths?.markdown || '.');
+  
+  return {
+    enabled: workspace.enabled === true,
+    roots: [].concat(workspace.roots || []).map(root => path.resolve(root)),
+    files: workspace.files?.length ? workspace.files : DEFAULT_PROJECT_FILES,
+    ignore: workspace.ignore || DEFAULT_IGNORE,
+    maxDepth: workspace.maxDepth ?? 4,
+    output: workspace.output === 'per-project' ? 'per-project' : 'aggregate',
+    projectMarkdown: workspace.projectMarkdown || 'MCP_SERVERS.md',
+    report: workspace.report || path.join(markdownDir, 'mcp_workspace_report.md'),
+    rescanInterval: workspace.rescanInterval ?? 60000
+  };
+}
+
+/**
+ * Check whether workspace scan mode is enabled
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if the configured roots should be scanned
+ */
+export function isWorkspaceEnabled(config) {
+  return config.workspace?.enabled === true;
+}
+
+/**
+ * Scan the workspace roots for project-level MCP config files
+ * 
+ * Directories are walked breadth-first up to `maxDepth` levels below each
+ * root. Ignore patterns are globs matched against the directory path
+ * relative to its root, and symbolic links are not followed. A project is
+ * named after its directory relative to the root; with several roots the
+ * root's name is prepended. Projects with more than one config file get one
+ * entry per file.
+ * @param {Object} options - Options from resolveWorkspaceOptions()
+ * @returns {Promise<Object[]>} Projects with name, project, dir, file and path
+ */
+export async function scanWorkspace(options) {
+  const isIgnored = picomatch(options.ignore, { dot: true });
+  const projects = [];
+  
+  for (const root of options.roots) {
+    if (!await fs.pathExists(root)) {
+      continue;
+    }
+    
+    const queue = [{ dir: root, depth: 0 }];
+    while (queue.length > 0) {
+      const { dir, depth } = queue.shift();
+      const relativeDir = path.relative(root, dir).split(path.sep).join('/');
+      
+      const found = [];
+      for (const file of options.files) {
+        const configPath = path.join(dir, file);
+        if (await fs.pathExists(configPath)) {
+          found.push({ file, path: configPath });
+        }
+      }
+      
+      let project = relativeDir || path.basename(root);
+      if (options.roots.length > 1 && relativeDir) {
+        project = `${path.basename(root)}/${relativeDir}`;
+      }
+      for (const { file, path: configPath } of found) {
+        projects.push({
+          name: found.length > 1 ? `${project} (${file})` : project,
+          project,
+          dir,
+          file,
+          path: configPath
+        });
+      }
+      
+      if (depth >= options.maxDepth) {
+        continue;
+      }
+      
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        // Unreadable directories are skipped like ignored ones
+        continue;
+      }
+      
+      const subdirs = entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+      for (const name of subdirs) {
+        const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+        if (!isIgnored(relativePath)) {
+          queue.push({ dir: path.join(dir, name), depth: depth + 1 });
+        }
+      }
+    }
+  }
+  
+  return projects;
+}
+
+/**
+ * Get the path of the generated doc of a project
+ * @param {Object} project - Project from scanWorkspace()
+ * @param {Object} options - Options from resolveWorkspaceOptions()
+ * @returns {string} Markdown path inside the project directory
+ */
+export function getProjectMarkdownPath(project, options) {
+  return path.join(project.dir, options.projectMarkdown);
+}
+
+/**
+ * Build the aggregated report of which projects use which servers
+ * @param {Object} catalog - Merged catalog from readSettingsSources()
+ * @param {Object[]} projects - Projects from scanWorkspace()
+ * @returns {string} Markdown report
+ */
+export function buildWorkspaceReport(catalog, projects) {
+  const usage = {};
+  for (const source of catalog.sources) {
+    for (const serverId of source.servers) {
+      (usage[serverId] = usage[serverId] || []).push(source.name);
+    }
+  }
+  
+  let markdown = '# MCP Servers by Project\n\n';
+  markdown += `This report lists the MCP servers configured in ${catalog.sources.length} project config file(s).\n\n`;
+  
+  markdown += '## Servers\n\n';
+  markdown += '| Server | Projects | Definitions |\n';
+  markdown += '| ------ | -------- | ----------- |\n';
+  for (const serverId of Object.keys(usage).sort()) {
+    const differing = (catalog.conflicts[serverId]?.differences || []).filter(({ keys }) => keys.length > 0);
+    const keys = [...new Set(differing.flatMap(({ keys }) => keys))];
+    const definitions = differing.length > 0
+      ? `differ in ${keys.map(key => `\`${key}\``).join(', ')}`
+      : usage[serverId].length > 1 ? 'identical' : '-';
+    markdown += `| \`${serverId}\` | ${usage[serverId].join(', ')} | ${definitions} |\n`;
+  }
+  markdown += '\n';
+  
+  markdown += '## Projects\n\n';
+  for (const source of catalog.sources) {
+    const project = projects.find(candidate => candidate.name === source.name);
+    markdown += `### ${source.name}\n\n`;
+    markdown += `- **Config**: \`${project ? project.path : source.path}\` (${getFormat(source.format)?.label || source.format})\n`;
+    markdown += `- **Servers**: ${source.servers.length > 0 ? source.servers.map(serverId => `\`${serverId}\``).join(', ') : 'none'}\n\n`;
+  }
+  
+  markdown += '---\n\n';
+  markdown += 'This report is automatically generated by MCP Config Watcher.\n';
+  markdown += `Last updated: ${new Date().toLocaleString()}\n`;
+  
+  return markdown;
+}
+
+/**
+ * Watcher for every project-level MCP config file under the workspace roots
+ * 
+ * The roots are scanned on start and every `rescanInterval` milliseconds;
+ * when projects are added or removed the file watcher is restarted on the
+ * new set and a 'fileChanged' event is emitted.
+ */
+export class WorkspaceWatcher extends MCPConfigWatcher {
+  /**
+   * Create a new workspace watcher
+   * @param {Object} config - Configuration object
+   */
+  constructor(config) {
+    super(config);
+    this.options = resolveWorkspaceOptions(config);
+    this.projects = [];
+    this.rescanTimer = null;
+  }
+
+  /**
+   * Get the settings sources to watch, one per project config file
+   * @returns {Object[]} Sources with name, path and format
+   */
+  getSources() {
+    return this.projects.map(project => ({ name: project.name, path: project.path, format: 'auto' }));
+  }
+
+  /**
+   * Scan the workspace roots
+   * @returns {Promise<boolean>} True if the set of config files changed
+   */
+  async scan() {
+    const projects = await scanWorkspace(this.options);
+    const changed = projects.map(project => project.path).join('\n') !== this.projects.map(project => project.path).join('\n');
+    this.projects = projects;
+    return changed;
+  }
+
+  /**
+   * Scan the workspace and start watching the config files found
+   * @returns {Promise<boolean>} Success status
+   */
+  async start() {
+    if (this.running) {
+      return super.start();
+    }
+    
+    if (this.options.roots.length === 0) {
+      this.emit('error', 'No workspace roots configured in workspace.roots');
+      return false;
+    }
+    
+    for (const root of this.options.roots) {
+      if (!await fs.pathExists(root)) {
+        this.emit('warning', `Workspace root not found: ${root}`);
+      }
+    }
+    
+    try {
+      await this.scan();
+    } catch (error) {
+      this.emit('error', `Failed to scan workspace: ${error.message}`);
+      return false;
+    }
+    
+    if (this.projects.length === 0) {
+      this.emit('error', `No MCP config files found under ${this.options.roots.join(', ')}`);
+      return false;
+    }
+    this.emit('info', `Found ${this.projects.length} MCP config file(s) under ${this.options.roots.join(', ')}`);
+    
+    const started = await super.start();
+    if (started && this.options.rescanInterval > 0) {
+      this.rescanTimer = setInterval(() => this.rescan(), this.options.rescanInterval);
+      this.rescanTimer.unref?.();
+    }
+    return started;
+  }
+
+  /**
+   * Stop watching and rescanning
+   * @returns {Promise<boolean>} Success status
+   */
+  async stop() {
+    clearInterval(this.rescanTimer);
+    this.rescanTimer = null;
+    return super.stop();
+  }
+
+  /**
+   * Rescan the workspace and watch projects that were added or removed
+   * @returns {Promise<boolean>} True if the set of config files changed
+   */
+  async rescan() {
+    try {
+      if (!await this.scan()) {
+        return false;
+      }
+      
+      this.emit('info', `Workspace projects changed, now watching ${this.projects.length} MCP config file(s)`);
+      if (this.watcher) {
+        await this.watcher.close();
+        this.watcher = null;
+      }
+      this.running = false;
+      
+      if (this.projects.length === 0) {
+        this.emit('warning', `No MCP config files left under ${this.options.roots.join(', ')}`);
+        return true;
+      }
+      
+      await super.start();
+      this.lastUpdated = new Date();
+      this.emit('fileChanged', this.projects[0].path);
+      return true;
+    } catch (error) {
+      this.emit('error', `Failed to rescan workspace: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get watcher status, including the projects found
+   * @returns {Object} Status object
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      workspace: {
+        roots: this.options.roots,
+        output: this.options.output,
+        projects: this.projects.map(({ name, path: configPath }) => ({ name, path: configPath }))
+      }
+    };
+  }
+}
+
+export default WorkspaceWatcher;
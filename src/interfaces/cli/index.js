@@ -3,6 +3,8 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import { loadConfig } from '../../config/loader.js';
 import MCPWatcherService from '../../core/service.js';
+import DiscoveryCache from '../../core/discovery-cache.js';
+import { readHealthReport, getHealthReportPath } from '../../core/health-report.js';
 
 const program = new Command();
 let service = null;
@@ -33,7 +35,9 @@ program
       await service.start();
       
       console.log(chalk.green('Watcher started successfully'));
-      console.log(chalk.blue(`Watching: ${config.paths.settings}`));
+      for (const source of service.getStatus().settingsSources) {
+        console.log(chalk.blue(`Watching: ${source.path} (${source.name})`));
+      }
       console.log(chalk.blue(`Output: ${config.paths.markdown}`));
       console.log(chalk.gray('Press Ctrl+C to stop'));
       
@@ -83,7 +87,12 @@ program
       console.log(chalk.blue('MCP Config Watcher Status'));
       console.log(chalk.blue('-------------------------'));
       console.log(`Running: ${status.running ? chalk.green('Yes') : chalk.red('No')}`);
-      console.log(`Settings file: ${chalk.cyan(config.paths.settings)}`);
+      if (config.workspace?.enabled) {
+        console.log(`Workspace roots: ${chalk.cyan([].concat(config.workspace.roots || []).join(', '))} (${config.workspace.output || 'aggregate'})`);
+      }
+      for (const source of service.getStatus().settingsSources) {
+        console.log(`Settings file: ${chalk.cyan(source.path)} (${source.name})`);
+      }
       console.log(`Markdown file: ${chalk.cyan(config.paths.markdown)}`);
       
       if (status.lastUpdate) {
@@ -122,6 +131,178 @@ program
     }
   });
 
+// Lint command
+program
+  .command('lint')
+  .description('Check the MCP settings files for mistakes')
+  .option('--discover', 'Discover tools first, to check auto-approved and duplicate tools')
+  .option('--json', 'Print the diagnostics as JSON')
+  .action(async (options) => {
+    try {
+      const config = await loadConfig();
+      
+      if (!service) {
+        service = new MCPWatcherService(config);
+      }
+      
+      const result = await service.lint({ discover: options.discover });
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        process.exit(result.summary.error > 0 ? 1 : 0);
+      }
+      
+      const colors = { error: chalk.red, warning: chalk.yellow, info: chalk.blue };
+      const byFile = {};
+      for (const entry of result.diagnostics) {
+        (byFile[entry.path || 'discovery'] = byFile[entry.path || 'discovery'] || []).push(entry);
+      }
+      
+      for (const [filePath, entries] of Object.entries(byFile)) {
+        console.log(`\n${chalk.cyan(filePath)}${entries[0].source ? chalk.gray(` (${entries[0].source})`) : ''}`);
+        for (const entry of entries) {
+          const location = entry.line ? `${entry.line}:${entry.column}` : entry.pointer || '/';
+          console.log(`  ${colors[entry.severity](entry.severity.padEnd(7))} ${chalk.gray(location)}  ${entry.message} ${chalk.gray(`[${entry.code}]`)}`);
+        }
+      }
+      
+      console.log(`\n${result.summary.error} error(s), ${result.summary.warning} warning(s), ${result.summary.info} info`);
+      if (!options.discover) {
+        console.log(chalk.gray('Run with --discover to check auto-approved and duplicate tools'));
+      }
+      process.exit(result.summary.error > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red(`Error linting settings: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Report command
+program
+  .command('report [serverId]')
+  .description('Show the discovery health report of the last update')
+  .option('--json', 'Print the raw JSON report')
+  .action(async (serverId, options) => {
+    try {
+      const config = await loadConfig();
+      const report = await readHealthReport(config.paths.markdown);
+      
+      if (!report) {
+        console.log(chalk.yellow(`No discovery report found at ${getHealthReportPath(config.paths.markdown)}`));
+        console.log(chalk.gray('Run "mcp-watcher update" to generate one'));
+        process.exit(0);
+      }
+      
+      const servers = Object.entries(report.servers)
+        .filter(([id]) => !serverId || id === serverId);
+      
+      if (options.json) {
+        console.log(JSON.stringify(serverId ? Object.fromEntries(servers) : report, null, 2));
+        process.exit(0);
+      }
+      
+      console.log(chalk.blue(`Discovery health report (${new Date(report.generatedAt).toLocaleString()})`));
+      console.log(chalk.blue('-------------------------'));
+      console.log(Object.entries(report.summary).map(([status, count]) => `${status}: ${count}`).join(', '));
+      
+      if (serverId && servers.length === 0) {
+        console.log(chalk.yellow(`No report for ${serverId}`));
+      }
+      
+      for (const [id, server] of servers) {
+        const color = server.status === 'ok' ? chalk.green : server.status === 'no-tools' ? chalk.yellow : chalk.red;
+        const timing = server.timeToFirstResponseMs !== null ? `${server.timeToFirstResponseMs}ms` : 'none';
+        
+        console.log(`\n${chalk.cyan(id)} [${color(server.status)}]${server.cached ? chalk.gray(' (cached)') : ''}`);
+        console.log(`  Transport: ${server.transport || 'unknown'}, extraction: ${server.extractionMethod || 'none'}, tools: ${server.toolCount}`);
+        console.log(`  Exit code: ${server.exitCode ?? 'n/a'}, first response: ${timing}, duration: ${server.durationMs ?? 'n/a'}ms`);
+        if (server.error) {
+          console.log(chalk.red(`  Error: ${server.error}`));
+        }
+        if (server.warning) {
+          console.log(chalk.yellow(`  Warning: ${server.warning}`));
+        }
+        if (server.survivors?.length > 0) {
+          console.log(chalk.red(`  Surviving processes: ${server.survivors.map(proc => proc.pid).join(', ')}`));
+        }
+        if (server.stderrTail && server.status !== 'ok') {
+          console.log(chalk.gray('  Stderr:'));
+          server.stderrTail.split('\n').forEach(line => console.log(chalk.gray(`    ${line}`)));
+        }
+      }
+      
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red(`Error reading discovery report: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Cache commands
+const cacheCommand = program
+  .command('cache')
+  .description('Inspect and manage the persistent discovery cache');
+
+cacheCommand
+  .command('list')
+  .description('List cached discovery results')
+  .action(async () => {
+    try {
+      const cache = new DiscoveryCache(await loadConfig());
+      const entries = await cache.list();
+      
+      console.log(chalk.blue(`Discovery cache: ${cache.options.path}`));
+      if (entries.length === 0) {
+        console.log(chalk.gray('No cached entries'));
+      }
+      
+      for (const entry of entries) {
+        const state = entry.expired ? chalk.red('expired') : chalk.green('valid');
+        const version = entry.packageVersion ? ` @ ${entry.packageVersion}` : '';
+        console.log(`${chalk.cyan(entry.serverId)}${version} [${state}]`);
+        console.log(chalk.gray(`  Fingerprint: ${entry.fingerprint.slice(0, 12)}`));
+        console.log(chalk.gray(`  Tools: ${entry.toolCount}`));
+        console.log(chalk.gray(`  Cached: ${entry.cachedAt.toLocaleString()}, expires: ${entry.expiresAt.toLocaleString()}`));
+      }
+      
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red(`Error reading discovery cache: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('prune')
+  .description('Remove expired discovery cache entries')
+  .action(async () => {
+    try {
+      const cache = new DiscoveryCache(await loadConfig());
+      const removed = await cache.prune();
+      console.log(chalk.green(`Removed ${removed} expired entr${removed === 1 ? 'y' : 'ies'}`));
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red(`Error pruning discovery cache: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('clear [serverId]')
+  .description('Invalidate cached discovery results for one server, or all servers')
+  .action(async (serverId) => {
+    try {
+      const cache = new DiscoveryCache(await loadConfig());
+      const removed = await cache.invalidate(serverId || null);
+      const target = serverId ? ` for ${serverId}` : '';
+      console.log(chalk.green(`Removed ${removed} entr${removed === 1 ? 'y' : 'ies'}${target}`));
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red(`Error clearing discovery cache: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 // Configure command
 program
   .command('configure')
@@ -147,6 +328,16 @@ function setupEventHandlers(service) {
     console.log(chalk.blue(`  - Settings: ${data.settingsPath}`));
     console.log(chalk.blue(`  - Markdown: ${data.markdownPath}`));
     console.log(chalk.blue(`  - Time: ${data.timestamp.toLocaleString()}`));
+    if (data.conflicts && data.conflicts.length > 0) {
+      console.log(chalk.yellow(`  - Defined in several sources: ${data.conflicts.join(', ')}`));
+    }
+    if (data.changes) {
+      const { added, removed, changed } = data.changes;
+      console.log(chalk.blue(`  - Servers: ${added.length} added, ${removed.length} removed, ${changed.length} changed`));
+      added.forEach(serverId => console.log(chalk.green(`    + ${serverId}`)));
+      removed.forEach(serverId => console.log(chalk.red(`    - ${serverId}`)));
+      changed.forEach(serverId => console.log(chalk.yellow(`    ~ ${serverId}`)));
+    }
   });
   
   // Handle shutdown
@@ -77,7 +77,8 @@ function setupRoutes() {
     res.json({
       status,
       config: {
-        settingsPath: config.paths.settings,
+        settingsPath: status.settingsPath,
+        settingsSources: status.settingsSources,
         markdownPath: config.paths.markdown,
         autoStart: config.service.autoStart
       },
@@ -85,6 +86,18 @@ function setupRoutes() {
     });
   });
   
+  app.get('/api/report', async (req, res) => {
+    res.json({ report: await service.getHealthReport() });
+  });
+  
+  app.get('/api/lint', async (req, res) => {
+    try {
+      res.json({ success: true, ...await service.lint({ discover: req.query.discover === 'true' }) });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+  
   app.post('/api/start', async (req, res) => {
     try {
       if (service.watcher.running) {
@@ -225,8 +238,18 @@ function setupEventHandlers() {
     logEvent('info', message);
     io.emit('status', service.getStatus());
   });
+  service.on('report', (report) => {
+    io.emit('report', report);
+  });
   service.on('updated', (data) => {
     logEvent('success', `Generated markdown documentation at ${data.markdownPath}`);
+    if (data.changes) {
+      for (const [label, serverIds] of Object.entries(data.changes)) {
+        if (serverIds.length > 0) {
+          logEvent('info', `Servers ${label}: ${serverIds.join(', ')}`);
+        }
+      }
+    }
     io.emit('updated', data);
   });
 }
@@ -561,6 +584,64 @@ async function generateHtml() {
       color: white;
     }
     
+    /* Discovery health styles */
+    .health-server {
+      padding: 8px 0;
+      border-bottom: 1px solid var(--border-color);
+    }
+    
+    .health-status {
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-size: 12px;
+      font-weight: bold;
+      color: white;
+      margin-left: 5px;
+    }
+    
+    .health-status.ok {
+      background-color: var(--success-color);
+    }
+    
+    .health-status.no-tools {
+      background-color: var(--warning-color);
+      color: #333;
+    }
+    
+    .health-status.timeout,
+    .health-status.crashed,
+    .health-status.protocol-error {
+      background-color: var(--danger-color);
+    }
+    
+    .health-status.error {
+      background-color: var(--danger-color);
+    }
+    
+    .health-status.warning {
+      background-color: var(--warning-color);
+      color: #333;
+    }
+    
+    .health-status.info {
+      background-color: var(--info-color);
+    }
+    
+    .health-details {
+      font-size: 13px;
+      margin: 4px 0 0;
+    }
+    
+    .health-server pre {
+      background-color: var(--code-bg);
+      color: var(--code-color);
+      padding: 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      overflow-x: auto;
+      white-space: pre-wrap;
+    }
+    
     /* Information section specific styles */
     .information p,
     .information li,
@@ -617,6 +698,21 @@ async function generateHtml() {
           </div>
         </div>
         
+        <div class="card">
+          <div class="card-title">Discovery Health</div>
+          <div id="health-summary">No discovery report yet</div>
+          <div id="health-servers"></div>
+        </div>
+        
+        <div class="card">
+          <div class="card-title">Settings Lint</div>
+          <div id="lint-summary">Not linted yet</div>
+          <div id="lint-diagnostics"></div>
+          <div class="button-group">
+            <button id="lint-button" class="primary">Run Lint</button>
+          </div>
+        </div>
+        
         <div class="card">
           <div class="card-title">Configuration</div>
           <form id="config-form">
@@ -656,6 +752,8 @@ async function generateHtml() {
             <li><code>mcp-watcher stop</code> - Stop the watcher</li>
             <li><code>mcp-watcher status</code> - Check status</li>
             <li><code>mcp-watcher update</code> - Force update</li>
+            <li><code>mcp-watcher report</code> - Show discovery health</li>
+            <li><code>mcp-watcher lint</code> - Check settings files for mistakes</li>
           </ul>
         </div>
       </div>
@@ -730,6 +828,15 @@ async function generateHtml() {
       document.getElementById('config-feedback').style.display = 'none';
     });
     
+    // Discovery health report
+    socket.on('report', (report) => {
+      renderHealthReport(report);
+    });
+    
+    fetch('/api/report')
+      .then(response => response.json())
+      .then(data => renderHealthReport(data.report));
+    
     // Error event
     socket.on('error', (error) => {
       showError(error.message);
@@ -748,6 +855,9 @@ async function generateHtml() {
       socket.emit('update');
     });
     
+    document.getElementById('lint-button').addEventListener('click', runLint);
+    runLint();
+    
     clearLogsButton.addEventListener('click', () => {
       fetch('/api/clear-logs', { method: 'POST' })
         .then(response => response.json())
@@ -815,7 +925,9 @@ async function generateHtml() {
       .then(response => response.json())
       .then(data => {
         updateStatus(data.status);
-        settingsPath.textContent = data.config.settingsPath;
+        settingsPath.textContent = data.config.settingsSources.length > 1
+          ? data.config.settingsSources.map(source => source.name + ': ' + source.path).join(', ')
+          : data.config.settingsPath;
         
         // Set form input values
         document.getElementById('settings-path-input').value = data.config.settingsPath;
@@ -889,6 +1001,132 @@ async function generateHtml() {
       logsContainer.appendChild(entry);
     }
 
+    function renderHealthReport(report) {
+      const summary = document.getElementById('health-summary');
+      const container = document.getElementById('health-servers');
+      
+      if (!report) {
+        return;
+      }
+      
+      summary.textContent = Object.entries(report.summary)
+        .map(([status, count]) => status + ': ' + count)
+        .join(', ');
+      container.innerHTML = '';
+      
+      Object.entries(report.servers).forEach(([serverId, server]) => {
+        const entry = document.createElement('div');
+        entry.className = 'health-server';
+        
+        const name = document.createElement('strong');
+        name.textContent = serverId;
+        
+        const status = document.createElement('span');
+        status.className = 'health-status ' + server.status;
+        status.textContent = server.status;
+        
+        const details = document.createElement('p');
+        details.className = 'health-details';
+        details.textContent = [
+          'transport: ' + (server.transport || 'unknown'),
+          'extraction: ' + (server.extractionMethod || 'none'),
+          'tools: ' + server.toolCount,
+          'exit code: ' + (server.exitCode === null ? 'n/a' : server.exitCode),
+          'first response: ' + (server.timeToFirstResponseMs === null ? 'none' : server.timeToFirstResponseMs + 'ms')
+        ].join(' | ');
+        
+        entry.appendChild(name);
+        entry.appendChild(status);
+        entry.appendChild(details);
+        
+        if (server.error) {
+          const error = document.createElement('p');
+          error.className = 'health-details';
+          error.textContent = 'Error: ' + server.error;
+          entry.appendChild(error);
+        }
+        
+        if (server.warning) {
+          const warning = document.createElement('p');
+          warning.className = 'health-details';
+          warning.textContent = 'Warning: ' + server.warning;
+          entry.appendChild(warning);
+        }
+        
+        if (server.stderrTail && server.status !== 'ok') {
+          const stderr = document.createElement('details');
+          const label = document.createElement('summary');
+          label.textContent = 'stderr';
+          const output = document.createElement('pre');
+          output.textContent = server.stderrTail;
+          stderr.appendChild(label);
+          stderr.appendChild(output);
+          entry.appendChild(stderr);
+        }
+        
+        container.appendChild(entry);
+      });
+    }
+
+    function runLint() {
+      fetch('/api/lint')
+        .then(response => {
+          if (!response.ok) {
+            // Errors from the server carry a JSON message, anything else only a status
+            return response.json()
+              .catch(() => ({}))
+              .then(data => {
+                throw new Error(data.message || response.status + ' ' + response.statusText);
+              });
+          }
+          return response.json();
+        })
+        .then(data => {
+          if (!data.success) {
+            throw new Error(data.message);
+          }
+          renderLint(data);
+        })
+        .catch(error => {
+          document.getElementById('lint-summary').textContent = 'Lint failed: ' + error.message;
+          document.getElementById('lint-diagnostics').innerHTML = '';
+          showError('Failed to lint settings: ' + error.message);
+        });
+    }
+
+    function renderLint(result) {
+      const summary = document.getElementById('lint-summary');
+      const container = document.getElementById('lint-diagnostics');
+      
+      summary.textContent = result.diagnostics.length === 0
+        ? 'No problems found'
+        : Object.entries(result.summary).map(([severity, count]) => severity + ': ' + count).join(', ');
+      container.innerHTML = '';
+      
+      result.diagnostics.forEach(diagnostic => {
+        const entry = document.createElement('div');
+        entry.className = 'health-server';
+        
+        const severity = document.createElement('span');
+        severity.className = 'health-status ' + diagnostic.severity;
+        severity.textContent = diagnostic.severity;
+        
+        const message = document.createElement('span');
+        message.textContent = ' ' + diagnostic.message;
+        
+        const location = document.createElement('p');
+        location.className = 'health-details';
+        location.textContent = (diagnostic.source || 'discovery') + ' ' +
+          (diagnostic.line ? 'line ' + diagnostic.line + ', column ' + diagnostic.column : (diagnostic.pointer || '/')) +
+          ' [' + diagnostic.code + ']';
+        
+        entry.appendChild(severity);
+        entry.appendChild(message);
+        entry.appendChild(location);
+        container.appendChild(entry);
+      });
+    }
+
     function scrollLogsToBottom() {
       logsContainer.scrollTop = logsContainer.scrollHeight;
     }
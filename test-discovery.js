@@ -1,6 +1,6 @@
 import { loadConfig } from './src/config/loader.js';
 import MCPToolDiscovery from './src/core/mcp-tool-discovery.js';
-import fs from 'fs-extra';
+import { readSettingsSources, resolveSettingsSources } from './src/core/settings-sources.js';
 
 async function testToolDiscovery() {
   try {
@@ -22,12 +22,10 @@ async function testToolDiscovery() {
     discovery.on('warning', (message) => console.warn(`[WARNING] ${message}`));
     discovery.on('debug', (message) => console.log(`[DEBUG] ${message}`));
     
-    // Read MCP settings file
-    const settingsPath = config.paths.settings;
-    console.log(`Reading settings from: ${settingsPath}`);
+    // Read MCP settings, comments and trailing commas are accepted
+    console.log(`Reading settings from: ${resolveSettingsSources(config).map(source => source.path).join(', ')}`);
     
-    const fileContent = await fs.readFile(settingsPath, 'utf8');
-    const mcpSettings = JSON.parse(fileContent);
+    const mcpSettings = await readSettingsSources(config);
     
     const serverCount = Object.keys(mcpSettings.mcpServers).length;
     console.log(`\nFound ${serverCount} MCP servers in settings file.`);
@@ -57,7 +55,7 @@ async function testToolDiscovery() {
         
         console.log(`\nDiscovered ${tools.length} tools:`);
         if (tools.length > 0) {
-          tools.forEach((tool, i) => console.log(`  ${i+1}. ${tool}`));
+          tools.forEach((tool, i) => console.log(`  ${i+1}. ${tool.name}${tool.description ? ` - ${tool.description}` : ''}`));
         } else {
           console.log('  No tools discovered. Will fall back to auto-approved tools or AI prediction.');
         }
@@ -1,7 +1,6 @@
 import { loadConfig } from './src/config/loader.js';
 import { MCPToolDiscovery } from './src/core/mcp-tool-discovery.js';
-import fs from 'fs-extra';
-import path from 'path';
+import { readSettingsSources, resolveSettingsSources } from './src/core/settings-sources.js';
 
 // Command line arguments
 const args = process.argv.slice(2);
@@ -27,27 +26,14 @@ async function testJsonRpcDiscovery() {
     discovery.on('warning', (message) => console.warn(`[WARNING] ${message}`));
     discovery.on('debug', (message) => console.log(`[DEBUG] ${message}`));
     
-    // Read MCP settings file
-    const settingsPath = config.paths.settings;
-    console.log(`Reading settings from: ${settingsPath}`);
+    // Read MCP settings, comments and trailing commas are accepted
+    console.log(`Reading settings from: ${resolveSettingsSources(config).map(source => source.path).join(', ')}`);
     
-    if (!await fs.pathExists(settingsPath)) {
-      console.error(`Settings file not found at ${settingsPath}`);
-      process.exit(1);
-    }
-    
-    const fileContent = await fs.readFile(settingsPath, 'utf8');
     let mcpSettings;
-    
     try {
-      mcpSettings = JSON.parse(fileContent);
+      mcpSettings = await readSettingsSources(config);
     } catch (error) {
-      console.error(`Failed to parse settings file: ${error.message}`);
-      process.exit(1);
-    }
-    
-    if (!mcpSettings.mcpServers) {
-      console.error(`Invalid settings file: missing mcpServers object`);
+      console.error(`Failed to read settings file: ${error.message}`);
       process.exit(1);
     }
     
@@ -90,14 +76,14 @@ async function testJsonRpcDiscovery() {
       console.time(`Discovery time`);
       
       // Clear cache first to ensure fresh discovery
-      discovery.clearCache();
+      await discovery.clearCache();
       
       const tools = await discovery.discoverTools(serverId, serverConfig);
       console.timeEnd(`Discovery time`);
       
       console.log(`\nDiscovered ${tools.length} tools:`);
       if (tools.length > 0) {
-        tools.forEach((tool, i) => console.log(`  ${i+1}. ${tool}`));
+        tools.forEach((tool, i) => console.log(`  ${i+1}. ${tool.name}${tool.description ? ` - ${tool.description}` : ''}`));
       } else {
         console.log('  No tools discovered.');
       }
@@ -0,0 +1,157 @@
+import {
+  DiscoveryCache,
+  computeFingerprint,
+  extractPackageVersion,
+  normalizeCacheOptions
+} from '../../src/core/discovery-cache.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('computeFingerprint()', () => {
+  const baseConfig = {
+    command: 'npx',
+    args: ['-y', '@modelcontextprotocol/server-github@0.6.2'],
+    env: { GITHUB_PERSONAL_ACCESS_TOKEN: 'abc', LOG_LEVEL: 'info' }
+  };
+  
+  it('should be stable for the same launch configuration', () => {
+    expect(computeFingerprint(baseConfig)).toBe(computeFingerprint({ ...baseConfig }));
+  });
+  
+  it('should change when args or non-secret env change', () => {
+    const fingerprint = computeFingerprint(baseConfig);
+    
+    expect(computeFingerprint({ ...baseConfig, args: ['-y', '@modelcontextprotocol/server-github@0.6.3'] })).not.toBe(fingerprint);
+    expect(computeFingerprint({ ...baseConfig, env: { ...baseConfig.env, LOG_LEVEL: 'debug' } })).not.toBe(fingerprint);
+  });
+  
+  it('should ignore secret values but not secret names', () => {
+    const fingerprint = computeFingerprint(baseConfig);
+    
+    expect(computeFingerprint({ ...baseConfig, env: { ...baseConfig.env, GITHUB_PERSONAL_ACCESS_TOKEN: 'xyz' } })).toBe(fingerprint);
+    expect(computeFingerprint({ ...baseConfig, env: { LOG_LEVEL: 'info' } })).not.toBe(fingerprint);
+  });
+});
+
+describe('extractPackageVersion()', () => {
+  it('should read pinned npm and Python package versions', () => {
+    expect(extractPackageVersion({ args: ['-y', '@scope/server@1.2.3'] })).toBe('1.2.3');
+    expect(extractPackageVersion({ args: ['mcp-server-fetch==2024.1.0'] })).toBe('2024.1.0');
+    expect(extractPackageVersion({ args: ['-y', '@scope/server'] })).toBeNull();
+    expect(extractPackageVersion({})).toBeNull();
+  });
+});
+
+describe('normalizeCacheOptions()', () => {
+  it('should accept the boolean shorthand', () => {
+    expect(normalizeCacheOptions(true).enabled).toBe(true);
+    expect(normalizeCacheOptions(false).enabled).toBe(false);
+    expect(normalizeCacheOptions(undefined).enabled).toBe(false);
+  });
+  
+  it('should apply defaults to the object form', () => {
+    const options = normalizeCacheOptions({ ttl: 1000 });
+    
+    expect(options.enabled).toBe(true);
+    expect(options.ttl).toBe(1000);
+    expect(options.path).toContain('discovery-cache.json');
+  });
+});
+
+describe('DiscoveryCache', () => {
+  let tempDir;
+  let cachePath;
+  const serverConfig = { command: 'node', args: ['server.js'] };
+  const result = { tools: [{ name: 'echo' }], extractionMethod: 'json-rpc' };
+  
+  const createCache = (options = {}) => {
+    const cache = new DiscoveryCache({ discovery: { cache: { path: cachePath, ...options } } });
+    cache.on('warning', () => {});
+    cache.on('debug', () => {});
+    return cache;
+  };
+  
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-cache-test-'));
+    cachePath = path.join(tempDir, 'nested', 'discovery-cache.json');
+  });
+  
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+  
+  it('should persist results across instances', async () => {
+    await createCache().set('server', serverConfig, result);
+    
+    const cache = createCache();
+    expect(await cache.get('server', serverConfig)).toEqual(result);
+    expect(await cache.get('server', { ...serverConfig, args: ['other.js'] })).toBeNull();
+    expect(await cache.get('other', serverConfig)).toBeNull();
+  });
+  
+  it('should keep servers with identical launch configurations apart', async () => {
+    const cache = createCache();
+    const otherResult = { tools: [{ name: 'search' }], extractionMethod: 'json-rpc' };
+    await cache.set('a', serverConfig, result);
+    await cache.set('b', { ...serverConfig }, otherResult);
+    
+    const reloaded = createCache();
+    expect(await reloaded.get('a', serverConfig)).toEqual(result);
+    expect(await reloaded.get('b', serverConfig)).toEqual(otherResult);
+    expect((await reloaded.list()).map(entry => entry.fingerprint)).toEqual([
+      computeFingerprint(serverConfig),
+      computeFingerprint(serverConfig)
+    ]);
+  });
+  
+  it('should keep a single entry per server', async () => {
+    const cache = createCache();
+    await cache.set('server', serverConfig, result);
+    await cache.set('server', { ...serverConfig, args: ['other.js'] }, result);
+    
+    expect(await cache.list()).toHaveLength(1);
+  });
+  
+  it('should expire and prune entries past the TTL', async () => {
+    const cache = createCache({ ttl: 1000 });
+    await cache.set('server', serverConfig, result);
+    Object.values(cache.entries)[0].cachedAt -= 2000;
+    
+    expect(await cache.get('server', serverConfig)).toBeNull();
+    expect((await cache.list())[0]).toEqual(expect.objectContaining({ serverId: 'server', expired: true, toolCount: 1 }));
+    expect(await cache.prune()).toBe(1);
+    expect(await createCache().list()).toEqual([]);
+  });
+  
+  it('should return the latest result of a server whatever its fingerprint or age', async () => {
+    const cache = createCache({ ttl: 1000 });
+    await cache.set('server', serverConfig, result);
+    Object.values(cache.entries)[0].cachedAt -= 2000;
+    
+    const latest = await cache.getLatest('server');
+    expect(latest.result).toEqual(result);
+    expect(latest.cachedAt).toBeInstanceOf(Date);
+    expect(await cache.getLatest('other')).toBeNull();
+  });
+  
+  it('should invalidate one server or everything', async () => {
+    const cache = createCache();
+    await cache.set('a', serverConfig, result);
+    await cache.set('b', { command: 'node', args: ['b.js'] }, result);
+    
+    expect(await cache.invalidate('a')).toBe(1);
+    expect((await cache.list()).map(entry => entry.serverId)).toEqual(['b']);
+    expect(await cache.invalidate()).toBe(1);
+    expect(await cache.list()).toEqual([]);
+  });
+  
+  it('should do nothing when disabled', async () => {
+    const cache = createCache({ enabled: false });
+    await cache.set('server', serverConfig, result);
+    
+    expect(await cache.get('server', serverConfig)).toBeNull();
+    expect(await fs.pathExists(cachePath)).toBe(false);
+  });
+});
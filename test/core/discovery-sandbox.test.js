@@ -0,0 +1,105 @@
+import {
+  resolveSandboxProfile,
+  buildSandboxLaunch,
+  findRelativePathArgs,
+  createSandboxDirectory
+} from '../../src/core/discovery-sandbox.js';
+
+import fs from 'fs-extra';
+
+describe('resolveSandboxProfile()', () => {
+  it('should sandbox by default without discovery hints', () => {
+    const profile = resolveSandboxProfile({}, 'server');
+    
+    expect(profile.enabled).toBe(true);
+    expect(profile.tempCwd).toBe(true);
+    expect(profile.discoveryHints).toBe(false);
+    expect(profile.envAllowlist).toContain('PATH');
+  });
+  
+  it('should apply per-server overrides on top of the global profile', () => {
+    const config = {
+      discovery: {
+        sandbox: {
+          tempCwd: false,
+          servers: {
+            legacy: { discoveryHints: true, envAllowlist: ['PATH', 'LEGACY_*'] }
+          }
+        }
+      }
+    };
+    
+    expect(resolveSandboxProfile(config, 'other')).toEqual(expect.objectContaining({ tempCwd: false, discoveryHints: false }));
+    expect(resolveSandboxProfile(config, 'legacy')).toEqual(expect.objectContaining({
+      tempCwd: false,
+      discoveryHints: true,
+      envAllowlist: ['PATH', 'LEGACY_*']
+    }));
+    expect(resolveSandboxProfile(config, 'legacy').servers).toBeUndefined();
+  });
+});
+
+describe('buildSandboxLaunch()', () => {
+  const baseEnv = {
+    PATH: '/usr/bin',
+    Path: 'C:\\Windows',
+    LC_ALL: 'C',
+    AWS_SECRET_ACCESS_KEY: 'secret',
+    NODE_ENV: 'production'
+  };
+  
+  it('should only inherit allowlisted variables plus the server env', () => {
+    const profile = resolveSandboxProfile({}, 'server');
+    const { env, args } = buildSandboxLaunch(profile, { args: [], env: { API_KEY: 'server-key' } }, baseEnv);
+    
+    expect(env).toEqual({ PATH: '/usr/bin', Path: 'C:\\Windows', LC_ALL: 'C', API_KEY: 'server-key' });
+    expect(args).toEqual([]);
+  });
+  
+  it('should inherit everything when the sandbox is disabled', () => {
+    const { env } = buildSandboxLaunch({ enabled: false }, {}, baseEnv);
+    
+    expect(env).toEqual(baseEnv);
+  });
+  
+  it('should add discovery hints only when asked to', () => {
+    const { env, args } = buildSandboxLaunch({ enabled: true, envAllowlist: [], discoveryHints: true }, {}, baseEnv);
+    
+    expect(env.MCP_DISCOVERY_MODE).toBe('true');
+    expect(env.NODE_ENV).toBe('discovery');
+    expect(args).toEqual(['--list-functions', '--discovery']);
+    
+    const withArgs = buildSandboxLaunch({ enabled: true, envAllowlist: [], discoveryHints: true }, { args: ['server.js'] }, baseEnv);
+    expect(withArgs.args).toEqual(['server.js']);
+  });
+});
+
+describe('findRelativePathArgs()', () => {
+  it('should find arguments that are explicit relative paths', () => {
+    expect(findRelativePathArgs(['./server.js'])).toEqual(['./server.js']);
+    expect(findRelativePathArgs(['../server.py', 'src\\server.py'])).toEqual(['../server.py', 'src\\server.py']);
+    expect(findRelativePathArgs(['dist/index.js', '--config=config/tools.json', '--port', '3000']))
+      .toEqual(['dist/index.js', '--config=config/tools.json']);
+  });
+  
+  it('should not treat bare names, packages, absolute paths or URLs as relative paths', () => {
+    expect(findRelativePathArgs(['server', 'src', 'server.js', '-y', '@modelcontextprotocol/server-memory']))
+      .toEqual([]);
+    expect(findRelativePathArgs(['/srv/data', 'https://example.com/mcp', '--root=/tmp'])).toEqual([]);
+  });
+});
+
+describe('createSandboxDirectory()', () => {
+  it('should create a fresh temporary directory', async () => {
+    const first = await createSandboxDirectory();
+    const second = await createSandboxDirectory();
+    
+    try {
+      expect(first).not.toBe(second);
+      expect(await fs.readdir(first)).toEqual([]);
+    } finally {
+      await fs.remove(first);
+      await fs.remove(second);
+    }
+  });
+});
@@ -0,0 +1,109 @@
+import { resolveWriterOptions, stripTimestamps, writeDocument } from '../../src/core/document-writer.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('resolveWriterOptions()', () => {
+  it('should keep five backups in the home directory by default', () => {
+    const options = resolveWriterOptions({});
+    
+    expect(options.count).toBe(5);
+    expect(options.dir).toBe(path.join(os.homedir(), '.mcp-config-watcher', 'backups'));
+    expect(resolveWriterOptions({ generator: { backups: { count: 0 } } }).count).toBe(0);
+  });
+});
+
+describe('stripTimestamps()', () => {
+  const footer = 'This documentation is automatically generated by MCP Config Watcher.\nLast updated: ';
+  
+  it('should ignore the footer line and the top-level generatedAt of the catalogs', () => {
+    expect(stripTimestamps(`# Doc\n${footer}1/2/2026, 10:00:00 AM\n`))
+      .toBe(stripTimestamps(`# Doc\n${footer}3/4/2026, 11:30:00 PM\n`));
+    expect(stripTimestamps('{\n  "generatedAt": "2026-10-19T19:16:11.123Z",\n  "servers": []\n}'))
+      .toBe(stripTimestamps('{\n  "generatedAt": "2026-10-20T08:00:00.000Z",\n  "servers": []\n}'));
+    expect(stripTimestamps('generatedAt: 2026-10-19T19:16:11.123Z\n'))
+      .toBe(stripTimestamps('generatedAt: 2026-10-20T08:00:00.000Z\n'));
+    expect(stripTimestamps('<p class="meta">1 server(s), generated 2026-10-19T19:16:11.123Z</p>'))
+      .toBe(stripTimestamps('<p class="meta">1 server(s), generated 2026-10-20T08:00:00.000Z</p>'));
+    expect(stripTimestamps('# Doc\n- tool1\n')).not.toBe(stripTimestamps('# Doc\n- tool2\n'));
+  });
+  
+  it('should keep every other timestamp', () => {
+    const catalog = discoveredAt => `{\n  "generatedAt": "2026-10-19T19:16:11.123Z",\n  "servers": [\n    {\n      "lastKnown": { "discoveredAt": "${discoveredAt}" }\n    }\n  ]\n}`;
+    
+    expect(stripTimestamps(catalog('2026-10-01T08:00:00.000Z')))
+      .not.toBe(stripTimestamps(catalog('2026-10-02T08:00:00.000Z')));
+    expect(stripTimestamps('# Doc\nLast updated: 1/2/2026\n'))
+      .not.toBe(stripTimestamps('# Doc\nLast updated: 3/4/2026\n'));
+  });
+});
+
+describe('writeDocument()', () => {
+  let tempDir;
+  let config;
+  let filePath;
+  
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-writer-'));
+    config = { generator: { backups: { count: 2, dir: path.join(tempDir, 'backups') } } };
+    filePath = path.join(tempDir, 'docs', 'servers.md');
+  });
+  
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+  
+  it('should create new documents without a backup or temporary files left behind', async () => {
+    const result = await writeDocument(filePath, '# Servers\n', config);
+    
+    expect(result).toEqual({ path: filePath, written: true, backupPath: null });
+    expect(await fs.readFile(filePath, 'utf8')).toBe('# Servers\n');
+    expect(await fs.readdir(path.dirname(filePath))).toEqual(['servers.md']);
+  });
+  
+  it('should skip content that only differs in its timestamp', async () => {
+    const footer = 'This documentation is automatically generated by MCP Config Watcher.\nLast updated: ';
+    await fs.outputFile(filePath, `# Servers\n${footer}yesterday\n`);
+    
+    const result = await writeDocument(filePath, `# Servers\n${footer}today\n`, config);
+    
+    expect(result.written).toBe(false);
+    expect(await fs.readFile(filePath, 'utf8')).toBe(`# Servers\n${footer}yesterday\n`);
+    expect(await fs.pathExists(config.generator.backups.dir)).toBe(false);
+  });
+  
+  it('should write content whose other timestamps changed', async () => {
+    await fs.outputFile(filePath, '# Servers\nLast discovered: 2026-10-01T08:00:00.000Z\n');
+    
+    const result = await writeDocument(filePath, '# Servers\nLast discovered: 2026-10-02T08:00:00.000Z\n', config);
+    
+    expect(result.written).toBe(true);
+    expect(await fs.readFile(filePath, 'utf8')).toBe('# Servers\nLast discovered: 2026-10-02T08:00:00.000Z\n');
+  });
+  
+  it('should back up the previous version and keep the newest backups', async () => {
+    await fs.outputFile(filePath, 'v1\n');
+    
+    const results = [];
+    for (const content of ['v2\n', 'v3\n', 'v4\n']) {
+      results.push(await writeDocument(filePath, content, config));
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    
+    const backups = (await fs.readdir(config.generator.backups.dir)).sort();
+    expect(backups).toHaveLength(2);
+    expect(backups.every(name => /^servers\.[0-9a-f]{8}\..+\.md$/.test(name))).toBe(true);
+    expect(await fs.readFile(results[2].backupPath, 'utf8')).toBe('v3\n');
+    expect(await fs.readFile(path.join(config.generator.backups.dir, backups[0]), 'utf8')).toBe('v2\n');
+    expect(await fs.readFile(filePath, 'utf8')).toBe('v4\n');
+  });
+  
+  it('should not back up when backups are disabled', async () => {
+    await fs.outputFile(filePath, 'v1\n');
+    config.generator.backups.count = 0;
+    
+    expect((await writeDocument(filePath, 'v2\n', config)).backupPath).toBeNull();
+    expect(await fs.pathExists(config.generator.backups.dir)).toBe(false);
+  });
+});
@@ -0,0 +1,146 @@
+import {
+  detectFormat,
+  normalizeSettings,
+  registerFormat,
+  listFormats,
+  readSettingsFile
+} from '../../../src/core/formats/index.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('detectFormat()', () => {
+  const mcpServers = { time: { command: 'uvx', args: ['mcp-server-time'] } };
+  
+  it('should recognize each client by its file name', () => {
+    expect(detectFormat({ mcpServers }, '/home/me/.config/Claude/claude_desktop_config.json').id).toBe('claude-desktop');
+    expect(detectFormat({ mcpServers }, '/home/me/project/.cursor/mcp.json').id).toBe('cursor');
+    expect(detectFormat({ mcpServers }, '/home/me/.codeium/windsurf/mcp_config.json').id).toBe('windsurf');
+    expect(detectFormat({ mcpServers }, '/home/me/settings/cline_mcp_settings.json').id).toBe('cline');
+    expect(detectFormat({ servers: mcpServers }, '/home/me/project/.vscode/mcp.json').id).toBe('vscode');
+  });
+  
+  it('should fall back to the content layout when the file name is unknown', () => {
+    expect(detectFormat({ mcpServers }, '/tmp/custom.json').id).toBe('cline');
+    expect(detectFormat({ servers: mcpServers }, '/tmp/custom.json').id).toBe('vscode');
+    expect(detectFormat({ mcp: { servers: mcpServers } }).id).toBe('vscode');
+    expect(detectFormat({ other: true })).toBeNull();
+  });
+  
+  it('should not trust a file name whose content has a different layout', () => {
+    expect(detectFormat({ servers: mcpServers }, '/home/me/project/.cursor/mcp.json').id).toBe('vscode');
+  });
+});
+
+describe('normalizeSettings()', () => {
+  it('should tag every server with the client it came from', () => {
+    const settings = normalizeSettings(
+      { mcpServers: { time: { command: 'uvx', args: ['mcp-server-time'] } }, globalShortcut: 'Ctrl+Space' },
+      { filePath: 'claude_desktop_config.json' }
+    );
+    
+    expect(settings).toEqual({
+      format: 'claude-desktop',
+      mcpServers: { time: { command: 'uvx', args: ['mcp-server-time'], client: 'claude-desktop' } },
+      inputs: []
+    });
+  });
+  
+  it('should map Windsurf serverUrl to url', () => {
+    const settings = normalizeSettings(
+      { mcpServers: { remote: { serverUrl: 'https://example.com/mcp', headers: { 'X-Key': 'secret' } } } },
+      { filePath: 'mcp_config.json' }
+    );
+    
+    expect(settings.mcpServers.remote).toEqual({
+      url: 'https://example.com/mcp',
+      headers: { 'X-Key': 'secret' },
+      client: 'windsurf'
+    });
+  });
+  
+  it('should read VS Code servers and inputs', () => {
+    const inputs = [{ type: 'promptString', id: 'api-key', description: 'API key', password: true }];
+    const settings = normalizeSettings({
+      inputs,
+      servers: {
+        github: { type: 'http', url: 'https://api.example.com/mcp/' },
+        fetch: { type: 'stdio', command: 'uvx', args: ['mcp-server-fetch'], env: { KEY: '${input:api-key}' } }
+      }
+    }, { filePath: '.vscode/mcp.json' });
+    
+    expect(settings.format).toBe('vscode');
+    expect(settings.inputs).toEqual(inputs);
+    expect(settings.mcpServers.github).toEqual({ type: 'http', url: 'https://api.example.com/mcp/', client: 'vscode' });
+    expect(settings.mcpServers.fetch.client).toBe('vscode');
+  });
+  
+  it('should honour an explicit format and reject unreadable settings', () => {
+    expect(normalizeSettings({ mcpServers: {} }, { format: 'cursor', filePath: 'any.json' }).format).toBe('cursor');
+    expect(() => normalizeSettings({ mcpServers: {} }, { format: 'vscode' })).toThrow('Invalid VS Code settings');
+    expect(() => normalizeSettings({ mcpServers: {} }, { format: 'zed' })).toThrow('Unknown MCP settings format: zed');
+    expect(() => normalizeSettings({})).toThrow('missing mcpServers or servers object');
+  });
+  
+  it('should prefer formats registered at runtime', () => {
+    registerFormat({
+      id: 'custom',
+      label: 'Custom',
+      matchesPath: filePath => filePath.endsWith('.custom.json'),
+      canRead: settings => Array.isArray(settings.list),
+      normalize: settings => ({
+        mcpServers: Object.fromEntries(settings.list.map(({ id, ...entry }) => [id, { ...entry, client: 'custom' }])),
+        inputs: []
+      })
+    });
+    
+    const settings = normalizeSettings({ list: [{ id: 'one', command: 'node' }] }, { filePath: 'servers.custom.json' });
+    
+    expect(settings.mcpServers).toEqual({ one: { command: 'node', client: 'custom' } });
+    expect(listFormats()[0]).toEqual({ id: 'custom', label: 'Custom' });
+  });
+});
+
+describe('readSettingsFile()', () => {
+  it('should read and normalize a settings file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-formats-'));
+    const filePath = path.join(dir, 'mcp.json');
+    
+    try {
+      await fs.writeFile(filePath, JSON.stringify({ servers: { time: { command: 'uvx' } } }));
+      const settings = await readSettingsFile(filePath);
+      
+      expect(settings.format).toBe('vscode');
+      expect(settings.mcpServers.time).toEqual({ command: 'uvx', client: 'vscode' });
+      
+      await fs.writeFile(filePath, '{ not json');
+      await expect(readSettingsFile(filePath)).rejects.toThrow('Invalid JSON in MCP settings file');
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+  
+  it('should accept comments and trailing commas and report syntax errors by position', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-formats-'));
+    const filePath = path.join(dir, 'mcp.json');
+    
+    try {
+      await fs.writeFile(filePath, '{\n  // Project servers\n  "servers": {\n    "time": { "command": "uvx", /* local */ },\n  },\n}\n');
+      const settings = await readSettingsFile(filePath);
+      
+      expect(settings.mcpServers.time).toEqual({ command: 'uvx', client: 'vscode' });
+      
+      await fs.writeFile(filePath, '{\n  "servers": {\n    "time": { "command": "uvx" }\n    "fetch": {}\n  }\n}\n');
+      await expect(readSettingsFile(filePath)).rejects.toMatchObject({
+        name: 'JsoncParseError',
+        message: expect.stringContaining('at line 4, column 5'),
+        line: 4,
+        column: 5,
+        filePath
+      });
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
@@ -136,47 +136,31 @@ describe('MDGenerator', () => {
       
       generator.generateServerSections = jest.fn().mockReturnValue({});
       generator.mergeContent = jest.fn().mockReturnValue('# New Content');
+      generator.writeDocument = jest.fn().mockResolvedValue({ written: true });
       
       // Act
       await generator.safeUpdateMarkdown('/test/output.md', data, settings);
       
       // Assert
-      expect(generator.parseExistingContent).toHaveBeenCalledWith(existingContent);
+      expect(generator.parseExistingContent).toHaveBeenCalledWith(existingContent, []);
       expect(generator.generateServerSections).toHaveBeenCalled();
       expect(generator.mergeContent).toHaveBeenCalled();
-      expect(fs.writeFile).toHaveBeenCalledWith('/test/output.md', '# New Content', 'utf8');
+      expect(generator.writeDocument).toHaveBeenCalledWith('/test/output.md', '# New Content');
     });
     
-    it('should create backup files for main documentation file', async () => {
+    it('should only write the document itself', async () => {
       // Setup
       const filePath = '/test/path/mcp_servers_and_tools.md';
       fs.readFile.mockResolvedValue('# Existing Content');
-      
-      generator.parseExistingContent = jest.fn().mockReturnValue({
-        header: '# MCP Servers and Tools\n\n',
-        servers: {},
-        footer: '\nThis documentation is automatically generated by MCP Config Watcher.\n'
-      });
-      
-      generator.generateServerSections = jest.fn().mockReturnValue({});
-      generator.mergeContent = jest.fn().mockReturnValue('# New Content');
-      generator.buildMarkdown = jest.fn().mockReturnValue('# Direct Content');
+      generator.writeDocument = jest.fn().mockResolvedValue({ written: true });
       
       // Act
-      await generator.safeUpdateMarkdown(filePath, {}, {});
+      await generator.safeUpdateMarkdown(filePath, { servers: {} }, { mcpServers: {} });
       
       // Assert
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        expect.stringContaining('mcp_servers_and_tools_debug.md'),
-        '# Existing Content',
-        'utf8'
-      );
-      
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        expect.stringContaining('mcp_servers_and_tools_direct.md'),
-        '# Direct Content',
-        'utf8'
-      );
+      expect(generator.writeDocument).toHaveBeenCalledTimes(1);
+      expect(generator.writeDocument).toHaveBeenCalledWith(filePath, expect.stringContaining('# Existing Content'));
+      expect(fs.writeFile).not.toHaveBeenCalled();
     });
     
     it('should throw error when update fails', async () => {
@@ -191,7 +175,22 @@ describe('MDGenerator', () => {
   });
   
   describe('parseExistingContent()', () => {
-    it('should parse header, server sections, and footer', () => {
+    it('should split a marked document into regions and user content', () => {
+      // Setup
+      const content = '# MCP Servers and Tools\n\nIntro\n\n' +
+        '<!-- mcp-watcher:begin server=Server 1 -->\n## Server 1\n\n- **tool1**: Old\n<!-- mcp-watcher:end server=Server 1 -->\n\n' +
+        'My notes\n';
+      
+      // Act
+      const result = generator.parseExistingContent(content, ['Server 1']);
+      
+      // Assert
+      expect(result.map(chunk => chunk.type === 'region' ? `${chunk.kind}=${chunk.id}` : 'text'))
+        .toEqual(['text', 'server=Server 1', 'text']);
+      expect(result.map(chunk => chunk.text).join('')).toBe(content);
+    });
+    
+    it('should migrate documents written without markers', () => {
       // Setup
       const content = `# MCP Servers and Tools
 
@@ -201,50 +200,60 @@ This document provides an overview of all MCP servers.
 
 - **tool1**: Tool 1 description.
 
-## Server 2
+## Custom Section
 
-- **tool2**: Tool 2 description.
+Notes about the servers.
 
-This documentation is automatically generated by MCP Config Watcher.
-Last updated: 2023-01-01`;
+## Removed Server
 
-      // Act
-      const result = generator.parseExistingContent(content);
-      
-      // Assert
-      expect(result.header).toContain('# MCP Servers and Tools');
-      expect(result.header).toContain('This document provides an overview');
-      
-      expect(Object.keys(result.servers)).toHaveLength(2);
-      expect(result.servers['Server 1']).toContain('- **tool1**');
-      expect(result.servers['Server 2']).toContain('- **tool2**');
-      
-      expect(result.footer).toContain('This documentation is automatically generated');
-      expect(result.footer).toContain('Last updated');
-    });
-    
-    it('should handle content without header marker', () => {
-      // Setup
-      const content = 'Some content without proper header';
+- **tool9**: Tool 9 description.
+
+### Server Configuration
+
+- **Command**: \`npx\`
+
+This documentation is automatically generated by MCP Config Watcher.
+Last updated: 2023-01-01
+`;
       
       // Act
-      const result = generator.parseExistingContent(content);
+      const result = generator.migrateContent(content, ['Server 1']);
       
       // Assert
-      expect(result.header).toContain('# MCP Servers and Tools');
-      expect(result.header).toContain('This document provides an overview');
+      expect(result).toBe(`# MCP Servers and Tools
+
+This document provides an overview of all MCP servers.
+
+<!-- mcp-watcher:begin server=Server 1 -->
+## Server 1
+
+- **tool1**: Tool 1 description.
+<!-- mcp-watcher:end server=Server 1 -->
+
+## Custom Section
+
+Notes about the servers.
+
+<!-- mcp-watcher:begin server=Removed Server -->
+## Removed Server
+
+- **tool9**: Tool 9 description.
+
+### Server Configuration
+
+- **Command**: \`npx\`
+<!-- mcp-watcher:end server=Removed Server -->
+
+<!-- mcp-watcher:begin section=footer -->
+This documentation is automatically generated by MCP Config Watcher.
+Last updated: 2023-01-01
+<!-- mcp-watcher:end section=footer -->
+`);
     });
     
-    it('should handle content without footer marker', () => {
-      // Setup
-      const content = '# MCP Servers and Tools\n\nContent without footer';
-      
-      // Act
-      const result = generator.parseExistingContent(content);
-      
-      // Assert
-      expect(result.footer).toContain('This documentation is automatically generated');
-      expect(result.footer).toContain('Last updated');
+    it('should reject markers that do not pair up', () => {
+      expect(() => generator.parseExistingContent('<!-- mcp-watcher:begin server=a -->\n## a\n', ['a']))
+        .toThrow('Region server=a is not closed (line 1)');
     });
   });
   
@@ -288,6 +297,188 @@ Last updated: 2023-01-01`;
       expect(debugSpy).toHaveBeenCalledWith('debug', expect.any(String));
     });
     
+    it('should prefer discovered tool metadata over static descriptions', () => {
+      // Setup
+      mockParser.getToolDescription.mockImplementation((toolName, toolDetails) =>
+        toolDetails?.description || 'Tool 1 description');
+      
+      const data = {
+        servers: {
+          'github.com/test/server1': {
+            tools: ['tool1'],
+            toolDetails: {
+              tool1: {
+                name: 'tool1',
+                description: 'Reported by\n  the server',
+                annotations: { readOnlyHint: true }
+              }
+            }
+          }
+        }
+      };
+      
+      // Act
+      const result = generator.generateServerSections(data, { mcpServers: {} });
+      
+      // Assert
+      expect(mockParser.getToolDescription).toHaveBeenCalledWith('tool1', data.servers['github.com/test/server1'].toolDetails.tool1);
+      expect(result['github.com/test/server1']).toContain('- **tool1** `read-only`: Reported by the server');
+    });
+    
+    it('should generate Resources and Prompts subsections', () => {
+      // Setup
+      const data = {
+        servers: {
+          'github.com/test/server1': {
+            tools: ['tool1'],
+            resources: [
+              { uri: 'file:///todo.txt', name: 'todo.txt', description: 'Open tasks', mimeType: 'text/plain' }
+            ],
+            resourceTemplates: [
+              { uriTemplate: 'file:///{name}', name: 'note', description: null, mimeType: null }
+            ],
+            prompts: [
+              {
+                name: 'summarize',
+                description: 'Summarize a document.',
+                arguments: [{ name: 'text', description: 'Text to summarize', required: true }]
+              }
+            ]
+          }
+        }
+      };
+      
+      // Act
+      const result = generator.generateServerSections(data, { mcpServers: {} });
+      const section = result['github.com/test/server1'];
+      
+      // Assert
+      expect(section).toContain('### Resources');
+      expect(section).toContain('- **todo.txt** (`file:///todo.txt`) `text/plain`: Open tasks');
+      expect(section).toContain('- **note** (`file:///{name}`, template)');
+      expect(section).toContain('### Prompts');
+      expect(section).toContain('- **summarize**: Summarize a document.');
+      expect(section).toContain('  - `text` (required): Text to summarize');
+    });
+    
+    it('should describe remote servers by transport and URL with masked headers', () => {
+      // Setup
+      const data = {
+        servers: {
+          'remote-server': { tools: ['tool1'] }
+        }
+      };
+      
+      const settings = {
+        mcpServers: {
+          'remote-server': {
+            url: 'https://example.com/sse',
+            headers: { Authorization: 'Bearer secret', 'X-Team': 'docs' }
+          }
+        }
+      };
+      
+      // Act
+      const result = generator.generateServerSections(data, settings);
+      
+      // Assert
+      expect(result['remote-server']).toContain('- **Transport**: SSE');
+      expect(result['remote-server']).toContain('- **URL**: `https://example.com/sse`');
+      expect(result['remote-server']).toContain('- **Headers**: `Authorization=********, X-Team=docs`');
+      expect(result['remote-server']).not.toContain('**Command**');
+    });
+    
+    it('should name the client a server was configured in', () => {
+      // Setup
+      const data = { servers: { 'cursor-server': { tools: ['tool1'] } } };
+      const settings = { mcpServers: { 'cursor-server': { command: 'npx', client: 'cursor' } } };
+      
+      // Act
+      const result = generator.generateServerSections(data, settings);
+      
+      // Assert
+      expect(result['cursor-server']).toContain('- **Client**: Cursor');
+    });
+    
+    it('should name the source and other definitions of servers merged from several files', () => {
+      // Setup
+      const data = { servers: { github: { tools: ['tool1'] } } };
+      const settings = {
+        mcpServers: { github: { command: 'npx', client: 'cline', source: 'cline' } },
+        sources: [{ name: 'cline' }, { name: 'desktop' }, { name: 'project' }],
+        conflicts: {
+          github: {
+            source: 'cline',
+            sources: ['cline', 'desktop', 'project'],
+            differences: [{ source: 'desktop', keys: ['args', 'env'] }, { source: 'project', keys: [] }]
+          }
+        }
+      };
+      
+      // Act
+      const result = generator.generateServerSections(data, settings);
+      
+      // Assert
+      expect(result.github).toContain('- **Source**: cline');
+      expect(result.github).toContain('- **Also Defined In**: desktop (differs in `args`, `env`), project (identical)');
+    });
+    
+    it('should show placeholders as written and mark the unresolved ones', () => {
+      // Setup
+      const data = { servers: { github: { tools: ['tool1'], unresolved: ['${input:github-token}'] } } };
+      const settings = {
+        mcpServers: {
+          github: {
+            command: 'npx',
+            args: ['--root', '${workspaceFolder}'],
+            env: { GITHUB_TOKEN: '${input:github-token}', API_KEY: 'secret' }
+          }
+        }
+      };
+      
+      // Act
+      const result = generator.generateServerSections(data, settings);
+      
+      // Assert
+      expect(result.github).toContain('- **Arguments**: `--root ${workspaceFolder}`');
+      expect(result.github).toContain('- **Environment Variables**: `GITHUB_TOKEN=${input:github-token}, API_KEY=********`');
+      expect(result.github).toContain('- **Unresolved Placeholders**: `${input:github-token}`');
+    });
+    
+    it('should list disabled servers in their own section', () => {
+      // Setup
+      const data = {
+        servers: { 'github.com/test/server1': { tools: ['tool1'] } },
+        disabledServers: {
+          'off-server': {
+            tools: ['tool2'],
+            toolDetails: { tool2: { name: 'tool2', description: 'Cached description' } },
+            lastKnown: { discoveredAt: null }
+          },
+          'new-server': { tools: [], toolDetails: {}, lastKnown: null }
+        }
+      };
+      const settings = {
+        mcpServers: {
+          'github.com/test/server1': { command: 'npx' },
+          'off-server': { command: 'uvx', args: ['off-server'], disabled: true },
+          'new-server': { url: 'https://example.com/mcp', disabled: true }
+        }
+      };
+      
+      // Act
+      const result = generator.buildMarkdown(data, settings);
+      
+      // Assert
+      const disabled = result.slice(result.indexOf('## Disabled Servers'));
+      expect(result.indexOf('## github.com/test/server1')).toBeLessThan(result.indexOf('## Disabled Servers'));
+      expect(disabled).toContain('### off-server\n\nLast known tools:\n\n- **tool2**: Tool 2 description\n');
+      expect(disabled).toContain('- **Arguments**: `off-server`');
+      expect(disabled).toContain('### new-server\n\nNo tools known, the server has not been discovered.');
+      expect(disabled).toContain('- **URL**: `https://example.com/mcp`');
+      expect(disabled.indexOf(generator.FOOTER_MARKER)).toBeGreaterThan(0);
+    });
+    
     it('should generate default tools when no tools are available', () => {
       // Setup
       const data = {
@@ -311,15 +502,15 @@ Last updated: 2023-01-01`;
   });
   
   describe('mergeContent()', () => {
-    it('should merge sections and update footer', () => {
+    it('should replace the regions and keep the content around them byte for byte', () => {
       // Setup
-      const existingSections = {
-        header: '# MCP Servers and Tools\n\nHeader content\n\n',
-        servers: {
-          'Server 1': '- **tool1**: Description 1\n'
-        },
-        footer: '\nOld footer'
-      };
+      const existing = '# MCP Servers and Tools\r\n\r\nHeader content\r\n\r\n' +
+        '<!-- mcp-watcher:begin server=Server 1 -->\n## Server 1\n\n- **tool1**: Description 1\n<!-- mcp-watcher:end server=Server 1 -->\n' +
+        'Notes right after Server 1\n\n' +
+        '<!-- mcp-watcher:begin server=Old Server -->\n## Old Server\n<!-- mcp-watcher:end server=Old Server -->\n\n' +
+        '<!-- mcp-watcher:begin section=footer -->\nOld footer\n<!-- mcp-watcher:end section=footer -->\n' +
+        'After the footer';
+      const chunks = generator.parseExistingContent(existing, []);
       
       const newServerSections = {
         'Server 1': '- **tool1**: Updated description\n',
@@ -327,24 +518,135 @@ Last updated: 2023-01-01`;
       };
       
       // Act
-      const result = generator.mergeContent(existingSections, newServerSections);
+      const result = generator.mergeContent(chunks, newServerSections);
       
       // Assert
-      expect(result).toContain('# MCP Servers and Tools');
-      expect(result).toContain('Header content');
-      expect(result).toContain('## Server 1');
-      expect(result).toContain('## Server 2');
-      expect(result).toContain('- **tool1**: Updated description');
-      expect(result).toContain('- **tool2**: Description 2');
-      expect(result).toContain('This documentation is automatically generated');
+      expect(result.startsWith('# MCP Servers and Tools\r\n\r\nHeader content\r\n\r\n' +
+        '<!-- mcp-watcher:begin server=Server 1 -->\n## Server 1\n\n- **tool1**: Updated description\n<!-- mcp-watcher:end server=Server 1 -->\n' +
+        '\n<!-- mcp-watcher:begin server=Server 2 -->\n## Server 2\n\n- **tool2**: Description 2\n<!-- mcp-watcher:end server=Server 2 -->\n' +
+        'Notes right after Server 1\n\n<!-- mcp-watcher:begin section=footer -->\n')).toBe(true);
+      expect(result).not.toContain('Old Server');
       expect(result).toContain('Last updated');
+      expect(result.endsWith('<!-- mcp-watcher:end section=footer -->\nAfter the footer')).toBe(true);
       
       // Old footer should be replaced
       expect(result).not.toContain('Old footer');
     });
+    
+    it('should add and remove the Disabled Servers region before the footer', () => {
+      // Setup
+      const existing = generator.buildMarkdown({ servers: { 'Server 1': { tools: ['tool1'] } } }, {});
+      
+      // Act
+      const withDisabled = generator.mergeContent(generator.parseExistingContent(existing), { 'Server 1': 'x\n' }, '## Disabled Servers\n');
+      const withoutDisabled = generator.mergeContent(generator.parseExistingContent(withDisabled), { 'Server 1': 'x\n' });
+      
+      // Assert
+      expect(withDisabled).toContain('<!-- mcp-watcher:end server=Server 1 -->\n\n' +
+        '<!-- mcp-watcher:begin section=disabled -->\n## Disabled Servers\n<!-- mcp-watcher:end section=disabled -->\n\n' +
+        '<!-- mcp-watcher:begin section=footer -->');
+      expect(withoutDisabled).toContain('<!-- mcp-watcher:end server=Server 1 -->\n\n<!-- mcp-watcher:begin section=footer -->');
+    });
+  });
+  
+  describe('updateServerSection()', () => {
+    it('should replace only the region of the given server', async () => {
+      // Setup
+      const existingContent = '# MCP Servers and Tools\n\nIntro\n\n' +
+        '<!-- mcp-watcher:begin server=Server 1 -->\n## Server 1\n\n- **tool1**: Old description 1\n<!-- mcp-watcher:end server=Server 1 -->\n' +
+        'A note about Server 1\n\n' +
+        '<!-- mcp-watcher:begin server=Server 2 -->\n## Server 2\n\n- **tool2**: Old description\n<!-- mcp-watcher:end server=Server 2 -->\n\n' +
+        '<!-- mcp-watcher:begin section=footer -->\n' +
+        'This documentation is automatically generated by MCP Config Watcher.\n' +
+        'Last updated: yesterday\n' +
+        '<!-- mcp-watcher:end section=footer -->\n';
+      fs.readFile = jest.fn()
+        .mockResolvedValueOnce(existingContent)
+        .mockResolvedValueOnce(JSON.stringify({ mcpServers: {} }));
+      generator.generateServerSections = jest.fn().mockReturnValue({
+        'Server 2': '- **tool2**: New description\n- **tool3**: Added tool\n'
+      });
+      generator.writeDocument = jest.fn().mockResolvedValue({ written: true });
+      
+      const data = { servers: { 'Server 1': { tools: ['tool1'] }, 'Server 2': { tools: ['tool2', 'tool3'] } } };
+      
+      // Act
+      await generator.updateServerSection(data, 'Server 2');
+      
+      // Assert
+      expect(generator.generateServerSections).toHaveBeenCalledWith(
+        { servers: { 'Server 2': data.servers['Server 2'] } },
+        expect.objectContaining({ mcpServers: {}, conflicts: {} })
+      );
+      const written = generator.writeDocument.mock.calls[0][1];
+      expect(written).toContain('- **tool1**: Old description 1\n<!-- mcp-watcher:end server=Server 1 -->\nA note about Server 1\n\n');
+      expect(written).toContain('## Server 2\n\n- **tool2**: New description\n- **tool3**: Added tool\n<!-- mcp-watcher:end server=Server 2 -->\n\n');
+      expect(written).not.toContain('Old description\n');
+      expect(written).not.toContain('Last updated: yesterday');
+    });
+    
+    it('should regenerate the whole document when the region is missing', async () => {
+      // Setup
+      fs.readFile = jest.fn().mockResolvedValue('# MCP Servers and Tools\n\n## Server 3\n');
+      generator.generateMarkdown = jest.fn().mockResolvedValue(true);
+      const data = { servers: { 'Server 3': { tools: [] } } };
+      
+      // Act
+      await generator.updateServerSection(data, 'Server 3');
+      
+      // Assert
+      expect(generator.generateMarkdown).toHaveBeenCalledWith(data, {});
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
   });
   
   describe('buildMarkdown()', () => {
+    it('should render parameter tables from the input schemas', () => {
+      // Setup
+      const inputSchema = {
+        type: 'object',
+        required: ['message'],
+        properties: { message: { type: 'string', description: 'Text to echo' }, times: { type: 'integer', default: 1 } }
+      };
+      const data = {
+        servers: {
+          'Server 1': {
+            tools: ['tool1', 'tool2'],
+            toolDetails: { tool1: { name: 'tool1', inputSchema }, tool2: { name: 'tool2', inputSchema } }
+          }
+        }
+      };
+      generator.config = { ...testConfig, generator: { parameters: { collapseAfter: 1 } } };
+      
+      // Act
+      const result = generator.buildMarkdown(data, {});
+      
+      // Assert
+      const table = '  | Parameter | Type | Required | Default | Description |\n' +
+        '  |-----------|------|----------|---------|-------------|\n' +
+        '  | `message` | string | yes |  | Text to echo |\n' +
+        '  | `times` | integer |  | `1` |  |\n';
+      expect(result).toContain('- **tool1**: Tool 1 description\n\n  <details>\n  <summary>Parameters (2)</summary>\n\n' +
+        table + '\n  </details>\n\n- **tool2**');
+      expect(result).toContain('  </details>\n<!-- mcp-watcher:end server=Server 1 -->');
+    });
+    
+    it('should leave out parameter tables when they are disabled', () => {
+      // Setup
+      const data = {
+        servers: {
+          'Server 1': {
+            tools: ['tool1'],
+            toolDetails: { tool1: { name: 'tool1', inputSchema: { type: 'object', properties: { message: { type: 'string' } } } } }
+          }
+        }
+      };
+      generator.config = { ...testConfig, generator: { parameters: { enabled: false } } };
+      
+      // Act & Assert
+      expect(generator.buildMarkdown(data, {})).not.toContain('| Parameter |');
+    });
+    
     it('should build complete markdown content', () => {
       // Setup
       const data = {
@@ -357,19 +659,32 @@ Last updated: 2023-01-01`;
       
       const settings = {};
       
-      generator.generateServerSections = jest.fn().mockReturnValue({
-        'Server 1': '- **tool1**: Tool 1 description\n'
-      });
-      
       // Act
       const result = generator.buildMarkdown(data, settings);
       
       // Assert
       expect(result).toContain('# MCP Servers and Tools');
-      expect(result).toContain('## Server 1');
+      expect(result).toContain('## Server 1\n\n- **tool1**: Tool 1 description\n');
       expect(result).toContain('This documentation is automatically generated');
       expect(result).toContain('Last updated');
-      expect(generator.generateServerSections).toHaveBeenCalledWith(data, settings);
+    });
+    
+    it('should render the document and sections with the configured templates', () => {
+      // Setup
+      const data = { servers: { time: { tools: ['tool1', 'tool2'] } } };
+      const settings = { mcpServers: { time: { command: 'uvx', autoApprove: ['tool2'] } } };
+      generator.templates = {
+        ...generator.templates,
+        document: '# Tools\n\n{{#servers}}\n{{> server}}\n{{/servers}}\n',
+        server: '## {{id}} ({{config.command}})\n\n{{#tools}}\n{{> tool}}\n{{/tools}}\n',
+        tool: '| {{name}} | {{#autoApproved}}yes{{/autoApproved}}{{^autoApproved}}no{{/autoApproved}} | {{description}} |\n'
+      };
+      
+      // Act
+      const result = generator.buildMarkdown(data, settings);
+      
+      // Assert
+      expect(result).toBe('# Tools\n\n## time (uvx)\n\n| tool1 | no | Tool 1 description |\n| tool2 | yes | Tool 2 description |\n');
     });
   });
 });
@@ -0,0 +1,92 @@
+import {
+  tailLines,
+  classifyFailure,
+  createServerReport,
+  buildHealthReport,
+  getHealthReportPath,
+  writeHealthReport,
+  readHealthReport
+} from '../../src/core/health-report.js';
+import { JsonRpcError, JsonRpcTimeoutError } from '../../src/core/transports/index.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('tailLines()', () => {
+  it('should keep only the last lines of output', () => {
+    const output = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n') + '\n';
+    
+    expect(tailLines(output, 3)).toBe('line 27\nline 28\nline 29');
+    expect(tailLines(output, 3, 10)).toBe('28\nline 29');
+    expect(tailLines(undefined)).toBe('');
+  });
+});
+
+describe('classifyFailure()', () => {
+  it('should distinguish timeouts, crashes and protocol errors', () => {
+    const responsive = { exited: false, firstMessageAt: Date.now() };
+    
+    expect(classifyFailure(new JsonRpcTimeoutError('tools/list', 100), responsive)).toBe('timeout');
+    expect(classifyFailure(new JsonRpcError('Server process exited with code 1'), { exited: true })).toBe('crashed');
+    expect(classifyFailure(new JsonRpcError('HTTP request failed: fetch failed'), { firstMessageAt: null })).toBe('crashed');
+    expect(classifyFailure(new JsonRpcError('Server not initialized', -32002), responsive)).toBe('protocol-error');
+  });
+});
+
+describe('buildHealthReport()', () => {
+  it('should collect server reports and count statuses', () => {
+    const report = buildHealthReport({
+      servers: {
+        a: { report: createServerReport({ status: 'ok', toolCount: 3 }) },
+        b: { report: createServerReport({ status: 'timeout' }) },
+        c: { tools: [] }
+      }
+    });
+    
+    expect(Object.keys(report.servers)).toEqual(['a', 'b']);
+    expect(report.summary).toEqual({ ok: 1, timeout: 1, crashed: 0, 'protocol-error': 0, 'no-tools': 0 });
+  });
+});
+
+describe('writeHealthReport()', () => {
+  let tempDir;
+  
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-health-test-'));
+  });
+  
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+  
+  it('should persist the report next to the markdown file', async () => {
+    const markdownPath = path.join(tempDir, 'docs', 'mcp_servers.md');
+    const report = buildHealthReport({ servers: { a: { report: createServerReport({ status: 'ok' }) } } });
+    
+    expect(await readHealthReport(markdownPath)).toBeNull();
+    
+    const reportPath = await writeHealthReport(markdownPath, report);
+    
+    expect(reportPath).toBe(getHealthReportPath(markdownPath));
+    expect(reportPath).toBe(path.join(tempDir, 'docs', 'mcp_servers.health.json'));
+    expect(await readHealthReport(markdownPath)).toEqual(report);
+  });
+  
+  it('should go through the document writer and skip reports that only differ in generatedAt', async () => {
+    const markdownPath = path.join(tempDir, 'mcp_servers.md');
+    const config = { generator: { backups: { count: 2, dir: path.join(tempDir, 'backups') } } };
+    const report = buildHealthReport({ servers: { a: { report: createServerReport({ status: 'ok' }) } } });
+    
+    await writeHealthReport(markdownPath, report, config);
+    await writeHealthReport(markdownPath, { ...report, generatedAt: '2030-01-01T00:00:00.000Z' }, config);
+    
+    expect((await readHealthReport(markdownPath)).generatedAt).toBe(report.generatedAt);
+    expect(await fs.pathExists(config.generator.backups.dir)).toBe(false);
+    
+    await writeHealthReport(markdownPath, { ...report, summary: { ...report.summary, ok: 0 } }, config);
+    
+    expect((await readHealthReport(markdownPath)).summary.ok).toBe(0);
+    expect(await fs.readdir(config.generator.backups.dir)).toHaveLength(1);
+  });
+});
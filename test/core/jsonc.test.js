@@ -0,0 +1,32 @@
+import { parseJsonc, JsoncParseError } from '../../src/core/jsonc.js';
+
+describe('parseJsonc()', () => {
+  it('should parse plain JSON', () => {
+    expect(parseJsonc('{"mcpServers": {"time": {"command": "uvx"}}}')).toEqual({ mcpServers: { time: { command: 'uvx' } } });
+  });
+  
+  it('should accept comments, trailing commas and a byte order mark', () => {
+    const text = '\uFEFF{\n  // Servers\n  "mcpServers": {\n    /* time */ "time": { "args": ["a", "b",], },\n  },\n}';
+    
+    expect(parseJsonc(text)).toEqual({ mcpServers: { time: { args: ['a', 'b'] } } });
+  });
+  
+  it('should report the line and column of syntax errors', () => {
+    let error;
+    try {
+      parseJsonc('{\n  "a": 1\n  "b": 2\n}', { filePath: '/tmp/mcp.json' });
+    } catch (parseError) {
+      error = parseError;
+    }
+    
+    expect(error).toBeInstanceOf(JsoncParseError);
+    expect(error.message).toMatch(/^invalid character .* at line 3, column 3$/);
+    expect(error.line).toBe(3);
+    expect(error.column).toBe(3);
+    expect(error.filePath).toBe('/tmp/mcp.json');
+  });
+  
+  it('should report unexpected end of input', () => {
+    expect(() => parseJsonc('{"a": ')).toThrow('invalid end of input at line 1, column 7');
+  });
+});
@@ -0,0 +1,123 @@
+import { LiveSessionManager, resolveLiveServers } from '../../src/core/live-sessions.js';
+import { MCPToolDiscovery } from '../../src/core/mcp-tool-discovery.js';
+
+import path from 'path';
+
+const waitFor = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('resolveLiveServers()', () => {
+  const servers = {
+    a: { command: 'node' },
+    b: { command: 'node' },
+    c: { command: 'node', disabled: true }
+  };
+
+  it('should select nothing unless live mode is enabled', () => {
+    expect(resolveLiveServers({ discovery: { live: { servers: ['a'] } } }, servers)).toEqual([]);
+    expect(resolveLiveServers({ discovery: { enabled: false, live: { enabled: true, servers: ['a'] } } }, servers)).toEqual([]);
+  });
+
+  it('should select the listed servers, or every enabled server with *', () => {
+    expect(resolveLiveServers({ discovery: { live: { enabled: true, servers: ['b', 'missing'] } } }, servers)).toEqual(['b']);
+    expect(resolveLiveServers({ discovery: { live: { enabled: true, servers: ['*'] } } }, servers)).toEqual(['a', 'b']);
+  });
+});
+
+describe('LiveSessionManager', () => {
+  let discovery;
+  let manager;
+  const mockServerPath = path.join(process.cwd(), 'test/fixtures/mock-mcp-server.js');
+  const liveServer = { command: 'node', args: [mockServerPath], env: { MOCK_MCP_MODE: 'live' } };
+  const config = {
+    discovery: {
+      enabled: true,
+      timeout: 5000,
+      live: { enabled: true, servers: ['live'], debounce: 50 }
+    }
+  };
+
+  beforeEach(() => {
+    discovery = new MCPToolDiscovery(config);
+    manager = new LiveSessionManager(config, discovery);
+
+    // Add event listeners to prevent "possible memory leak" warnings
+    for (const emitter of [discovery, manager]) {
+      emitter.on('info', () => {});
+      emitter.on('error', () => {});
+      emitter.on('warning', () => {});
+      emitter.on('debug', () => {});
+    }
+  });
+
+  afterEach(async () => {
+    await manager.closeAll();
+  });
+
+  it('should keep the session open and store its discovery result', async () => {
+    await manager.sync({ live: liveServer, other: { command: 'node', args: [mockServerPath] } });
+
+    expect(manager.getServerIds()).toEqual(['live']);
+    expect(Object.keys(discovery.getToolDetails('live'))).toEqual(['echo', 'add_numbers']);
+    expect(discovery.getReport('live').status).toBe('ok');
+  });
+
+  it('should re-list tools after notifications/tools/list_changed', async () => {
+    await manager.sync({ live: liveServer });
+    const { transport } = manager.sessions.get('live').session;
+
+    const changed = waitFor(manager, 'changed');
+    await transport.request('tools/call', { name: 'register_tool', arguments: { name: 'runtime_tool' } });
+    const change = await changed;
+
+    expect(change.serverId).toBe('live');
+    expect(change.kinds).toEqual(['tools']);
+    expect(change.result.tools.map(tool => tool.name)).toEqual(['echo', 'add_numbers', 'runtime_tool']);
+    expect(Object.keys(discovery.getToolDetails('live'))).toContain('runtime_tool');
+    // Resources were not announced as changed and are kept as they were
+    expect(discovery.getServerFeatures('live').resources).toHaveLength(1);
+  });
+
+  it('should debounce bursts of notifications into one refresh', async () => {
+    await manager.sync({ live: liveServer });
+    const { transport } = manager.sessions.get('live').session;
+    const changes = [];
+    manager.on('changed', change => changes.push(change));
+
+    await transport.request('tools/call', { name: 'register_tool', arguments: { name: 'first' } });
+    await transport.request('tools/call', { name: 'register_tool', arguments: { name: 'second' } });
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0].result.tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['first', 'second']));
+  });
+
+  it('should report teardown failures of sessions that ended on their own', async () => {
+    await manager.sync({ live: liveServer });
+    const { session } = manager.sessions.get('live');
+    const closeSession = discovery.closeSession.bind(discovery);
+    discovery.closeSession = () => Promise.reject(new Error('sandbox busy'));
+    const warnings = [];
+    manager.on('warning', warning => warnings.push(warning));
+
+    session.transport.emit('exit', 1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(manager.getServerIds()).toEqual([]);
+    expect(warnings).toContain('Failed to tear down live session for live: sandbox busy');
+    await closeSession(session);
+  });
+
+  it('should close sessions of removed servers and reopen changed ones', async () => {
+    await manager.sync({ live: liveServer });
+    const firstSession = manager.sessions.get('live').session;
+
+    await manager.sync({ live: { ...liveServer, args: [mockServerPath, '--changed'] } });
+
+    expect(firstSession.transport.exited).toBe(true);
+    expect(manager.sessions.get('live').session).not.toBe(firstSession);
+
+    await manager.sync({});
+
+    expect(manager.getServerIds()).toEqual([]);
+  });
+});
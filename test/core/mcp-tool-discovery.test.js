@@ -0,0 +1,368 @@
+import { jest } from '@jest/globals';
+import { MCPToolDiscovery, MCP_PROTOCOL_VERSION } from '../../src/core/mcp-tool-discovery.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+describe('MCPToolDiscovery', () => {
+  let discovery;
+  const mockServerPath = path.join(process.cwd(), 'test/fixtures/mock-mcp-server.js');
+  const testConfig = {
+    discovery: {
+      enabled: true,
+      timeout: 10000
+    }
+  };
+  
+  beforeEach(() => {
+    discovery = new MCPToolDiscovery(testConfig);
+    
+    // Add event listeners to prevent "possible memory leak" warnings
+    discovery.on('info', () => {});
+    discovery.on('error', () => {});
+    discovery.on('warning', () => {});
+    discovery.on('debug', () => {});
+  });
+  
+  describe('Constructor', () => {
+    it('should extend EventEmitter', () => {
+      expect(discovery).toBeInstanceOf(EventEmitter);
+    });
+  });
+  
+  describe('discoverServer()', () => {
+    it('should complete the initialize handshake before listing tools', async () => {
+      const result = await discovery.discoverServer('mock', {
+        command: 'node',
+        args: [mockServerPath]
+      });
+      
+      expect(result.tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['echo', 'add_numbers']));
+      expect(result.protocolVersion).toBe(MCP_PROTOCOL_VERSION);
+      expect(result.serverInfo).toEqual({ name: 'mock-mcp-server', version: '0.1.0' });
+      expect(result.capabilities).toEqual(expect.objectContaining({ tools: { listChanged: false } }));
+    });
+    
+    it('should record handshake metadata for getServerInfo()', async () => {
+      await discovery.discoverServer('mock', {
+        command: 'node',
+        args: [mockServerPath]
+      });
+      
+      expect(discovery.getServerInfo('mock')).toEqual(expect.objectContaining({
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        serverInfo: { name: 'mock-mcp-server', version: '0.1.0' }
+      }));
+      expect(discovery.getServerInfo('unknown')).toBeNull();
+    });
+    
+    it('should resolve as soon as the tools/list response arrives', async () => {
+      const startTime = Date.now();
+      const result = await discovery.discoverServer('mock', {
+        command: 'node',
+        args: [mockServerPath],
+        env: { MOCK_MCP_MODE: 'noise' }
+      });
+      
+      expect(result.tools.map(tool => tool.name)).toEqual(['echo', 'add_numbers']);
+      expect(result.extractionMethod).toBe('json-rpc');
+      expect(Date.now() - startTime).toBeLessThan(testConfig.discovery.timeout);
+    });
+    
+    it('should not scrape output unless legacy scrape is enabled', async () => {
+      discovery.config = { discovery: { timeout: 1000, initializeTimeout: 200 } };
+      
+      const result = await discovery.discoverServer('legacy', {
+        command: 'node',
+        args: [mockServerPath],
+        env: { MOCK_MCP_MODE: 'legacy' }
+      });
+      
+      expect(result.tools).toEqual([]);
+      expect(result.extractionMethod).toBeNull();
+    });
+    
+    it('should report tools found by legacy scraping as such', async () => {
+      discovery.config = { discovery: { timeout: 1000, initializeTimeout: 200, legacyScrape: true } };
+      
+      const result = await discovery.discoverServer('legacy', {
+        command: 'node',
+        args: [mockServerPath],
+        env: { MOCK_MCP_MODE: 'legacy' }
+      });
+      
+      expect(result.tools.map(tool => tool.name)).toEqual(['legacy_tool']);
+      expect(result.extractionMethod).toBe('legacy-scrape');
+      expect(result.report).toEqual(expect.objectContaining({
+        status: 'ok',
+        error: null,
+        warning: expect.stringContaining('timed out')
+      }));
+    });
+    
+    it('should capture full tool metadata from tools/list', async () => {
+      const result = await discovery.discoverServer('mock', {
+        command: 'node',
+        args: [mockServerPath]
+      });
+      
+      const echo = result.tools.find(tool => tool.name === 'echo');
+      expect(echo.description).toBe('Echoes the provided message back to the caller.');
+      expect(echo.inputSchema.required).toEqual(['message']);
+      expect(echo.annotations).toEqual({ readOnlyHint: true });
+      expect(discovery.getToolDetails('mock').echo).toBe(echo);
+    });
+    
+    it('should list resources, resource templates and prompts when advertised', async () => {
+      await discovery.discoverServer('mock', {
+        command: 'node',
+        args: [mockServerPath]
+      });
+      
+      const features = discovery.getServerFeatures('mock');
+      expect(features.resources).toEqual([expect.objectContaining({
+        uri: 'file:///notes/todo.txt',
+        mimeType: 'text/plain'
+      })]);
+      expect(features.resourceTemplates).toEqual([expect.objectContaining({
+        uriTemplate: 'file:///notes/{name}'
+      })]);
+      expect(features.prompts[0].arguments).toEqual([
+        { name: 'text', description: 'Text to summarize', required: true },
+        { name: 'style', description: null, required: false }
+      ]);
+    });
+    
+    it('should follow nextCursor across tools/list pages', async () => {
+      const result = await discovery.discoverServer('paged', {
+        command: 'node',
+        args: [mockServerPath],
+        env: { MOCK_MCP_TOOL_COUNT: '8', MOCK_MCP_PAGE_SIZE: '3' }
+      });
+      
+      expect(result.tools).toHaveLength(10);
+      expect(result.tools[9].name).toBe('generated_tool_7');
+      expect(result.truncated).toEqual([]);
+    });
+    
+    it('should stop at the page cap and warn about truncation', async () => {
+      discovery.config = { discovery: { timeout: 10000, maxPages: 2 } };
+      const warnings = [];
+      discovery.on('warning', (message) => warnings.push(message));
+      
+      const result = await discovery.discoverServer('paged', {
+        command: 'node',
+        args: [mockServerPath],
+        env: { MOCK_MCP_TOOL_COUNT: '8', MOCK_MCP_PAGE_SIZE: '3' }
+      });
+      
+      expect(result.tools).toHaveLength(6);
+      expect(result.truncated).toEqual(['tools/list']);
+      expect(warnings).toContainEqual(expect.stringContaining('truncated after 2 pages'));
+    });
+    
+    it('should return an empty result when no command is defined', async () => {
+      const result = await discovery.discoverServer('broken', {});
+      
+      expect(result.tools).toEqual([]);
+      expect(result.protocolVersion).toBeNull();
+    });
+  });
+  
+  describe('stale results', () => {
+    const config = { command: 'node', args: [mockServerPath] };
+    const changed = { command: 'node', args: ['-e', 'process.exit(1)'] };
+    
+    it('should not report results of a previous launch configuration after a failed rediscovery', async () => {
+      await discovery.discoverServer('mock', config);
+      expect(discovery.getServerInfo('mock', config)).not.toBeNull();
+      
+      await discovery.discoverServer('mock', changed);
+      
+      expect(discovery.getToolDetails('mock', changed)).toEqual({});
+      expect(discovery.getServerInfo('mock', changed)).toBeNull();
+      expect(discovery.getServerFeatures('mock', changed)).toEqual({ resources: [], resourceTemplates: [], prompts: [] });
+      expect(discovery.getToolDetails('mock')).toEqual({});
+    });
+    
+    it('should ignore results of another launch configuration for servers that were never rediscovered', async () => {
+      await discovery.discoverServer('mock', config);
+      
+      expect(Object.keys(discovery.getToolDetails('mock', config))).toContain('echo');
+      expect(discovery.getToolDetails('mock', changed)).toEqual({});
+      expect(discovery.getServerInfo('mock', changed)).toBeNull();
+    });
+  });
+  
+  describe('getReport()', () => {
+    it('should report a successful session with timing and extraction method', async () => {
+      await discovery.discoverServer('mock', { command: 'node', args: [mockServerPath] });
+      
+      const report = discovery.getReport('mock');
+      expect(report).toEqual(expect.objectContaining({
+        status: 'ok',
+        transport: 'stdio',
+        extractionMethod: 'json-rpc',
+        toolCount: 2,
+        error: null
+      }));
+      expect(report.timeToFirstResponseMs).toBeGreaterThanOrEqual(0);
+      expect(report.stderrTail).toContain('mock-mcp-server starting');
+    });
+    
+    it('should tear the server down before settling when aborted', async () => {
+      discovery.config = { discovery: { timeout: 10000, initializeTimeout: 5000, legacyScrape: true } };
+      const closeSession = discovery.closeSession.bind(discovery);
+      let exitedOnClose = null;
+      discovery.closeSession = async (session) => {
+        await closeSession(session);
+        exitedOnClose = session.transport.exited;
+      };
+      
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(new Error('Global deadline exceeded')), 200);
+      const startedAt = Date.now();
+      
+      const result = await discovery.discoverServer('legacy', {
+        command: 'node',
+        args: [mockServerPath],
+        env: { MOCK_MCP_MODE: 'legacy' }
+      }, { signal: controller.signal });
+      
+      expect(Date.now() - startedAt).toBeLessThan(4000);
+      expect(exitedOnClose).toBe(true);
+      expect(result.tools).toEqual([]);
+      expect(discovery.getToolDetails('legacy')).toEqual({});
+    });
+    
+    it('should report a server that never answers as timed out', async () => {
+      discovery.config = { discovery: { timeout: 1000, initializeTimeout: 200 } };
+      
+      await discovery.discoverServer('legacy', {
+        command: 'node',
+        args: [mockServerPath],
+        env: { MOCK_MCP_MODE: 'legacy' }
+      });
+      
+      expect(discovery.getReport('legacy')).toEqual(expect.objectContaining({
+        status: 'timeout',
+        timeToFirstResponseMs: null
+      }));
+    });
+    
+    it('should report a server that exits as crashed with its exit code and stderr', async () => {
+      await discovery.discoverServer('broken', {
+        command: 'node',
+        args: ['-e', "console.error('missing API key'); process.exit(3)"]
+      });
+      
+      expect(discovery.getReport('broken')).toEqual(expect.objectContaining({
+        status: 'crashed',
+        exitCode: 3,
+        stderrTail: 'missing API key'
+      }));
+    });
+    
+    it('should report servers that list no tools', async () => {
+      await discovery.discoverServer('empty', {
+        command: 'node',
+        args: [mockServerPath],
+        env: { MOCK_MCP_MODE: 'empty' }
+      });
+      
+      expect(discovery.getReport('empty')).toEqual(expect.objectContaining({
+        status: 'no-tools',
+        extractionMethod: 'json-rpc'
+      }));
+      expect(discovery.getReport('unknown')).toBeNull();
+    });
+  });
+  
+  describe('sandbox', () => {
+    it('should launch servers with a scrubbed environment in a temporary directory', async () => {
+      process.env.MCP_TEST_SECRET = 'leaked';
+      
+      try {
+        const launch = await discovery.prepareStdioLaunch('mock', {
+          command: 'node',
+          args: [mockServerPath],
+          env: { MOCK_MCP_MODE: 'noise' }
+        });
+        
+        expect(launch.env.MCP_TEST_SECRET).toBeUndefined();
+        expect(launch.env.MOCK_MCP_MODE).toBe('noise');
+        expect(launch.env.NODE_ENV).toBeUndefined();
+        expect(launch.cwd).toBe(launch.sandboxDir);
+        expect(await fs.pathExists(launch.sandboxDir)).toBe(true);
+        
+        await fs.remove(launch.sandboxDir);
+      } finally {
+        delete process.env.MCP_TEST_SECRET;
+      }
+    });
+    
+    it('should keep the working directory of servers launched with relative paths', async () => {
+      const launch = await discovery.prepareStdioLaunch('mock', {
+        command: 'node',
+        args: ['./test/fixtures/mock-mcp-server.js']
+      });
+      
+      expect(launch.cwd).toBeNull();
+      expect(launch.sandboxDir).toBeNull();
+    });
+    
+    it('should respect a server cwd and per-server profile overrides', async () => {
+      discovery.config = {
+        discovery: {
+          sandbox: { servers: { mock: { enabled: false, discoveryHints: true } } }
+        }
+      };
+      
+      const launch = await discovery.prepareStdioLaunch('mock', { command: 'node', cwd: os.tmpdir() });
+      
+      expect(launch.cwd).toBe(os.tmpdir());
+      expect(launch.sandboxDir).toBeNull();
+      expect(launch.env.PATH).toBe(process.env.PATH);
+      expect(launch.args).toEqual(['--list-functions', '--discovery']);
+    });
+  });
+  
+  describe('persistent cache', () => {
+    let tempDir;
+    
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-discovery-cache-'));
+    });
+    
+    afterEach(async () => {
+      await fs.remove(tempDir);
+    });
+    
+    it('should reuse persisted results until the launch fingerprint changes', async () => {
+      const config = {
+        discovery: {
+          timeout: 10000,
+          cache: { path: path.join(tempDir, 'cache.json') }
+        }
+      };
+      const serverConfig = { command: 'node', args: [mockServerPath] };
+      
+      const first = new MCPToolDiscovery(config);
+      first.on('error', () => {});
+      await first.discoverServer('mock', serverConfig);
+      
+      const second = new MCPToolDiscovery(config);
+      const querySpy = jest.spyOn(second, 'queryServerForTools');
+      const cached = await second.discoverServer('mock', serverConfig);
+      
+      expect(querySpy).not.toHaveBeenCalled();
+      expect(cached.tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['echo', 'add_numbers']));
+      
+      second.on('error', () => {});
+      await second.discoverServer('mock', { ...serverConfig, env: { MOCK_MCP_TOOL_COUNT: '1' } });
+      expect(querySpy).toHaveBeenCalledTimes(1);
+    });
+  });
+});
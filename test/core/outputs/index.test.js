@@ -0,0 +1,144 @@
+import {
+  buildCatalog,
+  maskPairs,
+  getOutput,
+  listOutputs,
+  registerOutput,
+  writeOutputs
+} from '../../../src/core/outputs/index.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+
+const data = {
+  servers: {
+    github: {
+      id: 'github',
+      client: 'cline',
+      source: 'default',
+      transport: 'stdio',
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-github'],
+      url: null,
+      headers: {},
+      env: { GITHUB_TOKEN: 'ghp_secret', REGION: 'eu' },
+      autoApprove: ['search_repositories'],
+      unresolved: [],
+      tools: ['create_issue', 'search_repositories'],
+      toolDetails: {
+        create_issue: { name: 'create_issue', description: 'Create an issue, "quickly"', inputSchema: { type: 'object' } }
+      }
+    }
+  },
+  disabledServers: {
+    time: { id: 'time', command: 'uvx', args: [], env: {}, headers: {}, autoApprove: [], disabled: true, tools: ['now'], toolDetails: {}, lastKnown: null }
+  }
+};
+const settings = {
+  mcpServers: {},
+  sources: [{ name: 'default', path: '/home/me/cline_mcp_settings.json', format: 'cline', servers: ['github', 'time'] }]
+};
+
+describe('buildCatalog()', () => {
+  it('should list enabled and disabled servers with masked credentials', () => {
+    const catalog = buildCatalog(data, settings);
+    
+    expect(catalog.schemaVersion).toBe(1);
+    expect(catalog.sources[0].servers).toEqual(['github', 'time']);
+    expect(catalog.servers.map(server => [server.id, server.disabled])).toEqual([['github', false], ['time', true]]);
+    expect(catalog.servers[0].env).toEqual({ GITHUB_TOKEN: '********', REGION: 'eu' });
+    expect(catalog.servers[0].tools).toEqual([
+      expect.objectContaining({ name: 'create_issue', description: 'Create an issue, "quickly"', autoApproved: false, inputSchema: { type: 'object' } }),
+      expect.objectContaining({ name: 'search_repositories', description: null, autoApproved: true })
+    ]);
+  });
+  
+  it('should keep placeholders unmasked', () => {
+    expect(maskPairs({ API_KEY: '${input:api-key}', Authorization: 'Bearer abc' }))
+      .toEqual({ API_KEY: '${input:api-key}', Authorization: '********' });
+  });
+  
+  it('should mask cookies and other credential headers', () => {
+    expect(maskPairs({ Cookie: 'session=abc', 'X-Auth-User': 'me', DB_PASSWD: 'pw', 'X-Team': 'docs' }))
+      .toEqual({ Cookie: '********', 'X-Auth-User': '********', DB_PASSWD: '********', 'X-Team': 'docs' });
+  });
+});
+
+describe('renderers', () => {
+  const catalog = buildCatalog(data, settings, { describeTool: toolName => `About ${toolName}` });
+  
+  it('should render a JSON catalog that refers to its schema', () => {
+    const json = JSON.parse(getOutput('json').render(catalog));
+    
+    expect(json.$schema).toBe('./mcp-catalog.schema.json');
+    expect(json.servers[0].tools[1].description).toBe('About search_repositories');
+  });
+  
+  it('should render YAML with the same content', () => {
+    expect(YAML.parse(getOutput('yaml').render(catalog))).toEqual(catalog);
+  });
+  
+  it('should render a CSV row per tool', () => {
+    expect(getOutput('csv').render(catalog)).toBe(
+      'server,tool,autoApproved\r\n' +
+      'github,create_issue,false\r\n' +
+      'github,search_repositories,true\r\n' +
+      'time,now,false\r\n'
+    );
+  });
+  
+  it('should render a standalone HTML page with escaped text', () => {
+    const html = getOutput('html').render(buildCatalog(data, settings));
+    
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<style>');
+    expect(html).toContain('<section id="server-github">');
+    expect(html).toContain('Create an issue, &quot;quickly&quot;');
+    expect(html).toContain('<span class="badge">disabled</span>');
+    expect(html).not.toContain('ghp_secret');
+  });
+});
+
+describe('writeOutputs()', () => {
+  let tempDir;
+  
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-outputs-'));
+  });
+  
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+  
+  it('should write each configured output and the JSON schema', async () => {
+    const config = {
+      paths: {
+        outputs: {
+          json: path.join(tempDir, 'catalog', 'servers.json'),
+          csv: path.join(tempDir, 'servers.csv'),
+          yaml: '',
+          pdf: path.join(tempDir, 'servers.pdf')
+        }
+      }
+    };
+    
+    const { written, unknown } = await writeOutputs(data, settings, config);
+    
+    expect(written.map(output => output.id)).toEqual(['json', 'csv']);
+    expect(unknown).toEqual(['pdf']);
+    expect(await fs.pathExists(path.join(tempDir, 'catalog', 'mcp-catalog.schema.json'))).toBe(true);
+    expect(await fs.readFile(path.join(tempDir, 'servers.csv'), 'utf8')).toContain('github,search_repositories,true');
+    expect(await fs.pathExists(path.join(tempDir, 'servers.pdf'))).toBe(false);
+  });
+  
+  it('should write registered renderers', async () => {
+    registerOutput({ id: 'txt', label: 'Text', render: catalog => catalog.servers.map(server => server.id).join('\n') });
+    
+    await writeOutputs(data, settings, { paths: { outputs: { txt: path.join(tempDir, 'servers.txt') } } });
+    
+    expect(listOutputs()[0]).toEqual({ id: 'txt', label: 'Text' });
+    expect(await fs.readFile(path.join(tempDir, 'servers.txt'), 'utf8')).toBe('github\ntime');
+  });
+});
@@ -33,12 +33,219 @@ describe('MCPSettingsParser', () => {
       expect(parser.getToolDescription('get_scene_info')).toBe('Retrieves detailed information about the current Blender scene.');
     });
 
+    it('should prefer the description discovered from the server', () => {
+      const toolDetails = { name: 'sleep', description: 'Sleeps for the given duration.' };
+      expect(parser.getToolDescription('sleep', toolDetails)).toBe('Sleeps for the given duration.');
+      expect(parser.getToolDescription('sleep', { name: 'sleep', description: null }))
+        .toBe('Pauses execution for a specified number of milliseconds, useful for implementing delays in automated workflows.');
+    });
+
     it('should return "No description available" for unknown tools', () => {
       const unknownTool = 'non_existent_tool';
       expect(parser.getToolDescription(unknownTool)).toBe('No description available.');
     });
   });
 
+  describe('extractServerInfoWithDiscovery()', () => {
+    const mcpSettings = {
+      mcpServers: {
+        'fast-server': { command: 'node', autoApprove: ['fast_tool'] },
+        'hung-server': { command: 'node', autoApprove: ['hung_tool'] },
+        'off-server': { command: 'node', disabled: true }
+      }
+    };
+    
+    beforeEach(() => {
+      parser.on('info', () => {});
+      parser.on('warning', () => {});
+    });
+    
+    it('should report each server result and timing independently', async () => {
+      parser.config = { discovery: { concurrency: 2, deadline: 200 } };
+      parser.discoverToolsForServer = jest.fn().mockImplementation((serverId, serverConfig, { signal }) => {
+        if (serverId === 'hung-server') {
+          return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+        }
+        return Promise.resolve(['fast_tool', 'extra_tool']);
+      });
+      
+      const result = await parser.extractServerInfoWithDiscovery(mcpSettings);
+      
+      expect(Object.keys(result.servers)).toEqual(['fast-server', 'hung-server']);
+      expect(result.servers['fast-server'].tools).toEqual(['fast_tool', 'extra_tool']);
+      expect(result.servers['fast-server'].discovery.status).toBe('ok');
+      expect(result.servers['hung-server'].tools).toEqual(['hung_tool']);
+      expect(result.servers['hung-server'].discovery.status).toBe('timeout');
+      expect(result.servers['hung-server'].discovery.durationMs).toBeGreaterThanOrEqual(150);
+      expect(result.servers['hung-server'].report).toEqual(expect.objectContaining({
+        status: 'timeout',
+        error: 'Discovery deadline reached'
+      }));
+    });
+    
+    it('should collect prompted inputs once before the deadline starts', async () => {
+      parser.config = { discovery: { concurrency: 2, deadline: 100 } };
+      const order = [];
+      parser.toolDiscovery.variables.promptInputs = jest.fn().mockImplementation(async () => {
+        order.push('prompt');
+        await new Promise(resolve => setTimeout(resolve, 200));
+      });
+      parser.discoverToolsForServer = jest.fn().mockImplementation(async (serverId) => {
+        order.push(serverId);
+        return [`${serverId}_tool`];
+      });
+      
+      const result = await parser.extractServerInfoWithDiscovery(mcpSettings);
+      
+      expect(parser.toolDiscovery.variables.promptInputs).toHaveBeenCalledTimes(1);
+      expect(parser.toolDiscovery.variables.promptInputs).toHaveBeenCalledWith([
+        mcpSettings.mcpServers['fast-server'],
+        mcpSettings.mcpServers['hung-server']
+      ]);
+      expect(order).toEqual(['prompt', 'fast-server', 'hung-server']);
+      expect(result.servers['hung-server'].discovery.status).toBe('ok');
+    });
+    
+    it('should reuse previous results for servers listed in options.reuse', async () => {
+      parser.config = { discovery: { concurrency: 2, deadline: 1000 } };
+      parser.discoverToolsForServer = jest.fn().mockResolvedValue(['hung_tool']);
+      
+      const previous = {
+        servers: {
+          'fast-server': {
+            id: 'fast-server',
+            autoApprove: ['fast_tool'],
+            tools: ['fast_tool', 'extra_tool'],
+            toolDetails: { fast_tool: { name: 'fast_tool' }, extra_tool: { name: 'extra_tool' } },
+            discovery: { status: 'ok', durationMs: 10 },
+            report: { status: 'ok', error: null }
+          }
+        }
+      };
+      const settings = {
+        mcpServers: {
+          ...mcpSettings.mcpServers,
+          'fast-server': { command: 'node', autoApprove: ['approved_tool'] }
+        }
+      };
+      
+      const result = await parser.extractServerInfoWithDiscovery(settings, {
+        previous,
+        reuse: ['fast-server']
+      });
+      
+      expect(parser.discoverToolsForServer).toHaveBeenCalledTimes(1);
+      expect(parser.discoverToolsForServer).toHaveBeenCalledWith('hung-server', expect.any(Object), { signal: expect.any(AbortSignal) });
+      expect(result.servers['fast-server'].tools).toEqual(['approved_tool', 'extra_tool', 'fast_tool']);
+      expect(result.servers['fast-server'].autoApprove).toEqual(['approved_tool']);
+      expect(result.servers['fast-server'].discovery).toEqual({ status: 'ok', durationMs: 10, reused: true });
+    });
+    
+    it('should drop autoApprove entries removed since the previous run from reused results', async () => {
+      parser.config = { discovery: { concurrency: 2, deadline: 1000 } };
+      parser.discoverToolsForServer = jest.fn().mockResolvedValue(['hung_tool']);
+      
+      const previous = {
+        servers: {
+          'fast-server': {
+            id: 'fast-server',
+            autoApprove: ['fast_tool', 'old_tool'],
+            tools: ['fast_tool', 'old_tool'],
+            toolDetails: {},
+            discovery: { status: 'ok', durationMs: 10 },
+            report: { status: 'ok', error: null }
+          }
+        }
+      };
+      
+      const result = await parser.extractServerInfoWithDiscovery(mcpSettings, {
+        previous,
+        reuse: ['fast-server']
+      });
+      
+      expect(result.servers['fast-server'].discovery.reused).toBe(true);
+      expect(result.servers['fast-server'].tools).toEqual(['fast_tool']);
+    });
+    
+    it('should re-probe servers whose previous discovery failed', async () => {
+      parser.config = { discovery: { concurrency: 2, deadline: 1000 } };
+      parser.discoverToolsForServer = jest.fn().mockResolvedValue(['fast_tool']);
+      
+      const previous = {
+        servers: {
+          'fast-server': {
+            id: 'fast-server',
+            autoApprove: ['fast_tool'],
+            tools: ['fast_tool'],
+            toolDetails: {},
+            // The pool settled with the autoApprove fallback, the server itself crashed
+            discovery: { status: 'ok', durationMs: 10 },
+            report: { status: 'crashed', error: 'spawn node ENOENT' }
+          }
+        }
+      };
+      
+      const result = await parser.extractServerInfoWithDiscovery(mcpSettings, {
+        previous,
+        reuse: ['fast-server']
+      });
+      
+      expect(parser.discoverToolsForServer).toHaveBeenCalledWith('fast-server', expect.any(Object), { signal: expect.any(AbortSignal) });
+      expect(result.servers['fast-server'].discovery.reused).toBeUndefined();
+    });
+  });
+
+  describe('extractDisabledServers()', () => {
+    it('should document disabled servers from their last known result without launching them', async () => {
+      const cachedAt = new Date('2024-05-01T10:00:00Z');
+      parser.toolDiscovery.getLastKnownResult = jest.fn().mockImplementation(async (serverId) =>
+        serverId === 'off-server'
+          ? { result: { tools: [{ name: 'zeta' }, { name: 'alpha', description: 'First tool' }] }, cachedAt }
+          : null);
+      parser.discoverToolsForServer = jest.fn();
+      
+      const servers = await parser.extractDisabledServers({
+        mcpServers: {
+          'on-server': { command: 'node' },
+          'off-server': { command: 'node', disabled: true },
+          'new-server': { command: 'uvx', disabled: true, autoApprove: ['approved_tool'] }
+        }
+      });
+      
+      expect(Object.keys(servers)).toEqual(['off-server', 'new-server']);
+      expect(servers['off-server'].tools).toEqual(['alpha', 'zeta']);
+      expect(servers['off-server'].toolDetails.alpha.description).toBe('First tool');
+      expect(servers['off-server'].lastKnown).toEqual({ discoveredAt: '2024-05-01T10:00:00.000Z' });
+      expect(servers['new-server'].tools).toEqual(['approved_tool']);
+      expect(servers['new-server'].lastKnown).toBeNull();
+      expect(parser.discoverToolsForServer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshServerInfo()', () => {
+    it('should rebuild tools and features from the refreshed discovery result', () => {
+      parser.toolDiscovery.getToolDetails = jest.fn().mockReturnValue({ new_tool: { name: 'new_tool' } });
+      parser.toolDiscovery.getServerFeatures = jest.fn().mockReturnValue({ resources: [], resourceTemplates: [], prompts: [] });
+      parser.toolDiscovery.getReport = jest.fn().mockReturnValue({ status: 'ok', toolCount: 1 });
+      
+      const previousEntry = {
+        id: 'live-server',
+        command: 'node',
+        tools: ['old_tool'],
+        toolDetails: { old_tool: { name: 'old_tool' } },
+        discovery: { status: 'ok', durationMs: 10 }
+      };
+      
+      const entry = parser.refreshServerInfo(previousEntry, { command: 'node', autoApprove: ['approved_tool'] });
+      
+      expect(entry.tools).toEqual(['approved_tool', 'new_tool']);
+      expect(entry.toolDetails).toEqual({ new_tool: { name: 'new_tool' } });
+      expect(entry.command).toBe('node');
+      expect(entry.discovery).toEqual({ status: 'ok', durationMs: 10, live: true });
+      expect(entry.report.toolCount).toBe(1);
+    });
+  });
+
   describe('parse()', () => {
     const testSettingsPath = path.join(process.cwd(), 'test/fixtures/mcp-settings.json');
     
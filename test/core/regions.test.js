@@ -0,0 +1,44 @@
+import {
+  regionMarkers,
+  wrapRegion,
+  hasRegions,
+  parseRegions,
+  mergeRegions,
+  RegionError
+} from '../../src/core/regions.js';
+
+describe('parseRegions()', () => {
+  it('should keep the document byte for byte', () => {
+    const content = 'Intro\r\n\r\n<!-- mcp-watcher:begin server=a -->\r\n## a\r\n<!-- mcp-watcher:end server=a -->\r\nNotes';
+    const chunks = parseRegions(content);
+    
+    expect(chunks.map(chunk => chunk.type)).toEqual(['text', 'region', 'text']);
+    expect(chunks[1]).toMatchObject({ kind: 'server', id: 'a' });
+    expect(chunks.map(chunk => chunk.text).join('')).toBe(content);
+  });
+  
+  it('should report nested, unclosed and unmatched markers', () => {
+    const { begin, end } = regionMarkers('server', 'a');
+    
+    expect(() => parseRegions(`${begin}\n${begin}\n`)).toThrow('Region server=a starts inside region server=a (line 2)');
+    expect(() => parseRegions(`x\n${begin}\n`)).toThrow('Region server=a is not closed (line 2)');
+    expect(() => parseRegions(`${end}\n`)).toThrow(RegionError);
+  });
+});
+
+describe('mergeRegions()', () => {
+  const region = (id, body) => ({ kind: 'server', id, text: wrapRegion('server', id, body) });
+  
+  it('should replace, drop and insert regions around the user content', () => {
+    const content = `Intro\n\n${wrapRegion('server', 'a', 'old a\n')}\n${wrapRegion('server', 'gone', 'old\n')}\nNote\n`;
+    
+    const merged = mergeRegions(parseRegions(content), [region('a', 'new a\n'), region('b', 'b\n')]);
+    
+    expect(merged).toBe(`Intro\n\n${wrapRegion('server', 'a', 'new a\n')}\n${wrapRegion('server', 'b', 'b\n')}\nNote\n`);
+  });
+  
+  it('should append regions to a document without any', () => {
+    expect(hasRegions('# Notes')).toBe(false);
+    expect(mergeRegions(parseRegions('# Notes'), [region('a', 'a\n')])).toBe(`# Notes\n\n${wrapRegion('server', 'a', 'a\n')}`);
+  });
+});
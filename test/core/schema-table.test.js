@@ -0,0 +1,79 @@
+import { flattenSchema, buildParameterTable } from '../../src/core/schema-table.js';
+
+describe('flattenSchema()', () => {
+  it('should list properties with their type, required flag, default and description', () => {
+    const parameters = flattenSchema({
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string', description: 'Search text' },
+        sort: { type: 'string', enum: ['stars', 'updated'], default: 'stars' },
+        limit: { type: ['integer', 'null'] },
+        tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } },
+        value: { anyOf: [{ type: 'string' }, { type: 'number' }] }
+      }
+    });
+    
+    expect(parameters).toEqual([
+      { name: 'query', type: 'string', values: null, required: true, default: undefined, description: 'Search text' },
+      { name: 'sort', type: 'string', values: ['stars', 'updated'], required: false, default: 'stars', description: '' },
+      { name: 'limit', type: 'integer or null', values: null, required: false, default: undefined, description: '' },
+      { name: 'tags', type: 'string[]', values: ['a', 'b'], required: false, default: undefined, description: '' },
+      { name: 'value', type: 'string or number', values: null, required: false, default: undefined, description: '' }
+    ]);
+  });
+  
+  it('should flatten nested objects and arrays of objects with dotted paths', () => {
+    const parameters = flattenSchema({
+      type: 'object',
+      $defs: {
+        Label: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+      },
+      properties: {
+        options: { type: 'object', required: ['draft'], properties: { draft: { type: 'boolean', default: false } } },
+        labels: { type: 'array', items: { $ref: '#/$defs/Label' } }
+      }
+    });
+    
+    expect(parameters.map(({ name, type, required }) => [name, type, required])).toEqual([
+      ['options', 'object', false],
+      ['options.draft', 'boolean', true],
+      ['labels', 'object[]', false],
+      ['labels[].name', 'string', true]
+    ]);
+  });
+  
+  it('should stop at recursive references', () => {
+    const parameters = flattenSchema({
+      $defs: { Node: { type: 'object', properties: { child: { $ref: '#/$defs/Node' } } } },
+      $ref: '#/$defs/Node'
+    });
+    
+    expect(parameters.map(parameter => parameter.name)).toEqual([
+      'child', 'child.child', 'child.child.child', 'child.child.child.child', 'child.child.child.child.child'
+    ]);
+  });
+});
+
+describe('buildParameterTable()', () => {
+  it('should format markdown cells and escape pipes', () => {
+    const table = buildParameterTable({
+      type: 'object',
+      properties: { mode: { type: 'string', enum: ['a|b', 'c'], default: 'c', description: 'Pick\n  one | other' } }
+    });
+    
+    expect(table).toEqual({
+      rows: [{ name: '`mode`', type: 'string: `a\\|b`, `c`', required: '', default: '`c`', description: 'Pick one \\| other' }],
+      count: 1,
+      collapsed: false
+    });
+  });
+  
+  it('should collapse long tables and skip schemas without properties', () => {
+    const properties = Object.fromEntries(Array.from({ length: 9 }, (_, i) => [`p${i}`, { type: 'string' }]));
+    
+    expect(buildParameterTable({ type: 'object', properties }).collapsed).toBe(true);
+    expect(buildParameterTable({ type: 'object', properties }, { collapseAfter: 10 }).collapsed).toBe(false);
+    expect(buildParameterTable({ type: 'object' })).toBeNull();
+  });
+});
@@ -0,0 +1,14 @@
+import { isSecretKey } from '../../src/core/secrets.js';
+
+describe('isSecretKey()', () => {
+  it('should recognise credential variables and headers', () => {
+    const keys = ['API_KEY', 'GITHUB_TOKEN', 'CLIENT_SECRET', 'DB_PASSWORD', 'DB_PASSWD', 'Authorization',
+      'X-Auth-User', 'GOOGLE_APPLICATION_CREDENTIALS', 'Cookie'];
+    
+    expect(keys.filter(key => !isSecretKey(key))).toEqual([]);
+  });
+  
+  it('should leave ordinary settings alone', () => {
+    expect(['REGION', 'LOG_LEVEL', 'X-Team', 'Accept'].filter(isSecretKey)).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+import { diffServers, diffServerConfigs, requiresRediscovery } from '../../src/core/settings-diff.js';
+
+describe('diffServers()', () => {
+  const previous = {
+    github: { command: 'npx', args: ['-y', 'server-github'], autoApprove: ['list_issues'] },
+    time: { command: 'uvx', args: ['mcp-server-time'] },
+    fetch: { command: 'uvx', args: ['mcp-server-fetch'] },
+    paused: { command: 'node', args: ['paused.js'], disabled: true }
+  };
+  
+  it('should report every server as added on the first run', () => {
+    expect(diffServers(null, previous)).toEqual({
+      added: ['github', 'time', 'fetch'],
+      removed: [],
+      changed: [],
+      unchanged: []
+    });
+  });
+  
+  it('should group servers into added, removed, changed and unchanged', () => {
+    const current = {
+      github: { ...previous.github, autoApprove: ['list_issues', 'create_issue'] },
+      time: { args: ['mcp-server-time'], command: 'uvx' },
+      paused: { command: 'node', args: ['paused.js'] },
+      memory: { command: 'npx', args: ['-y', 'server-memory'] }
+    };
+    
+    expect(diffServers(previous, current)).toEqual({
+      added: ['paused', 'memory'],
+      removed: ['fetch'],
+      changed: ['github'],
+      unchanged: ['time']
+    });
+  });
+  
+  it('should treat a newly disabled server as removed', () => {
+    const current = { ...previous, time: { ...previous.time, disabled: true } };
+    
+    expect(diffServers(previous, current).removed).toEqual(['time']);
+  });
+});
+
+describe('requiresRediscovery()', () => {
+  const serverConfig = { command: 'npx', args: ['-y', 'server-github'], env: { TOKEN: 'a' }, autoApprove: ['list_issues'] };
+  
+  it('should ignore documentation-only changes', () => {
+    expect(requiresRediscovery(serverConfig, { ...serverConfig, autoApprove: [] })).toBe(false);
+    expect(requiresRediscovery(serverConfig, { ...serverConfig, source: 'project', client: 'cursor' })).toBe(false);
+  });
+  
+  it('should require rediscovery when the launch configuration changes', () => {
+    expect(requiresRediscovery(serverConfig, { ...serverConfig, env: { TOKEN: 'b' } })).toBe(true);
+    expect(requiresRediscovery(serverConfig, { ...serverConfig, args: ['-y', 'server-github@1.0.0'] })).toBe(true);
+    expect(requiresRediscovery(undefined, serverConfig)).toBe(true);
+  });
+});
+
+describe('diffServerConfigs()', () => {
+  it('should list the keys two definitions differ in, ignoring source metadata', () => {
+    const first = { command: 'npx', args: ['-y', 'server-github'], env: { TOKEN: 'a' }, source: 'cline', client: 'cline' };
+    const second = { args: ['-y', 'server-github'], command: 'npx', env: { TOKEN: 'b' }, disabled: true, source: 'desktop', client: 'claude-desktop' };
+    
+    expect(diffServerConfigs(first, second)).toEqual(['disabled', 'env']);
+    expect(diffServerConfigs(first, { ...first, source: 'other' })).toEqual([]);
+  });
+});
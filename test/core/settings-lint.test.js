@@ -0,0 +1,139 @@
+import {
+  toPointer,
+  lintSettings,
+  findDuplicateTools,
+  summarizeDiagnostics,
+  lintSettingsSources
+} from '../../src/core/settings-lint.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const discovered = (toolNames, extra = {}) => ({
+  discovery: { status: 'ok' },
+  toolDetails: Object.fromEntries(toolNames.map(name => [name, { name }])),
+  ...extra
+});
+
+describe('toPointer()', () => {
+  it('should escape ~ and / in keys', () => {
+    expect(toPointer('mcpServers', 'github.com/a~b', 'args', 0)).toBe('/mcpServers/github.com~1a~0b/args/0');
+  });
+});
+
+describe('lintSettings()', () => {
+  it('should accept valid entries', () => {
+    const settings = {
+      mcpServers: {
+        local: { command: 'node', args: ['server.js'], env: { KEY: 'value' }, autoApprove: [], disabled: false },
+        remote: { url: 'https://example.com/mcp', headers: { Authorization: 'Bearer x' } }
+      }
+    };
+    
+    expect(lintSettings(settings)).toEqual([]);
+  });
+  
+  it('should report missing commands, wrong types and unknown keys', () => {
+    const settings = {
+      mcpServers: {
+        broken: { args: 'server.js', autoapprove: ['read'], env: { PORT: 8080 } },
+        other: 'node server.js'
+      }
+    };
+    
+    expect(lintSettings(settings)).toEqual([
+      { severity: 'error', code: 'missing-command', message: 'Server broken needs a command or a url', pointer: '/mcpServers/broken', serverId: 'broken' },
+      { severity: 'error', code: 'invalid-type', message: 'args of server broken must be an array of strings', pointer: '/mcpServers/broken/args', serverId: 'broken' },
+      { severity: 'warning', code: 'unknown-key', message: 'Unknown key autoapprove in server broken, did you mean autoApprove?', pointer: '/mcpServers/broken/autoapprove', serverId: 'broken' },
+      { severity: 'error', code: 'invalid-type', message: 'env of server broken must be an object of strings', pointer: '/mcpServers/broken/env', serverId: 'broken' },
+      { severity: 'error', code: 'invalid-server', message: 'Server other must be an object', pointer: '/mcpServers/other', serverId: 'other' }
+    ]);
+  });
+  
+  it('should use the layout of the settings format for pointers and keys', () => {
+    expect(lintSettings({ mcp: { servers: { time: { type: 'stdio', commmand: 'uvx' } } } }, { filePath: '/home/me/settings.json' }))
+      .toEqual([
+        expect.objectContaining({ code: 'missing-command', pointer: '/mcp/servers/time' }),
+        expect.objectContaining({ code: 'unknown-key', message: expect.stringContaining('did you mean command?'), pointer: '/mcp/servers/time/commmand' })
+      ]);
+    expect(lintSettings({ mcpServers: { remote: { serverUrl: 'https://example.com' } } }, { format: 'windsurf' })).toEqual([]);
+    expect(lintSettings({ mcpServers: [] })[0]).toEqual(expect.objectContaining({ code: 'invalid-servers', pointer: '/mcpServers' }));
+  });
+  
+  it('should flag auto-approved tools that discovery did not report', () => {
+    const settings = { mcpServers: { github: { command: 'npx', autoApprove: ['search', 'serach'] } } };
+    const discovery = { servers: { github: discovered(['search', 'create_issue']) } };
+    
+    expect(lintSettings(settings, { discovery })).toEqual([
+      expect.objectContaining({ severity: 'warning', code: 'unknown-auto-approve', pointer: '/mcpServers/github/autoApprove/1' })
+    ]);
+    
+    // Failed discoveries say nothing about the tools
+    discovery.servers.github.discovery.status = 'timeout';
+    expect(lintSettings(settings, { discovery })).toEqual([]);
+  });
+  
+  it('should check the alwaysAllow list of Cline settings', () => {
+    const settings = { mcpServers: { github: { command: 'npx', alwaysAllow: ['create_isue', 'search'] } } };
+    const discovery = { servers: { github: discovered(['search', 'create_issue']) } };
+    
+    expect(lintSettings(settings, { discovery })).toEqual([
+      expect.objectContaining({ code: 'unknown-auto-approve', message: expect.stringContaining('create_isue'), pointer: '/mcpServers/github/alwaysAllow/0' })
+    ]);
+  });
+});
+
+describe('findDuplicateTools()', () => {
+  it('should list tools provided by several enabled servers', () => {
+    const discovery = {
+      servers: {
+        brave: discovered(['search', 'fetch']),
+        exa: discovered(['search']),
+        off: discovered(['fetch'], { disabled: true })
+      }
+    };
+    
+    expect(findDuplicateTools(discovery)).toEqual({ search: ['brave', 'exa'] });
+  });
+});
+
+describe('summarizeDiagnostics()', () => {
+  it('should count diagnostics by severity', () => {
+    expect(summarizeDiagnostics([{ severity: 'error' }, { severity: 'warning' }, { severity: 'error' }]))
+      .toEqual({ error: 2, warning: 1, info: 0 });
+  });
+});
+
+describe('lintSettingsSources()', () => {
+  let dir;
+  
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-lint-'));
+  });
+  
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+  
+  it('should lint every source and tag diagnostics with their file', async () => {
+    const clinePath = path.join(dir, 'cline_mcp_settings.json');
+    const brokenPath = path.join(dir, 'broken.json');
+    await fs.writeFile(clinePath, '{\n  // comment\n  "mcpServers": { "brave": { "command": "npx" }, "exa": { "command": "npx" } }\n}');
+    await fs.writeFile(brokenPath, '{\n  "mcpServers": {\n    "a": {}\n    "b": {}\n  }\n}');
+    
+    const result = await lintSettingsSources([
+      { name: 'cline', path: clinePath, format: 'auto' },
+      { name: 'broken', path: brokenPath, format: 'auto' }
+    ], {
+      discovery: { servers: { brave: discovered(['search']), exa: discovered(['search']) } }
+    });
+    
+    expect(result.diagnostics).toEqual([
+      expect.objectContaining({ severity: 'error', code: 'syntax', source: 'broken', path: brokenPath, line: 4, column: 5 }),
+      expect.objectContaining({ code: 'duplicate-tool', serverId: 'brave', source: 'cline', pointer: '/mcpServers/brave', message: 'Tool search of server brave is also provided by exa' }),
+      expect.objectContaining({ code: 'duplicate-tool', serverId: 'exa', source: 'cline', pointer: '/mcpServers/exa' })
+    ]);
+    expect(result.summary).toEqual({ error: 1, warning: 2, info: 0 });
+  });
+});
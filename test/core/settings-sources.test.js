@@ -0,0 +1,128 @@
+import {
+  resolveSettingsSources,
+  getPrimarySettingsPath,
+  mergeSettingsSources,
+  readSettingsSources
+} from '../../src/core/settings-sources.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('resolveSettingsSources()', () => {
+  it('should accept a single path', () => {
+    const config = { paths: { settings: '/home/me/cline_mcp_settings.json' } };
+    
+    expect(resolveSettingsSources(config)).toEqual([
+      { name: 'cline_mcp_settings', path: path.normalize('/home/me/cline_mcp_settings.json'), format: 'auto' }
+    ]);
+    expect(getPrimarySettingsPath(config)).toBe(path.normalize('/home/me/cline_mcp_settings.json'));
+  });
+  
+  it('should name sources and keep names unique', () => {
+    const config = {
+      paths: {
+        settings: [
+          { name: 'desktop', path: '/home/me/claude_desktop_config.json' },
+          '/work/a/.cursor/mcp.json',
+          { path: '/work/b/.cursor/mcp.json', format: 'cursor' }
+        ]
+      }
+    };
+    
+    expect(resolveSettingsSources(config).map(({ name, format }) => ({ name, format }))).toEqual([
+      { name: 'desktop', format: 'auto' },
+      { name: 'mcp', format: 'auto' },
+      { name: 'mcp-2', format: 'cursor' }
+    ]);
+  });
+});
+
+describe('mergeSettingsSources()', () => {
+  const loaded = [
+    {
+      source: { name: 'cline', path: '/a.json', format: 'auto' },
+      settings: {
+        format: 'cline',
+        mcpServers: {
+          github: { command: 'npx', args: ['-y', 'server-github'], env: { TOKEN: 'a' }, client: 'cline' },
+          time: { command: 'uvx', args: ['mcp-server-time'], client: 'cline' }
+        },
+        inputs: []
+      }
+    },
+    {
+      source: { name: 'desktop', path: '/b.json', format: 'auto' },
+      settings: {
+        format: 'claude-desktop',
+        mcpServers: {
+          github: { command: 'npx', args: ['-y', 'server-github'], env: { TOKEN: 'b' }, client: 'claude-desktop' },
+          time: { command: 'uvx', args: ['mcp-server-time'], client: 'claude-desktop' },
+          fetch: { command: 'uvx', args: ['mcp-server-fetch'], client: 'claude-desktop' }
+        },
+        inputs: [{ id: 'token', type: 'promptString' }]
+      }
+    }
+  ];
+  
+  it('should merge servers with the first source taking precedence', () => {
+    const catalog = mergeSettingsSources(loaded);
+    
+    expect(Object.keys(catalog.mcpServers)).toEqual(['github', 'time', 'fetch']);
+    expect(catalog.mcpServers.github).toEqual(expect.objectContaining({ env: { TOKEN: 'a' }, source: 'cline', client: 'cline' }));
+    expect(catalog.mcpServers.fetch.source).toBe('desktop');
+    expect(catalog.inputs).toEqual([{ id: 'token', type: 'promptString', source: 'desktop' }]);
+    expect(catalog.sources.map(({ name, format, servers }) => ({ name, format, servers }))).toEqual([
+      { name: 'cline', format: 'cline', servers: ['github', 'time'] },
+      { name: 'desktop', format: 'claude-desktop', servers: ['github', 'time', 'fetch'] }
+    ]);
+  });
+  
+  it('should report servers defined in several sources with their differences', () => {
+    const { conflicts } = mergeSettingsSources(loaded);
+    
+    expect(conflicts).toEqual({
+      github: { source: 'cline', sources: ['cline', 'desktop'], differences: [{ source: 'desktop', keys: ['env'] }] },
+      time: { source: 'cline', sources: ['cline', 'desktop'], differences: [{ source: 'desktop', keys: [] }] }
+    });
+  });
+});
+
+describe('readSettingsSources()', () => {
+  let dir;
+  
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-sources-'));
+  });
+  
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+  
+  it('should read every source and report the ones that cannot be read', async () => {
+    const clinePath = path.join(dir, 'cline_mcp_settings.json');
+    const vscodePath = path.join(dir, 'mcp.json');
+    await fs.writeFile(clinePath, JSON.stringify({ mcpServers: { time: { command: 'uvx' } } }));
+    await fs.writeFile(vscodePath, JSON.stringify({ servers: { fetch: { type: 'stdio', command: 'uvx' } } }));
+    
+    const catalog = await readSettingsSources({
+      paths: { settings: [clinePath, { name: 'project', path: vscodePath }, path.join(dir, 'missing.json')] }
+    });
+    
+    expect(catalog.mcpServers.time).toEqual({ command: 'uvx', client: 'cline', source: 'cline_mcp_settings' });
+    expect(catalog.mcpServers.fetch).toEqual({ type: 'stdio', command: 'uvx', client: 'vscode', source: 'project' });
+    expect(catalog.errors).toEqual([
+      expect.objectContaining({ source: 'missing', error: expect.stringContaining('ENOENT') })
+    ]);
+  });
+  
+  it('should fail when no source can be read', async () => {
+    const brokenPath = path.join(dir, 'broken.json');
+    await fs.writeFile(brokenPath, '{ not json');
+    
+    await expect(readSettingsSources({ paths: { settings: brokenPath } }))
+      .rejects.toThrow('Invalid JSON in MCP settings file');
+    await expect(readSettingsSources({ paths: { settings: [] } }))
+      .rejects.toThrow('No MCP settings file configured');
+  });
+});
@@ -0,0 +1,105 @@
+import {
+  parseTemplate,
+  renderTemplate,
+  loadDefaultTemplates,
+  loadTemplates,
+  TemplateError,
+  TEMPLATE_NAMES
+} from '../../src/core/template.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('renderTemplate()', () => {
+  it('should insert values without escaping and resolve dotted names', () => {
+    const output = renderTemplate('main', { main: '{{name}} <{{server.url}}> {{missing}}!' }, {
+      name: '**bold**',
+      server: { url: 'https://example.com?a=1&b=2' }
+    });
+    
+    expect(output).toBe('**bold** <https://example.com?a=1&b=2> !');
+  });
+  
+  it('should repeat sections for arrays and fall back to outer contexts', () => {
+    const template = '{{#tools}}- {{name}} ({{server}}){{#readOnly}} `read-only`{{/readOnly}}\n{{/tools}}{{^tools}}none\n{{/tools}}';
+    
+    expect(renderTemplate('main', { main: template }, {
+      server: 'github',
+      tools: [{ name: 'search', readOnly: true }, { name: 'create', readOnly: false }]
+    })).toBe('- search (github) `read-only`\n- create (github)\n');
+    expect(renderTemplate('main', { main: template }, { tools: [] })).toBe('none\n');
+  });
+  
+  it('should drop lines that only hold a block tag', () => {
+    const template = '# Title\n\n{{! servers }}\n{{#servers}}\n  {{#.}}\n## {{.}}\n  {{/.}}\n{{/servers}}\nEnd\n';
+    
+    expect(renderTemplate('main', { main: template }, { servers: ['a', 'b'] })).toBe('# Title\n\n## a\n## b\nEnd\n');
+  });
+  
+  it('should render partials with the current context', () => {
+    const templates = {
+      main: '{{#servers}}\n{{> server}}\n{{/servers}}',
+      server: '## {{id}}\n\n{{#tools}}\n{{> tool}}\n{{/tools}}\n',
+      tool: '- {{name}} of {{id}}\n'
+    };
+    
+    expect(renderTemplate('main', templates, { servers: [{ id: 'time', tools: [{ name: 'now' }] }] }))
+      .toBe('## time\n\n- now of time\n');
+  });
+  
+  it('should report unbalanced sections and unknown partials with their line', () => {
+    expect(() => parseTemplate('a\n{{#servers}}\nb\n', 'document')).toThrow('Unclosed section {{#servers}} (document, line 2)');
+    expect(() => parseTemplate('{{#a}}{{/b}}', 'server')).toThrow(TemplateError);
+    expect(() => renderTemplate('main', { main: 'x\n{{> missing}}\n' }, {})).toThrow('Unknown partial {{> missing}}');
+  });
+  
+  it('should pick up a template whose source changed', () => {
+    expect(renderTemplate('main', { main: 'v1 {{name}}' }, { name: 'a' })).toBe('v1 a');
+    expect(renderTemplate('main', { main: 'v2 {{name}}' }, { name: 'a' })).toBe('v2 a');
+    expect(renderTemplate('main', { main: 'v1 {{name}}' }, { name: 'b' })).toBe('v1 b');
+  });
+});
+
+describe('loadTemplates()', () => {
+  let tempDir;
+  
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-templates-'));
+  });
+  
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+  
+  it('should bundle a default document template and partials', () => {
+    const templates = loadDefaultTemplates();
+    
+    expect(Object.keys(templates)).toEqual(TEMPLATE_NAMES);
+    expect(templates.document).toContain('{{> server}}');
+    expect(templates.server).toContain('{{> tool}}');
+    expect(templates.server).toContain('{{> config}}');
+  });
+  
+  it('should replace the document template and single partials', async () => {
+    const templatePath = path.join(tempDir, 'doc.md');
+    const toolPath = path.join(tempDir, 'tool.md');
+    await fs.writeFile(templatePath, '# Servers\n{{#servers}}\n{{> server}}\n{{/servers}}\n');
+    await fs.writeFile(toolPath, '* {{name}}\n');
+    
+    const templates = await loadTemplates({ generator: { template: templatePath, partials: { tool: toolPath } } });
+    
+    expect(templates.document).toBe('# Servers\n{{#servers}}\n{{> server}}\n{{/servers}}\n');
+    expect(templates.tool).toBe('* {{name}}\n');
+    expect(templates.config).toBe(loadDefaultTemplates().config);
+  });
+  
+  it('should reject templates that cannot be read or parsed', async () => {
+    const templatePath = path.join(tempDir, 'doc.md');
+    await fs.writeFile(templatePath, '{{#servers}}\n');
+    
+    await expect(loadTemplates({ generator: { template: templatePath } })).rejects.toThrow('Unclosed section');
+    await expect(loadTemplates({ generator: { template: path.join(tempDir, 'missing.md') } }))
+      .rejects.toThrow('Failed to read template document');
+  });
+});
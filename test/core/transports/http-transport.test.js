@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import { HttpTransport } from '../../../src/core/transports/http-transport.js';
+import { SseTransport } from '../../../src/core/transports/sse-transport.js';
+import { resolveTransportType, createTransport, StdioTransport } from '../../../src/core/transports/index.js';
+import { MCPToolDiscovery } from '../../../src/core/mcp-tool-discovery.js';
+import { startMockHttpServer } from '../../fixtures/mock-mcp-http-server.js';
+
+describe('HTTP transports', () => {
+  let mockServer;
+  
+  beforeEach(async () => {
+    mockServer = await startMockHttpServer();
+  });
+  
+  afterEach(async () => {
+    await mockServer.close();
+  });
+  
+  describe('resolveTransportType()', () => {
+    it('should pick a transport from the server entry', () => {
+      expect(resolveTransportType({ command: 'node' })).toBe('stdio');
+      expect(resolveTransportType({ url: 'https://example.com/mcp' })).toBe('http');
+      expect(resolveTransportType({ url: 'https://example.com/sse' })).toBe('sse');
+      expect(resolveTransportType({ url: 'https://example.com/mcp', type: 'sse' })).toBe('sse');
+      expect(resolveTransportType({ url: 'https://example.com/sse', transportType: 'streamableHttp' })).toBe('http');
+    });
+    
+    it('should create the matching transport class', () => {
+      expect(createTransport({ command: 'node' })).toBeInstanceOf(StdioTransport);
+      expect(createTransport({ url: 'https://example.com/mcp' })).toBeInstanceOf(HttpTransport);
+      expect(createTransport({ url: 'https://example.com/sse' })).toBeInstanceOf(SseTransport);
+    });
+  });
+  
+  describe('HttpTransport', () => {
+    it('should send configured headers and echo the session id', async () => {
+      const transport = new HttpTransport({
+        url: `${mockServer.baseUrl}/mcp`,
+        headers: { Authorization: 'Bearer test-token' }
+      });
+      await transport.start();
+      
+      const initResult = await transport.request('initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+      transport.setProtocolVersion(initResult.protocolVersion);
+      const listResult = await transport.request('tools/list');
+      await transport.close();
+      
+      expect(initResult.serverInfo.name).toBe('mock-remote-server');
+      expect(listResult.tools[0].name).toBe('remote_search');
+      
+      const listRequest = mockServer.requests.find(request => request.body.includes('tools/list'));
+      expect(listRequest.headers['mcp-session-id']).toBe('session-123');
+      expect(listRequest.headers['mcp-protocol-version']).toBe('2025-06-18');
+      expect(mockServer.requests[mockServer.requests.length - 1].method).toBe('DELETE');
+    });
+    
+    it('should receive server notifications on the GET event stream', async () => {
+      const transport = new HttpTransport({
+        url: `${mockServer.baseUrl}/mcp`,
+        headers: { Authorization: 'Bearer test-token' }
+      });
+      transport.on('debug', () => {});
+      await transport.start();
+      await transport.request('initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+      
+      const notification = new Promise(resolve => transport.once('notification', resolve));
+      await transport.openEventStream();
+      
+      expect((await notification).method).toBe('notifications/tools/list_changed');
+      await transport.close();
+      
+      const streamRequest = mockServer.requests.find(request => request.method === 'GET');
+      expect(streamRequest.headers['mcp-session-id']).toBe('session-123');
+      expect(streamRequest.headers.accept).toBe('text/event-stream');
+    });
+    
+    it('should fail to open the event stream when the server does not offer one', async () => {
+      const transport = new HttpTransport({
+        url: `${mockServer.baseUrl}/mcp`,
+        headers: { Authorization: 'Bearer test-token' }
+      });
+      
+      await expect(transport.openEventStream()).rejects.toThrow('does not offer an event stream');
+      await transport.close();
+    });
+    
+    it('should reject requests when the server returns an HTTP error', async () => {
+      const transport = new HttpTransport({ url: `${mockServer.baseUrl}/mcp` });
+      
+      await expect(transport.request('initialize', {})).rejects.toThrow('401');
+      await transport.close();
+    });
+  });
+  
+  describe('SseTransport', () => {
+    it('should post to the announced endpoint and read responses from the stream', async () => {
+      const transport = new SseTransport({ url: `${mockServer.baseUrl}/sse` });
+      await transport.start();
+      
+      const result = await transport.request('tools/list');
+      await transport.close();
+      
+      expect(transport.endpoint).toBe(`${mockServer.baseUrl}/messages?sessionId=1`);
+      expect(result.tools[0].name).toBe('remote_search');
+    });
+    
+    it('should emit exit when the server ends the stream', async () => {
+      const transport = new SseTransport({ url: `${mockServer.baseUrl}/sse` });
+      transport.on('debug', () => {});
+      await transport.start();
+      
+      const exited = new Promise(resolve => transport.once('exit', resolve));
+      mockServer.endStreams();
+      
+      expect(await exited).toBeNull();
+      expect(transport.closed).toBe(true);
+      await transport.close();
+    });
+    
+    it('should stop reading the stream when no endpoint is announced in time', async () => {
+      const transport = new SseTransport({ url: `${mockServer.baseUrl}/silent`, requestTimeout: 200 });
+      transport.on('debug', () => {});
+      const exit = jest.fn();
+      transport.on('exit', exit);
+      
+      await expect(transport.start()).rejects.toThrow('No endpoint event received within 200ms');
+      
+      expect(transport.abortController.signal.aborted).toBe(true);
+      expect(exit).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('MCPToolDiscovery with remote servers', () => {
+    it('should run the initialize/list flow against a Streamable HTTP endpoint', async () => {
+      const discovery = new MCPToolDiscovery({ discovery: { timeout: 5000 } });
+      discovery.on('info', () => {});
+      discovery.on('debug', () => {});
+      
+      const result = await discovery.discoverServer('remote', {
+        url: `${mockServer.baseUrl}/mcp`,
+        headers: { Authorization: 'Bearer test-token' }
+      });
+      
+      expect(result.transport).toBe('http');
+      expect(result.serverInfo).toEqual({ name: 'mock-remote-server', version: '0.2.0' });
+      expect(result.tools.map(tool => tool.name)).toEqual(['remote_search']);
+    });
+  });
+});
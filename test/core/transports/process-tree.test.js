@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+
+// taskkill and tasklist only exist on Windows, so their output is simulated
+const execFile = jest.fn();
+jest.unstable_mockModule('child_process', () => ({ execFile }));
+
+const { resolveSpawn, terminateProcessTree } = await import('../../../src/core/transports/process-tree.js');
+
+describe('resolveSpawn()', () => {
+  it('should spawn without a shell in a new process group on POSIX', () => {
+    const { command, args, options } = resolveSpawn('npx', ['-y', 'server', '/path with spaces'], 'linux');
+    
+    expect(command).toBe('npx');
+    expect(args).toEqual(['-y', 'server', '/path with spaces']);
+    expect(options).toEqual({ shell: false, detached: true });
+  });
+  
+  it('should spawn Windows executables without a shell', () => {
+    const { options } = resolveSpawn('C:\\\\Python\\\\python.exe', ['server.py'], 'win32');
+    
+    expect(options.shell).toBe(false);
+  });
+  
+  it('should quote arguments when a Windows shim needs cmd.exe', () => {
+    const { command, args, options } = resolveSpawn('npx', ['-y', 'server', 'C:\\\\My Files', 'say "hi"'], 'win32');
+    
+    expect(options.shell).toBe(true);
+    expect(command).toBe('npx');
+    expect(args).toEqual(['-y', 'server', '"C:\\\\My Files"', '"say ""hi"""']);
+  });
+});
+
+describe('terminateProcessTree() on Windows', () => {
+  const platform = process.platform;
+  let running;
+  
+  beforeEach(() => {
+    Object.defineProperty(process, 'platform', { value: 'win32' });
+    running = new Map();
+    execFile.mockReset();
+    execFile.mockImplementation((command, args, options, callback) => {
+      let stdout = '';
+      let stderr = '';
+      
+      if (command === 'tasklist') {
+        const pid = Number(args[1].replace('PID eq ', ''));
+        stdout = running.has(pid)
+          ? `"${running.get(pid)}","${pid}","Console","1","10,000 K"\r\n`
+          : 'INFO: No tasks are running which match the specified criteria.\r\n';
+      } else if (args.includes('/F')) {
+        stderr = 'ERROR: The process with PID 4321 (child process of PID 1000) could not be terminated.\r\n' +
+          'Reason: Access is denied.\r\n';
+      }
+      
+      setImmediate(() => callback(null, stdout, stderr));
+    });
+  });
+  
+  afterEach(() => {
+    Object.defineProperty(process, 'platform', { value: platform });
+  });
+  
+  it('should report processes that survive a forced taskkill', async () => {
+    running.set(1000, 'node.exe');
+    running.set(4321, 'python.exe');
+    const childProcess = { pid: 1000, exitCode: null, signalCode: null };
+    
+    const survivors = await terminateProcessTree(childProcess, { gracePeriod: 10, killTimeout: 100 });
+    
+    expect(survivors).toEqual([
+      { pid: 1000, command: 'node.exe' },
+      { pid: 4321, command: 'python.exe' }
+    ]);
+    expect(execFile).toHaveBeenCalledWith('taskkill', ['/pid', '1000', '/T', '/F'], expect.any(Object), expect.any(Function));
+  });
+  
+  it('should report nothing once the tree is gone', async () => {
+    const childProcess = { pid: 1000, exitCode: 1, signalCode: null };
+    
+    const survivors = await terminateProcessTree(childProcess, { gracePeriod: 10, killTimeout: 100 });
+    
+    expect(survivors).toEqual([]);
+    expect(execFile).toHaveBeenCalledWith('tasklist', ['/FI', 'PID eq 4321', '/FO', 'CSV', '/NH'], expect.any(Object), expect.any(Function));
+  });
+});
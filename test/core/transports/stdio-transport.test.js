@@ -0,0 +1,116 @@
+import { StdioTransport } from '../../../src/core/transports/stdio-transport.js';
+import { JsonRpcError, JsonRpcTimeoutError } from '../../../src/core/transports/json-rpc-transport.js';
+
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+// Zombies count as dead: they only wait to be reaped by their parent
+const isRunning = (pid) => {
+  try {
+    const state = execFileSync('ps', ['-o', 'stat=', '-p', String(pid)]).toString().trim();
+    return state !== '' && !state.startsWith('Z');
+  } catch (error) {
+    return false;
+  }
+};
+
+describe('StdioTransport', () => {
+  let transport;
+  const mockServerPath = path.join(process.cwd(), 'test/fixtures/mock-mcp-server.js');
+  
+  const createTransport = (mode = '', options = {}) => {
+    transport = new StdioTransport({
+      command: 'node',
+      args: [mockServerPath],
+      env: { ...process.env, MOCK_MCP_MODE: mode },
+      requestTimeout: 2000,
+      ...options
+    });
+    transport.on('debug', () => {});
+    return transport;
+  };
+  
+  afterEach(async () => {
+    if (transport) {
+      await transport.close();
+    }
+  });
+  
+  describe('request()', () => {
+    it('should correlate responses with requests by id', async () => {
+      createTransport();
+      await transport.start();
+      
+      const [initResult, pingError] = await Promise.all([
+        transport.request('initialize', { protocolVersion: '2025-06-18', capabilities: {} }),
+        transport.request('unknown/method').catch(error => error)
+      ]);
+      
+      expect(initResult.serverInfo.name).toBe('mock-mcp-server');
+      expect(pingError).toBeInstanceOf(JsonRpcError);
+      expect(pingError.code).toBe(-32601);
+    });
+    
+    it('should ignore non-JSON log lines on stdout', async () => {
+      createTransport('noise');
+      const logs = [];
+      transport.on('log', (line) => logs.push(line));
+      await transport.start();
+      
+      await transport.request('initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+      transport.notify('notifications/initialized');
+      const result = await transport.request('tools/list');
+      
+      expect(result.tools.map(tool => tool.name)).toEqual(['echo', 'add_numbers']);
+      expect(result.tools[0].inputSchema.properties.message.type).toBe('string');
+      expect(logs).toContain('[mock] handling request {not json}');
+    });
+    
+    it('should drop parsed messages and keep a bounded tail of the output', () => {
+      createTransport();
+      
+      transport.handleStdout('{"jsonrpc":"2.0","method":"notifications/message"}\nstarting up\n');
+      expect(transport.stdout).toBe('starting up\n');
+      
+      transport.handleStdout(`${'x'.repeat(100 * 1024)}\nlast line\n`);
+      expect(transport.stdout.length).toBe(64 * 1024);
+      expect(transport.stdout.endsWith('last line\n')).toBe(true);
+    });
+    
+    it('should reject with a timeout error when no response arrives', async () => {
+      createTransport('legacy');
+      await transport.start();
+      
+      await expect(transport.request('tools/list', {}, { timeout: 200 }))
+        .rejects.toBeInstanceOf(JsonRpcTimeoutError);
+    });
+  });
+  
+  describe('close()', () => {
+    it('should reject pending requests and terminate the process', async () => {
+      createTransport('legacy');
+      await transport.start();
+      
+      const pending = transport.request('tools/list').catch(error => error);
+      await transport.close();
+      
+      expect((await pending).message).toBe('Transport closed');
+      expect(transport.exited).toBe(true);
+    });
+    
+    it('should escalate to SIGKILL and tear down the whole process tree', async () => {
+      createTransport('stubborn', { killGracePeriod: 200 });
+      await transport.start();
+      await transport.request('initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+      
+      const grandchildPid = Number(/grandchild (\d+)/.exec(transport.stderr)[1]);
+      expect(isRunning(grandchildPid)).toBe(true);
+      
+      await transport.close();
+      
+      expect(transport.exited).toBe(true);
+      expect(transport.survivors).toEqual([]);
+      expect(isRunning(grandchildPid)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import {
+  resolveVariableOptions,
+  findPlaceholders,
+  getWorkspaceFolder,
+  inputEnvName,
+  VariableResolver
+} from '../../src/core/variables.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('resolveVariableOptions()', () => {
+  it('should read inputs from the environment by default', () => {
+    const options = resolveVariableOptions({});
+    
+    expect(options.inputs).toBe('env');
+    expect(options.envPrefix).toBe('MCP_INPUT_');
+    expect(options.secretsFile).toBe(path.join(os.homedir(), '.mcp-config-watcher', 'inputs.json'));
+  });
+  
+  it('should ignore unknown input sources', () => {
+    expect(resolveVariableOptions({ discovery: { variables: { inputs: 'vault' } } }).inputs).toBe('env');
+  });
+});
+
+describe('findPlaceholders()', () => {
+  it('should list the placeholders of every launch string', () => {
+    const placeholders = findPlaceholders({
+      command: 'node',
+      args: ['${workspaceFolder}/server.js', '--token', '${input:token}'],
+      env: { HOME_DIR: '${userHome}', TOKEN: '${input:token}' },
+      headers: { Authorization: 'Bearer ${env:API_TOKEN}' },
+      description: '${ignored}'
+    });
+    
+    expect(placeholders).toEqual(['${workspaceFolder}', '${input:token}', '${userHome}', '${env:API_TOKEN}']);
+  });
+});
+
+describe('getWorkspaceFolder()', () => {
+  it('should return the project of project-level config files', () => {
+    expect(getWorkspaceFolder(path.join('/work', 'api', '.vscode', 'mcp.json'))).toBe(path.join('/work', 'api'));
+    expect(getWorkspaceFolder(path.join('/home', 'user', '.cursor', 'mcp.json'))).toBe(path.join('/home', 'user'));
+    expect(getWorkspaceFolder(path.join('/home', 'user', 'settings.json'))).toBeNull();
+  });
+});
+
+describe('inputEnvName()', () => {
+  it('should derive an upper snake case variable name', () => {
+    expect(inputEnvName('github-token')).toBe('MCP_INPUT_GITHUB_TOKEN');
+    expect(inputEnvName('api.key', 'SECRET_')).toBe('SECRET_API_KEY');
+  });
+});
+
+describe('VariableResolver', () => {
+  const catalog = {
+    inputs: [
+      { id: 'github-token', type: 'promptString', password: true },
+      { id: 'region', type: 'promptString', default: 'eu-west-1' }
+    ],
+    sources: [{ name: 'project', path: path.join('/work', 'api', '.vscode', 'mcp.json') }]
+  };
+  const serverConfig = {
+    command: 'npx',
+    args: ['--root', '${workspaceFolder}', '--region', '${input:region}'],
+    env: { GITHUB_TOKEN: '${input:github-token}', PATH_VAR: '${env:MCP_TEST_PATH}' },
+    source: 'project'
+  };
+  
+  afterEach(() => {
+    delete process.env.MCP_INPUT_GITHUB_TOKEN;
+    delete process.env.MCP_TEST_PATH;
+  });
+  
+  it('should resolve env variables, inputs and the workspace folder', async () => {
+    process.env.MCP_INPUT_GITHUB_TOKEN = 'ghp_test';
+    process.env.MCP_TEST_PATH = '/usr/bin';
+    const resolver = new VariableResolver({});
+    await resolver.load(catalog);
+    
+    const { config, unresolved } = resolver.resolve(serverConfig);
+    
+    expect(config.args).toEqual(['--root', path.join('/work', 'api'), '--region', 'eu-west-1']);
+    expect(config.env).toEqual({ GITHUB_TOKEN: 'ghp_test', PATH_VAR: '/usr/bin' });
+    expect(unresolved).toEqual([]);
+    expect(serverConfig.env.GITHUB_TOKEN).toBe('${input:github-token}');
+  });
+  
+  it('should leave unresolved placeholders as written and report them', async () => {
+    const resolver = new VariableResolver({});
+    await resolver.load(catalog);
+    
+    const { config, unresolved } = resolver.resolve(serverConfig);
+    
+    expect(config.env.GITHUB_TOKEN).toBe('${input:github-token}');
+    expect(unresolved).toEqual(['${input:github-token}', '${env:MCP_TEST_PATH}']);
+  });
+  
+  it('should warn about unresolved placeholders before a launch', async () => {
+    const resolver = new VariableResolver({});
+    const warnings = [];
+    resolver.on('warning', message => warnings.push(message));
+    await resolver.load(catalog);
+    
+    await resolver.resolveForLaunch('github', { command: 'npx', env: { TOKEN: '${input:github-token}' } });
+    
+    expect(warnings).toEqual(['Unresolved placeholders for github: ${input:github-token}']);
+  });
+  
+  describe('with a secrets file', () => {
+    let tempDir;
+    
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-variables-'));
+    });
+    
+    afterEach(async () => {
+      await fs.remove(tempDir);
+    });
+    
+    it('should read inputs from the secrets file', async () => {
+      const secretsFile = path.join(tempDir, 'inputs.json');
+      await fs.writeFile(secretsFile, '{\n  // GitHub\n  "github-token": "ghp_file",\n}');
+      const resolver = new VariableResolver({ discovery: { variables: { inputs: 'file', secretsFile } } });
+      await resolver.load(catalog);
+      
+      expect(resolver.resolve(serverConfig).config.env.GITHUB_TOKEN).toBe('ghp_file');
+    });
+    
+    it('should not read inputs from the environment', async () => {
+      process.env.MCP_INPUT_GITHUB_TOKEN = 'ghp_test';
+      const resolver = new VariableResolver({ discovery: { variables: { inputs: 'file', secretsFile: path.join(tempDir, 'missing.json') } } });
+      await resolver.load(catalog);
+      
+      expect(resolver.resolve(serverConfig).unresolved).toContain('${input:github-token}');
+    });
+  });
+});
@@ -68,6 +68,25 @@ describe('MCPConfigWatcher', () => {
       expect(infoSpy).toHaveBeenCalledWith('info', expect.any(String));
     });
     
+    it('should watch every settings source and warn about missing ones', async () => {
+      // Setup
+      watcher.config = {
+        ...testConfig,
+        paths: { settings: ['/test/path/settings.json', { name: 'project', path: '/test/project/mcp.json' }] }
+      };
+      fs.pathExists.mockImplementation(async (filePath) => filePath === '/test/path/settings.json');
+      const emitSpy = jest.spyOn(watcher, 'emit');
+      
+      // Act
+      const result = await watcher.start();
+      
+      // Assert
+      expect(result).toBe(true);
+      expect(emitSpy).toHaveBeenCalledWith('warning', expect.stringContaining('/test/project/mcp.json'));
+      expect(watcher.lastHashes.has('/test/path/settings.json')).toBe(true);
+      expect(watcher.getStatus().watchingFiles).toEqual(['/test/path/settings.json', '/test/project/mcp.json']);
+    });
+    
     it('should return false when settings file does not exist', async () => {
       // Setup
       fs.pathExists.mockResolvedValue(false);
@@ -209,7 +228,7 @@ describe('MCPConfigWatcher', () => {
   describe('handleFileChange()', () => {
     it('should skip update when file hash is unchanged', async () => {
       // Setup
-      watcher.lastHash = 'test-hash';
+      watcher.lastHashes.set('/test/file.txt', 'test-hash');
       watcher.getFileHash = jest.fn().mockResolvedValue('test-hash');
       const infoSpy = jest.spyOn(watcher, 'emit');
       
@@ -223,7 +242,7 @@ describe('MCPConfigWatcher', () => {
     
     it('should emit fileChanged when hash changes', async () => {
       // Setup
-      watcher.lastHash = 'old-hash';
+      watcher.lastHashes.set('/test/file.txt', 'old-hash');
       watcher.getFileHash = jest.fn().mockResolvedValue('new-hash');
       const fileChangedSpy = jest.spyOn(watcher, 'emit');
       
@@ -231,7 +250,7 @@ describe('MCPConfigWatcher', () => {
       await watcher.handleFileChange('/test/file.txt');
       
       // Assert
-      expect(watcher.lastHash).toBe('new-hash');
+      expect(watcher.lastHashes.get('/test/file.txt')).toBe('new-hash');
       expect(fileChangedSpy).toHaveBeenCalledWith('fileChanged', '/test/file.txt');
     });
   });
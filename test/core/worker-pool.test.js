@@ -0,0 +1,84 @@
+import { runWorkerPool } from '../../src/core/worker-pool.js';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+// Never resolves on its own, rejects once the signal aborts
+const hang = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason));
+});
+
+describe('runWorkerPool()', () => {
+  it('should never run more workers than the concurrency limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    
+    const outcomes = await runWorkerPool([1, 2, 3, 4, 5], async (item) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(20);
+      running--;
+      return item * 2;
+    }, { concurrency: 2 });
+    
+    expect(maxRunning).toBe(2);
+    expect(outcomes.map(outcome => outcome.value)).toEqual([2, 4, 6, 8, 10]);
+    expect(outcomes.every(outcome => outcome.status === 'fulfilled')).toBe(true);
+  });
+  
+  it('should report each item independently', async () => {
+    const outcomes = await runWorkerPool(['ok', 'fail'], async (item) => {
+      if (item === 'fail') {
+        throw new Error('boom');
+      }
+      return item;
+    });
+    
+    expect(outcomes[0]).toEqual(expect.objectContaining({ item: 'ok', status: 'fulfilled', value: 'ok' }));
+    expect(outcomes[1]).toEqual(expect.objectContaining({ item: 'fail', status: 'rejected' }));
+    expect(outcomes[1].error.message).toBe('boom');
+    expect(typeof outcomes[1].durationMs).toBe('number');
+  });
+  
+  it('should time out in-flight items and skip the rest at the deadline', async () => {
+    const settled = [];
+    const outcomes = await runWorkerPool(['fast', 'hung', 'queued'], (item, index, signal) => {
+      return item === 'hung' ? hang(signal) : delay(10, item);
+    }, {
+      concurrency: 2,
+      deadline: Date.now() + 100,
+      onSettled: (outcome) => settled.push(outcome.item)
+    });
+    
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['fulfilled', 'timeout', 'fulfilled']);
+    expect(settled).toEqual(['fast', 'queued', 'hung']);
+  });
+  
+  it('should abort timed-out workers and free their slot only after they settle', async () => {
+    const events = [];
+    const outcomes = await runWorkerPool(['hung', 'next'], async (item, index, signal) => {
+      events.push(`start ${item}`);
+      if (item === 'hung') {
+        await hang(signal).catch(() => {});
+        await delay(50);
+        events.push('torn down');
+      }
+      return item;
+    }, {
+      concurrency: 1,
+      deadline: Date.now() + 50,
+      onSettled: (outcome) => events.push(`${outcome.status} ${outcome.item}`)
+    });
+    
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['timeout', 'skipped']);
+    expect(events).toEqual(['start hung', 'timeout hung', 'torn down', 'skipped next']);
+  });
+  
+  it('should skip items that start after the deadline', async () => {
+    const outcomes = await runWorkerPool(['slow', 'late'], (item) => delay(150, item), {
+      concurrency: 1,
+      deadline: Date.now() + 50
+    });
+    
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['timeout', 'skipped']);
+  });
+});
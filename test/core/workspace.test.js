@@ -0,0 +1,139 @@
+import {
+  resolveWorkspaceOptions,
+  scanWorkspace,
+  buildWorkspaceReport,
+  getProjectMarkdownPath,
+  WorkspaceWatcher
+} from '../../src/core/workspace.js';
+import { readSettingsSources } from '../../src/core/settings-sources.js';
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const writeJson = async (filePath, data) => {
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, JSON.stringify(data));
+};
+
+describe('resolveWorkspaceOptions()', () => {
+  it('should fill in defaults', () => {
+    const options = resolveWorkspaceOptions({ paths: { markdown: '/docs/mcp.md' }, workspace: { enabled: true, roots: ['/work'] } });
+    
+    expect(options).toEqual(expect.objectContaining({
+      enabled: true,
+      roots: [path.resolve('/work')],
+      files: ['.cursor/mcp.json', '.vscode/mcp.json'],
+      ignore: ['**/node_modules/**', '**/.git/**'],
+      output: 'aggregate',
+      report: path.join('/docs', 'mcp_workspace_report.md')
+    }));
+  });
+});
+
+describe('scanWorkspace()', () => {
+  let root;
+  
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-workspace-'));
+    await writeJson(path.join(root, 'api/.cursor/mcp.json'), { mcpServers: { github: { command: 'npx' } } });
+    await writeJson(path.join(root, 'web/.vscode/mcp.json'), { servers: { github: { type: 'stdio', command: 'npx' } } });
+    await writeJson(path.join(root, 'web/.cursor/mcp.json'), { mcpServers: { time: { command: 'uvx' } } });
+    await writeJson(path.join(root, 'web/node_modules/pkg/.cursor/mcp.json'), { mcpServers: { ignored: { command: 'node' } } });
+    await writeJson(path.join(root, 'libs/deep/nested/tool/.cursor/mcp.json'), { mcpServers: { deep: { command: 'node' } } });
+  });
+  
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+  
+  it('should find project configs and skip ignored directories', async () => {
+    const projects = await scanWorkspace(resolveWorkspaceOptions({ workspace: { roots: [root] } }));
+    
+    expect(projects.map(({ name, project, file }) => ({ name, project, file }))).toEqual([
+      { name: 'api', project: 'api', file: '.cursor/mcp.json' },
+      { name: 'web (.cursor/mcp.json)', project: 'web', file: '.cursor/mcp.json' },
+      { name: 'web (.vscode/mcp.json)', project: 'web', file: '.vscode/mcp.json' },
+      { name: 'libs/deep/nested/tool', project: 'libs/deep/nested/tool', file: '.cursor/mcp.json' }
+    ]);
+    expect(projects[0].path).toBe(path.join(root, 'api/.cursor/mcp.json'));
+  });
+  
+  it('should honor maxDepth and custom ignore patterns', async () => {
+    const projects = await scanWorkspace(resolveWorkspaceOptions({
+      workspace: { roots: [root], maxDepth: 1, ignore: ['web'] }
+    }));
+    
+    expect(projects.map(project => project.name)).toEqual(['api']);
+  });
+  
+  it('should build a report of which projects use which servers', async () => {
+    const projects = await scanWorkspace(resolveWorkspaceOptions({ workspace: { roots: [root], maxDepth: 1 } }));
+    const catalog = await readSettingsSources({}, projects.map(({ name, path: configPath }) => ({ name, path: configPath, format: 'auto' })));
+    
+    const report = buildWorkspaceReport(catalog, projects);
+    
+    expect(report).toContain('# MCP Servers by Project');
+    expect(report).toContain('| `github` | api, web (.vscode/mcp.json) | differ in `type` |');
+    expect(report).toContain('| `time` | web (.cursor/mcp.json) | - |');
+    expect(report).toContain('### web (.vscode/mcp.json)');
+    expect(report).toContain('(VS Code)');
+    expect(getProjectMarkdownPath(projects[0], resolveWorkspaceOptions({}))).toBe(path.join(root, 'api', 'MCP_SERVERS.md'));
+  });
+});
+
+describe('WorkspaceWatcher', () => {
+  let root;
+  let watcher;
+  
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-workspace-'));
+    await writeJson(path.join(root, 'api/.cursor/mcp.json'), { mcpServers: { github: { command: 'npx' } } });
+    
+    watcher = new WorkspaceWatcher({
+      paths: { markdown: path.join(root, 'docs/mcp.md') },
+      watcher: { awaitWriteFinish: false },
+      workspace: { enabled: true, roots: [root], rescanInterval: 0 }
+    });
+    watcher.on('info', () => {});
+    watcher.on('warning', () => {});
+    watcher.on('error', () => {});
+  });
+  
+  afterEach(async () => {
+    await watcher.stop();
+    await fs.remove(root);
+  });
+  
+  it('should watch the config files found in the workspace', async () => {
+    expect(await watcher.start()).toBe(true);
+    
+    expect(watcher.getSources()).toEqual([
+      { name: 'api', path: path.join(root, 'api/.cursor/mcp.json'), format: 'auto' }
+    ]);
+    expect(watcher.getStatus().watchingFiles).toEqual([path.join(root, 'api/.cursor/mcp.json')]);
+    expect(watcher.getStatus().workspace.projects).toHaveLength(1);
+  });
+  
+  it('should pick up new projects on rescan', async () => {
+    await watcher.start();
+    await writeJson(path.join(root, 'web/.vscode/mcp.json'), { servers: { time: { command: 'uvx' } } });
+    
+    const changed = new Promise(resolve => watcher.once('fileChanged', resolve));
+    expect(await watcher.rescan()).toBe(true);
+    await changed;
+    
+    expect(watcher.getSources().map(source => source.name)).toEqual(['api', 'web']);
+    expect(watcher.running).toBe(true);
+    expect(await watcher.rescan()).toBe(false);
+  });
+  
+  it('should fail to start when no config file is found', async () => {
+    await fs.remove(path.join(root, 'api'));
+    const errors = [];
+    watcher.on('error', message => errors.push(message));
+    
+    expect(await watcher.start()).toBe(false);
+    expect(errors[0]).toContain('No MCP config files found');
+  });
+});
@@ -0,0 +1,157 @@
+// Local HTTP server standing in for remote MCP servers in the transport tests.
+// Serves Streamable HTTP on /mcp and the legacy HTTP+SSE transport on /sse.
+// A GET on /mcp opens the session's event stream and sends a tools/list_changed
+// notification on it. /silent opens an event stream that never announces anything.
+import http from 'http';
+
+const tools = [
+  { name: 'remote_search', description: 'Searches the remote index.', inputSchema: { type: 'object' } }
+];
+
+/**
+ * Answer a JSON-RPC message the way a minimal MCP server would
+ * @param {Object} message - JSON-RPC message
+ * @returns {Object|null} Response message, or null for notifications
+ */
+function handleRpc(message) {
+  if (message.id === undefined) {
+    return null;
+  }
+  if (message.method === 'initialize') {
+    return {
+      jsonrpc: '2.0',
+      id: message.id,
+      result: {
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: 'mock-remote-server', version: '0.2.0' }
+      }
+    };
+  }
+  if (message.method === 'tools/list') {
+    return { jsonrpc: '2.0', id: message.id, result: { tools } };
+  }
+  return { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } };
+}
+
+/**
+ * Start the mock server on a random local port
+ * @returns {Promise<Object>} { baseUrl, requests, endStreams, close }
+ */
+export function startMockHttpServer() {
+  const requests = [];
+  const sseClients = new Map();
+  const eventStreams = new Set();
+  
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+      
+      // Streamable HTTP endpoint
+      if (url.pathname === '/mcp') {
+        if (req.headers.authorization !== 'Bearer test-token') {
+          res.writeHead(401).end('Unauthorized');
+          return;
+        }
+        if (req.method === 'DELETE') {
+          res.writeHead(200).end();
+          return;
+        }
+        if (req.method === 'GET') {
+          if (req.headers['mcp-session-id'] !== 'session-123') {
+            res.writeHead(405).end();
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' })}\n\n`);
+          eventStreams.add(res);
+          res.on('close', () => eventStreams.delete(res));
+          return;
+        }
+        
+        const message = JSON.parse(body);
+        const response = handleRpc(message);
+        if (!response) {
+          res.writeHead(202).end();
+          return;
+        }
+        
+        // Answer tools/list as an event stream, everything else as JSON
+        if (message.method === 'tools/list') {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.end(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+          return;
+        }
+        
+        const headers = { 'Content-Type': 'application/json' };
+        if (message.method === 'initialize') {
+          headers['Mcp-Session-Id'] = 'session-123';
+        }
+        res.writeHead(200, headers).end(JSON.stringify(response));
+        return;
+      }
+      
+      // Event stream without an endpoint event
+      if (url.pathname === '/silent' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(': waiting\n\n');
+        eventStreams.add(res);
+        res.on('close', () => eventStreams.delete(res));
+        return;
+      }
+      
+      // Legacy SSE stream
+      if (url.pathname === '/sse' && req.method === 'GET') {
+        const sessionId = String(sseClients.size + 1);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+        sseClients.set(sessionId, res);
+        res.on('close', () => sseClients.delete(sessionId));
+        return;
+      }
+      
+      // Legacy SSE message endpoint
+      if (url.pathname === '/messages' && req.method === 'POST') {
+        const stream = sseClients.get(url.searchParams.get('sessionId'));
+        if (!stream) {
+          res.writeHead(404).end();
+          return;
+        }
+        res.writeHead(202).end('Accepted');
+        const response = handleRpc(JSON.parse(body));
+        if (response) {
+          stream.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+        }
+        return;
+      }
+      
+      res.writeHead(404).end();
+    });
+  });
+  
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        requests,
+        endStreams: () => {
+          for (const stream of [...sseClients.values(), ...eventStreams]) {
+            stream.end();
+          }
+        },
+        close: () => new Promise((done) => {
+          for (const stream of [...sseClients.values(), ...eventStreams]) {
+            stream.end();
+          }
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+export default startMockHttpServer;
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// Minimal stdio MCP server used by the discovery tests.
+// Follows the MCP lifecycle strictly: tools/list is rejected until the
+// client has sent initialize and notifications/initialized.
+//
+// MOCK_MCP_MODE selects alternative behaviours:
+//   noise  - interleave plain-text log lines with protocol messages on stdout
+//   legacy - print a non JSON-RPC tool list and ignore all requests
+//   empty  - answer tools/list with an empty tool list
+//   stubborn - ignore SIGTERM and spawn a detached-stdio grandchild that
+//              ignores it too (its pid is printed to stderr)
+//   live   - advertise listChanged and add a tool on tools/call of
+//            register_tool, then send notifications/tools/list_changed
+//
+// MOCK_MCP_TOOL_COUNT pads the tool list with generated tools, and
+// MOCK_MCP_PAGE_SIZE splits tools/list into pages linked by nextCursor.
+import readline from 'readline';
+import { spawn } from 'child_process';
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echoes the provided message back to the caller.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        message: { type: 'string', description: 'Message to echo' }
+      },
+      required: ['message']
+    },
+    annotations: { readOnlyHint: true }
+  },
+  {
+    name: 'add_numbers',
+    description: 'Adds two numbers together.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        a: { type: 'number' },
+        b: { type: 'number' }
+      }
+    }
+  }
+];
+
+for (let i = 0; i < Number(process.env.MOCK_MCP_TOOL_COUNT || 0); i++) {
+  tools.push({ name: `generated_tool_${i}`, inputSchema: { type: 'object' } });
+}
+
+const resources = [
+  { uri: 'file:///notes/todo.txt', name: 'todo.txt', description: 'Open tasks', mimeType: 'text/plain' }
+];
+
+const resourceTemplates = [
+  { uriTemplate: 'file:///notes/{name}', name: 'note', description: 'A note by name', mimeType: 'text/plain' }
+];
+
+const prompts = [
+  {
+    name: 'summarize',
+    description: 'Summarize a document.',
+    arguments: [
+      { name: 'text', description: 'Text to summarize', required: true },
+      { name: 'style' }
+    ]
+  }
+];
+
+const mode = process.env.MOCK_MCP_MODE || '';
+let initialized = false;
+
+const send = (message) => {
+  if (mode === 'noise') {
+    process.stdout.write('[mock] handling request {not json}\n');
+  }
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+};
+
+console.error('mock-mcp-server starting');
+
+if (mode === 'stubborn') {
+  process.on('SIGTERM', () => {});
+  const grandchild = spawn(process.execPath, ['-e', "process.on('SIGTERM', () => {}); setInterval(() => {}, 1000);"], {
+    stdio: 'ignore'
+  });
+  console.error(`grandchild ${grandchild.pid}`);
+}
+
+if (mode === 'legacy') {
+  process.stdout.write(JSON.stringify({ functions: [{ name: 'legacy_tool' }] }) + '\n');
+}
+
+const rl = readline.createInterface({ input: process.stdin });
+rl.on('line', (line) => {
+  if (mode === 'legacy') {
+    return;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    return;
+  }
+
+  if (message.method === 'initialize') {
+    send({
+      id: message.id,
+      result: {
+        protocolVersion: message.params.protocolVersion,
+        capabilities: {
+          tools: { listChanged: mode === 'live' },
+          resources: {},
+          prompts: {}
+        },
+        serverInfo: { name: 'mock-mcp-server', version: '0.1.0' }
+      }
+    });
+  } else if (message.method === 'notifications/initialized') {
+    initialized = true;
+  } else if (message.method === 'tools/list') {
+    if (!initialized) {
+      send({ id: message.id, error: { code: -32002, message: 'Server not initialized' } });
+      return;
+    }
+    const pageSize = Number(process.env.MOCK_MCP_PAGE_SIZE || 0);
+    if (mode === 'empty') {
+      send({ id: message.id, result: { tools: [] } });
+      return;
+    }
+    if (!pageSize) {
+      send({ id: message.id, result: { tools } });
+      return;
+    }
+    const offset = Number(message.params?.cursor || 0);
+    const nextOffset = offset + pageSize;
+    const result = { tools: tools.slice(offset, nextOffset) };
+    if (nextOffset < tools.length) {
+      result.nextCursor = String(nextOffset);
+    }
+    send({ id: message.id, result });
+  } else if (message.method === 'resources/list') {
+    send({ id: message.id, result: { resources } });
+  } else if (message.method === 'resources/templates/list') {
+    send({ id: message.id, result: { resourceTemplates } });
+  } else if (message.method === 'prompts/list') {
+    send({ id: message.id, result: { prompts } });
+  } else if (mode === 'live' && message.method === 'tools/call' && message.params?.name === 'register_tool') {
+    const name = message.params.arguments.name;
+    tools.push({ name, description: `Registered at runtime.`, inputSchema: { type: 'object' } });
+    send({ id: message.id, result: { content: [{ type: 'text', text: `registered ${name}` }] } });
+    send({ method: 'notifications/tools/list_changed' });
+  } else if (message.id !== undefined) {
+    send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+  }
+});